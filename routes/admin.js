@@ -0,0 +1,497 @@
+const express = require('express');
+const { parseListQuery, parseQuoteFilters } = require('../services/quoteListing');
+const { QuoteConflictError, ValidationError, ConflictError, UpstreamError } = require('../services/errors');
+
+const MAX_BULK_DELETE = 500;
+
+/**
+ * Staff endpoints across all customers, mounted at /admin.
+ * Every route needs an X-Admin-Key with a "read", "write" or "admin" scope (see services/apiKeys.js).
+ */
+function createAdminRouter({ dropboxService, apiKeys }) {
+  const router = express.Router();
+  const read = apiKeys.middleware('read');
+  const write = apiKeys.middleware('write');
+  const admin = apiKeys.middleware('admin');
+
+  // Client IDs work here too; routes see the quote number they stand for. Runs after the
+  // scope check, so a key without the scope cannot make storage reads.
+  const resolveQuote = async (req, res, next) => {
+    try {
+      req.params.quoteId = await dropboxService.resolveQuoteId(req.params.quoteId);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // All quotes, filtered by customer_id, email, status, from/to (date created) and min_total/max_total
+  router.get('/quotes', read, async (req, res) => {
+    try {
+      const { filters, error: filterError } = parseQuoteFilters(req.query);
+      const { options, error: listError } = parseListQuery(req.query);
+
+      if (filterError || listError) {
+        return res.status(400).json({ error: filterError || listError });
+      }
+
+      const { quotes, pagination } = await dropboxService.listAllQuotes(filters, options);
+      res.json({ success: true, data: quotes, pagination });
+
+    } catch (error) {
+      console.error('Admin list quotes error:', error);
+      res.status(500).json({
+        error: 'Failed to list quotes',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/quotes/bulk-delete', write, async (req, res) => {
+    try {
+      const { quote_ids: quoteIds } = req.body || {};
+
+      if (!Array.isArray(quoteIds) || quoteIds.length === 0 || !quoteIds.every(id => typeof id === 'string' && id)) {
+        return res.status(400).json({ error: 'quote_ids must be a non-empty array of quote IDs' });
+      }
+      if (quoteIds.length > MAX_BULK_DELETE) {
+        return res.status(400).json({ error: `At most ${MAX_BULK_DELETE} quotes per request` });
+      }
+
+      console.log(`🔑 Bulk delete of ${quoteIds.length} quotes by API key ${req.apiKey.id}`);
+      const deletedBy = { type: 'api_key', id: req.apiKey.id, name: req.apiKey.name };
+      const result = await dropboxService.bulkDeleteQuotes([...new Set(quoteIds)], { deletedBy });
+      res.json({ success: true, data: result });
+
+    } catch (error) {
+      console.error('Admin bulk delete error:', error);
+      res.status(500).json({
+        error: 'Failed to delete quotes',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/quotes/:quoteId/reassign', write, resolveQuote, async (req, res) => {
+    try {
+      const { quoteId } = req.params;
+      const { customer_id: customerId } = req.body || {};
+
+      if (customerId === undefined || customerId === null || customerId === '') {
+        return res.status(400).json({ error: 'customer_id is required' });
+      }
+
+      const result = await dropboxService.reassignQuote(quoteId, customerId);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Quote not found' });
+      }
+
+      res.json(result);
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json({ error: error.message, details: error.details });
+      }
+
+      if (error instanceof QuoteConflictError) {
+        return res.status(409).json({ error: 'Quote changed while it was being reassigned; try again' });
+      }
+
+      console.error('Admin reassign quote error:', error);
+      res.status(500).json({
+        error: 'Failed to reassign quote',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/quotes/:quoteId/status', write, resolveQuote, async (req, res) => {
+    try {
+      const { status, reason, expectedVersion } = req.body || {};
+      const by = { type: 'api_key', id: req.apiKey.id, name: req.apiKey.name };
+
+      const result = await dropboxService.changeQuoteStatus(req.params.quoteId, { to: status, by, reason }, { expectedVersion });
+
+      if (!result) {
+        return res.status(404).json({ error: 'Quote not found' });
+      }
+
+      res.json(result);
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json({ error: error.message, details: error.details });
+      }
+
+      if (error instanceof QuoteConflictError) {
+        return res.status(409).json({ error: 'Quote was modified by someone else. Reload it and try again.' });
+      }
+
+      console.error('Admin change quote status error:', error);
+      res.status(500).json({
+        error: 'Failed to change quote status',
+        message: error.message
+      });
+    }
+  });
+
+  // Accepted quote → Shopify draft order; returns the existing one if the quote already has it
+  router.post('/quotes/:quoteId/draft-order', write, resolveQuote, async (req, res) => {
+    try {
+      if (!dropboxService.shopify.isConfigured()) {
+        return res.status(503).json({ error: 'Shopify is not configured (SHOPIFY_SHOP_DOMAIN, SHOPIFY_ADMIN_TOKEN)' });
+      }
+
+      const result = await dropboxService.createShopifyDraftOrder(req.params.quoteId);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Quote not found' });
+      }
+
+      res.status(result.created ? 201 : 200).json({ success: true, data: result });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json({ error: error.message, details: error.details });
+      }
+
+      if (error instanceof UpstreamError) {
+        console.error('Shopify draft order error:', error.message);
+        return res.status(502).json({ error: error.message, shopify_status: error.status, details: error.details });
+      }
+
+      console.error('Admin draft order error:', error);
+      res.status(500).json({
+        error: 'Failed to create draft order',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/rebuild-quote-index', write, async (req, res) => {
+    try {
+      const result = await dropboxService.rebuildQuoteIndex();
+      res.json({ success: true, data: result });
+
+    } catch (error) {
+      console.error('Rebuild quote index error:', error);
+      res.status(500).json({
+        error: 'Failed to rebuild quote index',
+        message: error.message
+      });
+    }
+  });
+
+  router.get('/logos', read, async (req, res) => {
+    try {
+      const logos = await dropboxService.listLogoRecords();
+      res.json({ success: true, data: logos });
+
+    } catch (error) {
+      console.error('Admin list logos error:', error);
+      res.status(500).json({
+        error: 'Failed to list logos',
+        message: error.message
+      });
+    }
+  });
+
+  router.get('/logos/:customerId', read, async (req, res) => {
+    try {
+      const record = await dropboxService.getLogoRecord(req.params.customerId);
+
+      if (record.logos.length === 0 && record.files.length === 0) {
+        return res.status(404).json({ error: 'No logo records for this customer' });
+      }
+
+      res.json({ success: true, data: record });
+
+    } catch (error) {
+      console.error('Admin get logo error:', error);
+      res.status(500).json({
+        error: 'Failed to load logo records',
+        message: error.message
+      });
+    }
+  });
+
+  // Every customer's trash, or one customer's with ?customer_id=
+  router.get('/trash', read, async (req, res) => {
+    try {
+      const items = await dropboxService.listTrash(req.query.customer_id || null);
+      res.json({ success: true, data: items });
+
+    } catch (error) {
+      console.error('Admin list trash error:', error);
+      res.status(500).json({
+        error: 'Failed to list trash',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/trash/:itemId/restore', write, async (req, res) => {
+    try {
+      const result = await dropboxService.restoreTrashItem(req.params.itemId);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Trash item not found' });
+      }
+
+      res.json({ success: true, data: result });
+
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        return res.status(409).json({ error: error.message });
+      }
+
+      console.error('Admin restore from trash error:', error);
+      res.status(500).json({
+        error: 'Failed to restore from trash',
+        message: error.message
+      });
+    }
+  });
+
+  router.delete('/trash/:itemId', write, async (req, res) => {
+    try {
+      const item = await dropboxService.purgeTrashItem(req.params.itemId);
+
+      if (!item) {
+        return res.status(404).json({ error: 'Trash item not found' });
+      }
+
+      console.log(`🔑 Trash item ${item.id} purged by API key ${req.apiKey.id}`);
+      res.json({ success: true, message: 'Permanently deleted', data: item });
+
+    } catch (error) {
+      console.error('Admin purge trash item error:', error);
+      res.status(500).json({
+        error: 'Failed to purge trash item',
+        message: error.message
+      });
+    }
+  });
+
+  // Expire, archive and purge the trash now instead of waiting for the nightly run; { "dry_run": true } only reports
+  router.post('/maintenance/run', write, async (req, res) => {
+    try {
+      const report = await dropboxService.runQuoteMaintenance({ dryRun: !!(req.body && req.body.dry_run) });
+      res.json({ success: true, data: report });
+
+    } catch (error) {
+      console.error('Quote maintenance error:', error);
+      res.status(500).json({
+        error: 'Failed to run quote maintenance',
+        message: error.message
+      });
+    }
+  });
+
+  router.get('/maintenance/reports', read, async (req, res) => {
+    try {
+      res.json({ success: true, data: await dropboxService.listMaintenanceReports() });
+    } catch (error) {
+      console.error('List maintenance reports error:', error);
+      res.status(500).json({
+        error: 'Failed to list maintenance reports',
+        message: error.message
+      });
+    }
+  });
+
+  router.get('/maintenance/reports/:reportId', read, async (req, res) => {
+    try {
+      const report = /^[0-9A-Za-z-]+$/.test(req.params.reportId)
+        ? await dropboxService.getMaintenanceReport(req.params.reportId)
+        : null;
+
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+
+      res.json({ success: true, data: report });
+
+    } catch (error) {
+      console.error('Get maintenance report error:', error);
+      res.status(500).json({
+        error: 'Failed to load maintenance report',
+        message: error.message
+      });
+    }
+  });
+
+  // Webhook subscriptions (see services/webhooks.js); they hold signing secrets, so managing them needs "admin"
+  router.get('/webhooks', admin, async (req, res) => {
+    try {
+      res.json({ success: true, data: await dropboxService.webhooks.list() });
+    } catch (error) {
+      console.error('List webhooks error:', error);
+      res.status(500).json({
+        error: 'Failed to list webhooks',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/webhooks', admin, async (req, res) => {
+    try {
+      const { url, events, description, active } = req.body || {};
+      const created = await dropboxService.webhooks.create({ url, events, description, active });
+
+      console.log(`📡 Webhook ${created.id} (${created.events.join(', ')}) created by ${req.apiKey.id}`);
+      res.status(201).json({ success: true, data: created });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json({ error: error.message, details: error.details });
+      }
+
+      console.error('Create webhook error:', error);
+      res.status(500).json({
+        error: 'Failed to create webhook',
+        message: error.message
+      });
+    }
+  });
+
+  router.patch('/webhooks/:webhookId', admin, async (req, res) => {
+    try {
+      const { url, events, description, active } = req.body || {};
+      const updated = await dropboxService.webhooks.edit(req.params.webhookId, { url, events, description, active });
+
+      if (!updated) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json({ success: true, data: updated });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json({ error: error.message, details: error.details });
+      }
+
+      console.error('Update webhook error:', error);
+      res.status(500).json({
+        error: 'Failed to update webhook',
+        message: error.message
+      });
+    }
+  });
+
+  router.delete('/webhooks/:webhookId', admin, async (req, res) => {
+    try {
+      if (!(await dropboxService.webhooks.remove(req.params.webhookId))) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      console.log(`📡 Webhook ${req.params.webhookId} deleted by ${req.apiKey.id}`);
+      res.json({ success: true, message: 'Webhook deleted' });
+
+    } catch (error) {
+      console.error('Delete webhook error:', error);
+      res.status(500).json({
+        error: 'Failed to delete webhook',
+        message: error.message
+      });
+    }
+  });
+
+  router.get('/webhooks/:webhookId/deliveries', read, async (req, res) => {
+    try {
+      const deliveries = await dropboxService.webhooks.listDeliveries(req.params.webhookId);
+
+      if (!deliveries) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json({ success: true, data: deliveries });
+
+    } catch (error) {
+      console.error('List webhook deliveries error:', error);
+      res.status(500).json({
+        error: 'Failed to list webhook deliveries',
+        message: error.message
+      });
+    }
+  });
+
+  // Sends the same event again (same event ID, new delivery ID) and returns the new delivery after its first attempt
+  router.post('/webhooks/:webhookId/deliveries/:deliveryId/redeliver', write, async (req, res) => {
+    try {
+      const delivery = await dropboxService.webhooks.redeliver(req.params.webhookId, req.params.deliveryId);
+
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+
+      res.status(201).json({ success: true, data: delivery });
+
+    } catch (error) {
+      console.error('Redeliver webhook error:', error);
+      res.status(500).json({
+        error: 'Failed to redeliver webhook',
+        message: error.message
+      });
+    }
+  });
+
+  // API key management
+  router.get('/api-keys', admin, async (req, res) => {
+    try {
+      res.json({ success: true, data: await apiKeys.list() });
+    } catch (error) {
+      console.error('List API keys error:', error);
+      res.status(500).json({
+        error: 'Failed to list API keys',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/api-keys', admin, async (req, res) => {
+    try {
+      const { name, scope } = req.body || {};
+      const created = await apiKeys.create({ name, scope });
+
+      console.log(`🔑 API key ${created.id} (${created.scope}) created by ${req.apiKey.id}`);
+      res.status(201).json({ success: true, data: created });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(422).json({ error: error.message, details: error.details });
+      }
+
+      console.error('Create API key error:', error);
+      res.status(500).json({
+        error: 'Failed to create API key',
+        message: error.message
+      });
+    }
+  });
+
+  router.delete('/api-keys/:keyId', admin, async (req, res) => {
+    try {
+      const revoked = await apiKeys.revoke(req.params.keyId);
+
+      if (!revoked) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      console.log(`🔑 API key ${revoked.id} revoked by ${req.apiKey.id}`);
+      res.json({ success: true, data: revoked });
+
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json({
+        error: 'Failed to revoke API key',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminRouter;
@@ -2,7 +2,20 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const cron = require('node-cron');
+const path = require('path');
+const multer = require('multer');
 const DropboxService = require('./services/dropboxService');
+const { isNotFound } = require('./services/storage');
+const { parseListQuery, parseQuoteFilters } = require('./services/quoteListing');
+const { QuoteConflictError, ValidationError, ForbiddenError, ConflictError, UpstreamError } = require('./services/errors');
+const { authenticate, canAccessCustomer, signCustomerToken, authConfig } = require('./services/auth');
+const { ApiKeyStore } = require('./services/apiKeys');
+const createAdminRouter = require('./routes/admin');
+const { decodeBase64Logo, MAX_LOGO_BYTES } = require('./services/logoUpload');
+const { MAX_ARTWORK_BYTES } = require('./services/artwork');
+const { validateDecision, renderApprovalPage, renderInvalidLinkPage } = require('./services/approvalPage');
+const { calculateQuote, loadPriceTables, normalizeLocation, validateLocations } = require('./services/pricing');
+const { nestLocations, renderLayoutSvg } = require('./services/nesting');
 
 // Load environment variables
 dotenv.config();
@@ -10,8 +23,9 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Dropbox service
+// Initialize quote service (storage driver picked by STORAGE_DRIVER)
 const dropboxService = new DropboxService();
+const apiKeys = new ApiKeyStore(dropboxService.storage);
 
 // Middleware
 app.use(express.json({ limit: '10mb' }));
@@ -25,34 +39,122 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS
 app.use(cors({
   origin: allowedOrigins,
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Admin-Key']
 }));
 
+// Parse a revision number from a route or query parameter (undefined if invalid)
+function parseRevision(value) {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : undefined;
+}
+
+// Only the signed-in customer may use routes naming their customerId
+function authorizeCustomer(req, res, next) {
+  if (!canAccessCustomer(req.auth, req.params.customerId)) {
+    return res.status(403).json({ error: 'Not allowed to access this customer' });
+  }
+  next();
+}
+
+// Load the quote named by :quoteId into req.quote if it belongs to the signed-in customer.
+// Other customers' quotes answer 404 so quote IDs cannot be probed. A client's own ID is
+// replaced by the quote number it stands for.
+async function authorizeQuote(req, res, next) {
+  try {
+    const metadata = await dropboxService.loadQuoteMetadata(req.params.quoteId);
+
+    if (!metadata || !canAccessCustomer(req.auth, metadata.customer_id)) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    req.quote = metadata;
+    req.params.quoteId = metadata.id;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Multipart image uploads (one file in `field`), kept in memory until validated
+function acceptUpload(field, maxBytes, label) {
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxBytes, files: 1 } }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, error => {
+      if (error instanceof multer.MulterError) {
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ error: `${label} upload rejected: ${error.message}` });
+      }
+      next(error);
+    });
+  };
+}
+
+const acceptLogoUpload = acceptUpload('logo', MAX_LOGO_BYTES, 'Logo');
+const acceptArtworkUpload = acceptUpload('artwork', MAX_ARTWORK_BYTES, 'Artwork');
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    service: 'DTF Backend API' 
+    service: 'DTF Backend API',
+    storage: dropboxService.storage.name
   });
 });
 
 // Quote management endpoints
-app.post('/api/save-quote', async (req, res) => {
+// Exchange a signed app proxy request (or a still-valid token) for a customer token
+app.get('/api/customer-token', authenticate, (req, res) => {
+  const config = authConfig();
+
+  if (!config.tokenSecret) {
+    return res.status(503).json({ error: 'Customer tokens are not configured' });
+  }
+  if (req.auth.method === 'none') {
+    return res.status(400).json({ error: 'Authentication is turned off (AUTH_MODE=off)' });
+  }
+
+  res.json({
+    success: true,
+    token: signCustomerToken(req.auth.customerId, config.tokenSecret, config.tokenTtl),
+    customer_id: req.auth.customerId,
+    expires_in: config.tokenTtl
+  });
+});
+
+app.post('/api/save-quote', authenticate, async (req, res) => {
   try {
-    const { quoteData, isUpdate = false } = req.body;
+    const { quoteData, isUpdate = false, expectedVersion, savePdf = false } = req.body;
     
-    if (!quoteData || !quoteData.id) {
+    if (!quoteData) {
       return res.status(400).json({ 
         error: 'Invalid quote data. Missing required fields.' 
       });
     }
 
-    const result = await dropboxService.saveQuote(quoteData, isUpdate);
+    // Field-level checks (QUOTE_SCHEMA) happen in saveQuote and come back as 422
+    const result = await dropboxService.saveQuote(quoteData, isUpdate, { expectedVersion, savePdf, ownerId: req.auth.customerId });
     res.json(result);
     
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    if (error instanceof ForbiddenError) {
+      return res.status(403).json({ error: error.message });
+    }
+
+    if (error instanceof QuoteConflictError) {
+      return res.status(409).json({
+        error: 'Quote was modified by someone else. Merge with the current copy and save again.',
+        current_version: error.current ? error.current.version : null,
+        current: error.current
+      });
+    }
+
     console.error('Save quote error:', error);
     res.status(500).json({ 
       error: 'Failed to save quote', 
@@ -61,21 +163,118 @@ app.post('/api/save-quote', async (req, res) => {
   }
 });
 
-app.get('/api/get-quote/:quoteId', async (req, res) => {
+app.post('/api/calculate-quote', (req, res) => {
+  try {
+    const { locations, units, product_cost, press_cost, markup } = req.body || {};
+    
+    if (!Array.isArray(locations)) {
+      return res.status(400).json({ error: 'locations must be an array' });
+    }
+
+    const { layout, ...result } = calculateQuote({ locations, units, product_cost, press_cost, markup });
+    // Individual placements are available from /api/nest-layout
+    const { placements, ...layoutSummary } = layout;
+    res.json({ success: true, data: { ...result, layout: layoutSummary } });
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    console.error('Calculate quote error:', error);
+    res.status(500).json({ 
+      error: 'Failed to calculate quote', 
+      message: error.message 
+    });
+  }
+});
+
+app.post('/api/nest-layout', authenticate, (req, res) => {
+  try {
+    const { locations, sheet_width, margin, spacing, max_length, format = 'json' } = req.body || {};
+    
+    if (!Array.isArray(locations)) {
+      return res.status(400).json({ error: 'locations must be an array' });
+    }
+
+    // Per-request overrides of the configured sheet settings. A sheet can be narrower or
+    // shorter than the configured one, never bigger; margin and spacing must leave room to print.
+    const configured = loadPriceTables().sheet;
+    const width = sheet_width === undefined ? configured.width : Number(sheet_width);
+    const overrides = {
+      sheet_width: [sheet_width, value => value > 0 && value <= configured.width, `more than 0 and at most ${configured.width}`],
+      max_length: [max_length, value => value > 0 && value <= configured.max_length, `more than 0 and at most ${configured.max_length}`],
+      margin: [margin, value => value >= 0 && value < width / 2, 'at least 0 and less than half the sheet width'],
+      spacing: [spacing, value => value >= 0 && value <= width, 'at least 0 and at most the sheet width']
+    };
+
+    const errors = [];
+    for (const [field, [value, isValid, range]] of Object.entries(overrides)) {
+      if (value !== undefined && !(Number.isFinite(Number(value)) && isValid(Number(value)))) {
+        errors.push({ field, message: `must be a number ${range}` });
+      }
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid sheet settings', errors);
+    }
+
+    const settings = { ...configured, width };
+    for (const key of ['margin', 'spacing', 'max_length']) {
+      if (overrides[key][0] !== undefined) settings[key] = Number(overrides[key][0]);
+    }
+
+    const locationErrors = validateLocations(locations, { sheet: settings });
+    if (locationErrors.length > 0) {
+      throw new ValidationError('Invalid locations', locationErrors);
+    }
+
+    const layout = nestLocations(locations.map(normalizeLocation), settings);
+
+    if (format === 'svg') {
+      return res.type('image/svg+xml').send(renderLayoutSvg(layout));
+    }
+
+    res.json({ success: true, data: layout });
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    console.error('Nest layout error:', error);
+    res.status(500).json({ 
+      error: 'Failed to compute layout', 
+      message: error.message 
+    });
+  }
+});
+
+app.get('/api/get-quote/:quoteId', authenticate, authorizeQuote, async (req, res) => {
   try {
     const { quoteId } = req.params;
-    const { format = 'json' } = req.query;
+    const { format = 'json', variant = 'internal' } = req.query;
     
     if (!quoteId) {
       return res.status(400).json({ error: 'Quote ID is required' });
     }
 
-    const quote = await dropboxService.loadQuote(quoteId, format);
+    if (!['internal', 'customer'].includes(variant)) {
+      return res.status(400).json({ error: 'variant must be "internal" or "customer"' });
+    }
+
+    const quote = await dropboxService.loadQuote(quoteId, format, variant);
     
     if (!quote) {
       return res.status(404).json({ error: 'Quote not found' });
     }
 
+    if (format === 'pdf') {
+      return res
+        .type('application/pdf')
+        .set('Content-Disposition', `inline; filename="quote-${quoteId.replace(/[^a-zA-Z0-9_-]/g, '_')}${variant === 'customer' ? '' : '-internal'}.pdf"`)
+        .send(quote);
+    }
+
     res.json({ success: true, data: quote });
     
   } catch (error) {
@@ -87,7 +286,7 @@ app.get('/api/get-quote/:quoteId', async (req, res) => {
   }
 });
 
-app.get('/api/customer-quotes/:customerId', async (req, res) => {
+app.get('/api/customer-quotes/:customerId', authenticate, authorizeCustomer, async (req, res) => {
   try {
     const { customerId } = req.params;
     
@@ -95,8 +294,15 @@ app.get('/api/customer-quotes/:customerId', async (req, res) => {
       return res.status(400).json({ error: 'Customer ID is required' });
     }
 
-    const quotes = await dropboxService.loadCustomerQuotes(customerId);
-    res.json({ success: true, data: quotes });
+    const { options, error } = parseListQuery(req.query);
+    const { filters, error: filterError } = parseQuoteFilters({ status: req.query.status });
+    
+    if (error || filterError) {
+      return res.status(400).json({ error: error || filterError });
+    }
+
+    const { quotes, pagination } = await dropboxService.listCustomerQuotes(customerId, options, filters);
+    res.json({ success: true, data: quotes, pagination });
     
   } catch (error) {
     console.error('Get customer quotes error:', error);
@@ -107,16 +313,16 @@ app.get('/api/customer-quotes/:customerId', async (req, res) => {
   }
 });
 
-app.delete('/api/delete-quote/:quoteId', async (req, res) => {
+app.delete('/api/delete-quote/:quoteId', authenticate, authorizeQuote, async (req, res) => {
   try {
     const { quoteId } = req.params;
-    const { customerId } = req.query;
     
     if (!quoteId) {
       return res.status(400).json({ error: 'Quote ID is required' });
     }
 
-    const result = await dropboxService.deleteQuote(quoteId, customerId);
+    const deletedBy = { type: 'customer', id: req.auth.customerId, method: req.auth.method };
+    const result = await dropboxService.deleteQuote(quoteId, req.quote.customer_id, { deletedBy });
     res.json(result);
     
   } catch (error) {
@@ -128,102 +334,994 @@ app.delete('/api/delete-quote/:quoteId', async (req, res) => {
   }
 });
 
-// Logo management endpoints
-app.post('/api/save-logo/:customerId', async (req, res) => {
+// Quote revision history
+app.get('/api/quote-revisions/:quoteId', authenticate, authorizeQuote, async (req, res) => {
   try {
-    const { customerId } = req.params;
-    const logoData = req.body;
+    const { quoteId } = req.params;
+    const revisions = await dropboxService.listQuoteRevisions(quoteId);
     
-    if (!customerId) {
-      return res.status(400).json({ error: 'Customer ID is required' });
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: 'Quote not found' });
     }
 
-    const result = await dropboxService.saveCustomerLogo(customerId, logoData);
-    res.json({ success: true, data: result });
+    res.json({ success: true, data: revisions });
     
   } catch (error) {
-    console.error('Save logo error:', error);
+    console.error('List quote revisions error:', error);
     res.status(500).json({ 
-      error: 'Failed to save logo', 
+      error: 'Failed to list quote revisions', 
       message: error.message 
     });
   }
 });
 
-app.get('/api/get-logo/:customerId', async (req, res) => {
+app.get('/api/quote-revisions/:quoteId/:revision', authenticate, authorizeQuote, async (req, res) => {
   try {
-    const { customerId } = req.params;
+    const { quoteId } = req.params;
+    const revision = parseRevision(req.params.revision);
     
-    if (!customerId) {
-      return res.status(400).json({ error: 'Customer ID is required' });
+    if (!revision) {
+      return res.status(400).json({ error: 'Revision must be a positive integer' });
     }
 
-    const logoData = await dropboxService.loadCustomerLogo(customerId);
+    const snapshot = await dropboxService.getQuoteRevision(quoteId, revision);
     
-    if (!logoData) {
-      return res.status(404).json({ error: 'Logo not found' });
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Revision not found' });
     }
 
-    res.json({ success: true, data: logoData });
+    res.json({ success: true, data: snapshot });
     
   } catch (error) {
-    console.error('Get logo error:', error);
+    console.error('Get quote revision error:', error);
     res.status(500).json({ 
-      error: 'Failed to load logo', 
+      error: 'Failed to load quote revision', 
       message: error.message 
     });
   }
 });
 
-app.delete('/api/delete-logo/:customerId', async (req, res) => {
+app.get('/api/quote-diff/:quoteId', authenticate, authorizeQuote, async (req, res) => {
   try {
-    const { customerId } = req.params;
+    const { quoteId } = req.params;
+    const from = parseRevision(req.query.from);
+    const to = req.query.to === undefined ? null : parseRevision(req.query.to);
     
-    if (!customerId) {
-      return res.status(400).json({ error: 'Customer ID is required' });
+    if (!from || to === undefined) {
+      return res.status(400).json({ error: 'from (and optional to) must be positive revision numbers' });
+    }
+
+    const diff = await dropboxService.diffQuoteRevisions(quoteId, from, to);
+    
+    if (!diff) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ success: true, data: diff });
+    
+  } catch (error) {
+    console.error('Diff quote revisions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to diff quote revisions', 
+      message: error.message 
+    });
+  }
+});
+
+app.post('/api/restore-quote/:quoteId/:revision', authenticate, authorizeQuote, async (req, res) => {
+  try {
+    const { quoteId } = req.params;
+    const revision = parseRevision(req.params.revision);
+    
+    if (!revision) {
+      return res.status(400).json({ error: 'Revision must be a positive integer' });
+    }
+
+    const result = await dropboxService.restoreQuoteRevision(quoteId, revision, { expectedVersion: (req.body || {}).expectedVersion });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Revision not found' });
     }
 
-    const result = await dropboxService.deleteCustomerLogo(customerId);
     res.json(result);
     
   } catch (error) {
-    console.error('Delete logo error:', error);
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    if (error instanceof QuoteConflictError) {
+      return res.status(409).json({
+        error: 'Quote was modified by someone else. Reload it and try again.',
+        current_version: error.current ? error.current.version : null
+      });
+    }
+
+    console.error('Restore quote revision error:', error);
     res.status(500).json({ 
-      error: 'Failed to delete logo', 
+      error: 'Failed to restore quote revision', 
       message: error.message 
     });
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ 
-    error: 'Internal server error', 
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong' 
-  });
+// Lifecycle status change: { status, reason?, expectedVersion? }
+app.post('/api/quote-status/:quoteId', authenticate, authorizeQuote, async (req, res) => {
+  try {
+    const { status, reason, expectedVersion } = req.body || {};
+    const by = { type: 'customer', id: req.auth.customerId, method: req.auth.method };
+
+    const result = await dropboxService.changeQuoteStatus(req.params.quoteId, { to: status, by, reason }, { expectedVersion });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    res.json(result);
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    if (error instanceof QuoteConflictError) {
+      return res.status(409).json({
+        error: 'Quote was modified by someone else. Reload it and try again.',
+        current_version: error.current ? error.current.version : null
+      });
+    }
+
+    console.error('Change quote status error:', error);
+    res.status(500).json({ 
+      error: 'Failed to change quote status', 
+      message: error.message 
+    });
+  }
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
+// Public approval links for the end customer (see /q/:token below)
+app.post('/api/approval-links/:quoteId', authenticate, authorizeQuote, async (req, res) => {
+  try {
+    const by = { type: 'customer', id: req.auth.customerId, method: req.auth.method };
+    const link = await dropboxService.createApprovalLink(req.params.quoteId, by);
+    
+    if (!link) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    res.status(201).json({ success: true, data: { ...link, url: `${baseUrl}/q/${link.token}` } });
+    
+  } catch (error) {
+    if (error instanceof QuoteConflictError) {
+      return res.status(409).json({ error: 'Quote changed while the link was being created; try again' });
+    }
+
+    console.error('Create approval link error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create approval link', 
+      message: error.message 
+    });
+  }
 });
 
-// Token refresh scheduler (runs every hour)
-cron.schedule('0 * * * *', async () => {
+app.get('/api/approval-links/:quoteId', authenticate, authorizeQuote, async (req, res) => {
   try {
-    console.log('🔄 Running scheduled token refresh...');
-    await dropboxService.refreshTokenIfNeeded();
-    console.log('✅ Token refresh completed');
+    const links = await dropboxService.listApprovalLinks(req.params.quoteId);
+    res.json({ success: true, data: links });
+    
   } catch (error) {
-    console.error('❌ Scheduled token refresh failed:', error);
+    console.error('List approval links error:', error);
+    res.status(500).json({ 
+      error: 'Failed to list approval links', 
+      message: error.message 
+    });
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 DTF Backend API running on port ${PORT}`);
-  console.log(`📋 Health check: http://localhost:${PORT}/health`);
+// Without :linkId every link of the quote is revoked
+app.delete('/api/approval-links/:quoteId/:linkId?', authenticate, authorizeQuote, async (req, res) => {
+  try {
+    const revoked = await dropboxService.revokeApprovalLink(req.params.quoteId, req.params.linkId);
+    
+    if (req.params.linkId && revoked.length === 0) {
+      return res.status(404).json({ error: 'Approval link not found' });
+    }
+
+    res.json({ success: true, data: revoked });
+    
+  } catch (error) {
+    console.error('Revoke approval link error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke approval link', 
+      message: error.message 
+    });
+  }
+});
+
+// Email the customer quote to the end customer over SMTP
+app.post('/api/send-quote/:quoteId', authenticate, authorizeQuote, async (req, res) => {
+  try {
+    if (!dropboxService.mailer.isConfigured()) {
+      return res.status(503).json({ error: 'Email is not configured (SMTP_HOST or SMTP_URL, MAIL_FROM)' });
+    }
+
+    const by = { type: 'customer', id: req.auth.customerId, method: req.auth.method };
+    const result = await dropboxService.sendQuoteEmail(req.params.quoteId, req.body || {}, by);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    res.json(result);
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    if (error instanceof UpstreamError) {
+      console.error('Send quote email error:', error.message);
+      return res.status(502).json({ error: error.message, smtp_status: error.status });
+    }
+
+    console.error('Send quote error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send quote', 
+      message: error.message 
+    });
+  }
+});
+
+// Reorders: copy a quote under a new ID, optionally with other quantities or markup
+app.post('/api/clone-quote/:quoteId', authenticate, authorizeQuote, async (req, res) => {
+  try {
+    const result = await dropboxService.cloneQuote(req.params.quoteId, req.body || {}, { ownerId: req.auth.customerId });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    res.status(201).json(result);
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    if (error instanceof ForbiddenError) {
+      return res.status(403).json({ error: error.message });
+    }
+
+    console.error('Clone quote error:', error);
+    res.status(500).json({ 
+      error: 'Failed to clone quote', 
+      message: error.message 
+    });
+  }
+});
+
+// Quote templates: reusable location sets that new quotes can start from
+app.get('/api/quote-templates/:customerId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const templates = await dropboxService.listQuoteTemplates(req.params.customerId);
+    res.json({ success: true, data: templates });
+    
+  } catch (error) {
+    console.error('List quote templates error:', error);
+    res.status(500).json({ 
+      error: 'Failed to list quote templates', 
+      message: error.message 
+    });
+  }
+});
+
+app.post('/api/quote-templates/:customerId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const template = await dropboxService.createQuoteTemplate(req.params.customerId, req.body || {});
+    res.status(201).json({ success: true, data: template });
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    console.error('Save quote template error:', error);
+    res.status(500).json({ 
+      error: 'Failed to save quote template', 
+      message: error.message 
+    });
+  }
+});
+
+app.get('/api/quote-templates/:customerId/:templateId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const template = await dropboxService.getQuoteTemplate(req.params.customerId, req.params.templateId);
+    
+    if (!template) {
+      return res.status(404).json({ error: 'Quote template not found' });
+    }
+
+    res.json({ success: true, data: template });
+    
+  } catch (error) {
+    console.error('Get quote template error:', error);
+    res.status(500).json({ 
+      error: 'Failed to load quote template', 
+      message: error.message 
+    });
+  }
+});
+
+app.patch('/api/quote-templates/:customerId/:templateId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const template = await dropboxService.updateQuoteTemplate(req.params.customerId, req.params.templateId, req.body || {});
+    
+    if (!template) {
+      return res.status(404).json({ error: 'Quote template not found' });
+    }
+
+    res.json({ success: true, data: template });
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    console.error('Update quote template error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update quote template', 
+      message: error.message 
+    });
+  }
+});
+
+app.delete('/api/quote-templates/:customerId/:templateId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const template = await dropboxService.deleteQuoteTemplate(req.params.customerId, req.params.templateId);
+    
+    if (!template) {
+      return res.status(404).json({ error: 'Quote template not found' });
+    }
+
+    res.json({ success: true, message: 'Quote template deleted', deleted_template_id: template.id });
+    
+  } catch (error) {
+    console.error('Delete quote template error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete quote template', 
+      message: error.message 
+    });
+  }
+});
+
+app.post('/api/quote-templates/:customerId/:templateId/quotes', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const result = await dropboxService.createQuoteFromTemplate(req.params.customerId, req.params.templateId, req.body || {});
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Quote template not found' });
+    }
+
+    res.status(201).json(result);
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    console.error('Create quote from template error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create quote from template', 
+      message: error.message 
+    });
+  }
+});
+
+// Kept for existing scripts; same as POST /admin/rebuild-quote-index
+app.post('/api/rebuild-quote-index', apiKeys.middleware('write'), async (req, res) => {
+  try {
+    const result = await dropboxService.rebuildQuoteIndex();
+    res.json({ success: true, data: result });
+    
+  } catch (error) {
+    console.error('Rebuild quote index error:', error);
+    res.status(500).json({ 
+      error: 'Failed to rebuild quote index', 
+      message: error.message 
+    });
+  }
+});
+
+// Logo management endpoints
+app.post('/api/save-logo/:customerId', authenticate, authorizeCustomer, acceptLogoUpload, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    
+    if (!customerId) {
+      return res.status(400).json({ error: 'Customer ID is required' });
+    }
+
+    const upload = req.file
+      ? { buffer: req.file.buffer, filename: req.file.originalname }
+      : decodeBase64Logo(req.body);
+
+    const result = await dropboxService.saveCustomerLogo(customerId, upload, { name: req.body.name, tags: req.body.tags });
+    res.json({ success: true, data: result });
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    console.error('Save logo error:', error);
+    res.status(500).json({ 
+      error: 'Failed to save logo', 
+      message: error.message 
+    });
+  }
+});
+
+app.get('/api/get-logo/:customerId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    
+    if (!customerId) {
+      return res.status(400).json({ error: 'Customer ID is required' });
+    }
+
+    const logoData = await dropboxService.loadCustomerLogo(customerId);
+    
+    if (!logoData) {
+      return res.status(404).json({ error: 'Logo not found' });
+    }
+
+    res.json({ success: true, data: logoData });
+    
+  } catch (error) {
+    console.error('Get logo error:', error);
+    res.status(500).json({ 
+      error: 'Failed to load logo', 
+      message: error.message 
+    });
+  }
+});
+
+app.delete('/api/delete-logo/:customerId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    
+    if (!customerId) {
+      return res.status(400).json({ error: 'Customer ID is required' });
+    }
+
+    const deletedBy = { type: 'customer', id: req.auth.customerId, method: req.auth.method };
+    const result = await dropboxService.deleteCustomerLogo(customerId, { deletedBy });
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Delete logo error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete logo', 
+      message: error.message 
+    });
+  }
+});
+
+// Logo library: several logos per customer, one of them the default
+app.get('/api/logos/:customerId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const library = await dropboxService.listCustomerLogos(req.params.customerId);
+    res.json({ success: true, data: library });
+    
+  } catch (error) {
+    console.error('List logos error:', error);
+    res.status(500).json({ 
+      error: 'Failed to list logos', 
+      message: error.message 
+    });
+  }
+});
+
+app.post('/api/logos/:customerId', authenticate, authorizeCustomer, acceptLogoUpload, async (req, res) => {
+  try {
+    const upload = req.file
+      ? { buffer: req.file.buffer, filename: req.file.originalname }
+      : decodeBase64Logo(req.body);
+    const makeDefault = req.body.default === true || req.body.default === 'true';
+
+    const logo = await dropboxService.addCustomerLogo(req.params.customerId, upload, {
+      name: req.body.name,
+      tags: req.body.tags,
+      makeDefault
+    });
+    res.status(201).json({ success: true, data: logo });
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    console.error('Add logo error:', error);
+    res.status(500).json({ 
+      error: 'Failed to save logo', 
+      message: error.message 
+    });
+  }
+});
+
+app.patch('/api/logos/:customerId/:logoId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const { name, tags } = req.body || {};
+    const logo = await dropboxService.updateCustomerLogo(req.params.customerId, req.params.logoId, { name, tags });
+    
+    if (!logo) {
+      return res.status(404).json({ error: 'Logo not found' });
+    }
+
+    res.json({ success: true, data: logo });
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    console.error('Update logo error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update logo', 
+      message: error.message 
+    });
+  }
+});
+
+app.post('/api/logos/:customerId/:logoId/default', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const logo = await dropboxService.setDefaultCustomerLogo(req.params.customerId, req.params.logoId);
+    
+    if (!logo) {
+      return res.status(404).json({ error: 'Logo not found' });
+    }
+
+    res.json({ success: true, data: logo });
+    
+  } catch (error) {
+    console.error('Set default logo error:', error);
+    res.status(500).json({ 
+      error: 'Failed to set default logo', 
+      message: error.message 
+    });
+  }
+});
+
+app.delete('/api/logos/:customerId/:logoId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const deletedBy = { type: 'customer', id: req.auth.customerId, method: req.auth.method };
+    const logo = await dropboxService.removeCustomerLogo(req.params.customerId, req.params.logoId, { deletedBy });
+    
+    if (!logo) {
+      return res.status(404).json({ error: 'Logo not found' });
+    }
+
+    res.json({ success: true, message: 'Logo moved to trash', deleted_logo_id: logo.id, trash_item_id: logo.trash_item_id });
+    
+  } catch (error) {
+    console.error('Delete logo error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete logo', 
+      message: error.message 
+    });
+  }
+});
+
+// Trash: deleted quotes and logos, restorable until purged (see services/trash.js)
+app.get('/api/trash/:customerId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const items = await dropboxService.listTrash(req.params.customerId);
+    res.json({ success: true, data: items });
+    
+  } catch (error) {
+    console.error('List trash error:', error);
+    res.status(500).json({ 
+      error: 'Failed to list trash', 
+      message: error.message 
+    });
+  }
+});
+
+app.post('/api/trash/:customerId/:itemId/restore', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const result = await dropboxService.restoreTrashItem(req.params.itemId, req.params.customerId);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Trash item not found' });
+    }
+
+    res.json({ success: true, data: result });
+    
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Restore from trash error:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore from trash', 
+      message: error.message 
+    });
+  }
+});
+
+app.delete('/api/trash/:customerId/:itemId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const item = await dropboxService.purgeTrashItem(req.params.itemId, req.params.customerId);
+    
+    if (!item) {
+      return res.status(404).json({ error: 'Trash item not found' });
+    }
+
+    res.json({ success: true, message: 'Permanently deleted', data: item });
+    
+  } catch (error) {
+    console.error('Purge trash item error:', error);
+    res.status(500).json({ 
+      error: 'Failed to purge trash item', 
+      message: error.message 
+    });
+  }
+});
+
+// Artwork for quote locations, checked for print readiness when attached
+app.post('/api/artwork/:customerId', authenticate, authorizeCustomer, acceptArtworkUpload, async (req, res) => {
+  try {
+    const upload = req.file
+      ? { buffer: req.file.buffer, filename: req.file.originalname }
+      : decodeBase64Logo(req.body, 'artwork');
+
+    const artwork = await dropboxService.saveArtwork(req.params.customerId, upload);
+    res.status(201).json({ success: true, data: artwork });
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    console.error('Save artwork error:', error);
+    res.status(500).json({ 
+      error: 'Failed to save artwork', 
+      message: error.message 
+    });
+  }
+});
+
+app.get('/api/artwork/:customerId/:artworkId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const artwork = await dropboxService.getArtwork(req.params.customerId, req.params.artworkId);
+    
+    if (!artwork) {
+      return res.status(404).json({ error: 'Artwork not found' });
+    }
+
+    res.json({ success: true, data: artwork });
+    
+  } catch (error) {
+    console.error('Get artwork error:', error);
+    res.status(500).json({ 
+      error: 'Failed to load artwork', 
+      message: error.message 
+    });
+  }
+});
+
+// Attach artwork to a location (0-based `location`): an uploaded file, an existing
+// artwork_id, or artwork_id null to detach. The quote is saved again with the new check.
+app.post('/api/attach-artwork/:quoteId', authenticate, authorizeQuote, acceptArtworkUpload, async (req, res) => {
+  try {
+    const { quoteId } = req.params;
+    const locationIndex = Number(req.body.location);
+
+    if (!Number.isInteger(locationIndex) || locationIndex < 0) {
+      return res.status(400).json({ error: 'location must be the 0-based index of a quote location' });
+    }
+
+    if (!req.file && !req.body.data && !('artwork_id' in req.body)) {
+      return res.status(400).json({ error: 'Send an artwork file, an artwork_id, or artwork_id null to remove the artwork' });
+    }
+
+    let artworkId = req.body.artwork_id || null;
+    if (req.file || req.body.data) {
+      if (!req.quote.customer_id) {
+        return res.status(422).json({ error: 'Quote has no customer_id; artwork is stored per customer' });
+      }
+
+      const upload = req.file
+        ? { buffer: req.file.buffer, filename: req.file.originalname }
+        : decodeBase64Logo(req.body, 'artwork');
+      artworkId = (await dropboxService.saveArtwork(req.quote.customer_id, upload)).id;
+    }
+
+    const result = await dropboxService.attachArtwork(quoteId, locationIndex, artworkId, { ownerId: req.auth.customerId });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    res.json(result);
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    if (error instanceof ForbiddenError) {
+      return res.status(403).json({ error: error.message });
+    }
+
+    if (error instanceof QuoteConflictError) {
+      return res.status(409).json({ error: 'Quote changed while artwork was being attached; try again' });
+    }
+
+    console.error('Attach artwork error:', error);
+    res.status(500).json({ 
+      error: 'Failed to attach artwork', 
+      message: error.message 
+    });
+  }
+});
+
+// Reseller branding endpoints
+app.get('/api/get-branding/:customerId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const branding = await dropboxService.loadCustomerBranding(customerId);
+    res.json({ success: true, data: branding });
+    
+  } catch (error) {
+    console.error('Get branding error:', error);
+    res.status(500).json({ 
+      error: 'Failed to load branding', 
+      message: error.message 
+    });
+  }
+});
+
+app.post('/api/save-branding/:customerId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const result = await dropboxService.saveCustomerBranding(customerId, req.body);
+    res.json({ success: true, data: result });
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    console.error('Save branding error:', error);
+    res.status(500).json({ 
+      error: 'Failed to save branding', 
+      message: error.message 
+    });
+  }
+});
+
+app.delete('/api/delete-branding/:customerId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const result = await dropboxService.deleteCustomerBranding(customerId);
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Delete branding error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete branding', 
+      message: error.message 
+    });
+  }
+});
+
+// Custom quote templates: raw text/html body, or JSON { template }
+app.post('/api/save-template/:customerId', authenticate, authorizeCustomer, express.text({ type: 'text/html', limit: '1mb' }), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const template = typeof req.body === 'string' ? req.body : req.body.template;
+    const result = await dropboxService.saveCustomerTemplate(customerId, template);
+    res.json(result);
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+
+    console.error('Save template error:', error);
+    res.status(500).json({ 
+      error: 'Failed to save template', 
+      message: error.message 
+    });
+  }
+});
+
+app.delete('/api/delete-template/:customerId', authenticate, authorizeCustomer, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const result = await dropboxService.deleteCustomerTemplate(customerId);
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete template', 
+      message: error.message 
+    });
+  }
+});
+
+// Shared links for the local and memory storage drivers (Dropbox hosts its own)
+app.get('/files/:token/:name?', async (req, res) => {
+  try {
+    const storage = dropboxService.storage;
+    
+    if (!storage.resolveSharedLink) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const filePath = await storage.resolveSharedLink(req.params.token);
+    
+    if (!filePath) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const content = await storage.downloadFile(filePath);
+
+    // Uploaded SVGs are sanitized on save; block scripts here as well
+    if (path.extname(filePath).toLowerCase() === '.svg') {
+      res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+    }
+
+    res.type(path.extname(filePath) || 'application/octet-stream').send(content);
+    
+  } catch (error) {
+    if (isNotFound(error)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    console.error('Shared file error:', error);
+    res.status(500).json({ 
+      error: 'Failed to load file', 
+      message: error.message 
+    });
+  }
+});
+
+// Public approval page: the customer quote with Approve / Request changes.
+// The token in the URL is the only credential, so the page is never cached, indexed, framed or leaked via Referer.
+function approvalPageHeaders(res) {
+  res.set({
+    'Cache-Control': 'no-store',
+    'Referrer-Policy': 'no-referrer',
+    'X-Robots-Tag': 'noindex, nofollow',
+    'X-Frame-Options': 'DENY'
+  });
+}
+
+async function sendApprovalPage(res, status, { link, quote }, state) {
+  const branding = await dropboxService.loadQuoteBranding(quote.customer_id);
+  const quoteHtml = dropboxService.generateQuoteHtml(quote, branding, { mode: 'customer' });
+  res.status(status).type('html').send(renderApprovalPage(quoteHtml, quote, state));
+}
+
+app.get('/q/:token', async (req, res) => {
+  try {
+    approvalPageHeaders(res);
+    const resolved = await dropboxService.resolveApprovalLink(req.params.token);
+    
+    if (!resolved) {
+      return res.status(404).type('html').send(renderInvalidLinkPage());
+    }
+
+    await sendApprovalPage(res, 200, resolved);
+    
+  } catch (error) {
+    console.error('Approval page error:', error);
+    res.status(500).type('text').send('Something went wrong loading this quote. Please try again later.');
+  }
+});
+
+app.post('/q/:token', async (req, res) => {
+  let resolved;
+  try {
+    approvalPageHeaders(res);
+    resolved = await dropboxService.resolveApprovalLink(req.params.token);
+    
+    if (!resolved) {
+      return res.status(404).type('html').send(renderInvalidLinkPage());
+    }
+
+    const decision = validateDecision(req.body);
+    await dropboxService.recordApproval(resolved.quote.id, resolved.link, decision, req.body.version);
+
+    // Post/redirect/get so a refresh does not resubmit
+    res.redirect(303, req.originalUrl);
+    
+  } catch (error) {
+    if (error instanceof ValidationError && resolved) {
+      return sendApprovalPage(res, 422, resolved, { errors: error.details, values: req.body }).catch(() => {
+        res.status(500).type('text').send('Something went wrong. Please try again later.');
+      });
+    }
+
+    // The quote changed after the page was loaded: show it as it is now
+    if (error instanceof QuoteConflictError) {
+      const changed = { errors: [{ field: 'quote', message: 'This quote changed while you had it open. Please review it and decide again.' }], values: req.body };
+      return dropboxService.resolveApprovalLink(req.params.token)
+        .then(latest => (latest ? sendApprovalPage(res, 409, latest, changed) : res.status(404).type('html').send(renderInvalidLinkPage())))
+        .catch(() => {
+          res.status(500).type('text').send('Something went wrong. Please try again later.');
+        });
+    }
+
+    console.error('Approval decision error:', error);
+    res.status(500).type('text').send('Something went wrong recording your decision. Please try again later.');
+  }
+});
+
+// Staff endpoints across all customers (X-Admin-Key)
+app.use('/admin', createAdminRouter({ dropboxService, apiKeys }));
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error('Unhandled error:', err);
+  res.status(500).json({ 
+    error: 'Internal server error', 
+    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong' 
+  });
+});
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({ error: 'Endpoint not found' });
+});
+
+// Token refresh scheduler (runs every hour)
+cron.schedule('0 * * * *', async () => {
+  try {
+    console.log('🔄 Running scheduled token refresh...');
+    await dropboxService.refreshTokenIfNeeded();
+    console.log('✅ Token refresh completed');
+  } catch (error) {
+    console.error('❌ Scheduled token refresh failed:', error);
+  }
+});
+
+// Quote maintenance (nightly, 03:30 by default): expire quotes past their validity, archive stale ones, empty old trash
+cron.schedule(process.env.QUOTE_MAINTENANCE_SCHEDULE || '30 3 * * *', async () => {
+  try {
+    console.log('🗄️ Running scheduled quote maintenance...');
+    await dropboxService.runQuoteMaintenance();
+  } catch (error) {
+    console.error('❌ Scheduled quote maintenance failed:', error);
+  }
+});
+
+// Webhook retries (runs every minute): failed deliveries go out again once their backoff has passed
+cron.schedule('* * * * *', async () => {
+  try {
+    const tried = await dropboxService.webhooks.retryDue();
+    if (tried > 0) {
+      console.log(`📡 Retried ${tried} webhook deliveries`);
+    }
+  } catch (error) {
+    console.error('❌ Webhook retry run failed:', error);
+  }
+});
+
+// Start server
+app.listen(PORT, () => {
+  console.log(`🚀 DTF Backend API running on port ${PORT}`);
+  console.log(`📋 Health check: http://localhost:${PORT}/health`);
+  console.log(`🗄️  Storage driver: ${dropboxService.storage.name}`);
+
+  if (authConfig().mode === 'off') {
+    console.warn('⚠️  AUTH_MODE=off: every customer route is open. Use this for local development only.');
+  }
   
   // Initialize token refresh on startup
   dropboxService.refreshTokenIfNeeded()
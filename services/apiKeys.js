@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { isNotFound, isConflict } = require('./storage');
+const { ValidationError } = require('./errors');
+
+const KEYS_PATH = '/admin/api_keys.json';
+
+// "admin" can also create and revoke keys; it implies the other scopes
+const SCOPES = ['read', 'write', 'admin'];
+const SCOPE_RANK = { read: 1, write: 2, admin: 3 };
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Whether a key holding `scope` may use an endpoint that needs `required`
+ */
+function hasScope(scope, required) {
+  return (SCOPE_RANK[scope] || 0) >= SCOPE_RANK[required];
+}
+
+/**
+ * Scoped API keys for the admin API.
+ *
+ * Keys look like "dtfk_{id}_{secret}". Only a SHA-256 hash of the secret is stored
+ * (in /admin/api_keys.json), so the full key is shown once, when it is created.
+ * ADMIN_API_KEY, when set, always works as an "admin" key so the first real key can be created.
+ */
+class ApiKeyStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async load() {
+    try {
+      const { content, metadata } = await this.storage.downloadFileWithMetadata(KEYS_PATH);
+      return { keys: JSON.parse(content.toString('utf8')).keys || {}, rev: metadata.rev };
+    } catch (error) {
+      if (isNotFound(error)) return { keys: {}, rev: null };
+      throw error;
+    }
+  }
+
+  /**
+   * Read-modify-write the key file, retrying when another write got in first
+   */
+  async update(mutate) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { keys, rev } = await this.load();
+      const result = mutate(keys);
+
+      try {
+        await this.storage.uploadFile(
+          KEYS_PATH,
+          JSON.stringify({ keys }, null, 2),
+          rev ? { rev } : { mustNotExist: true }
+        );
+        return result;
+      } catch (error) {
+        if (!isConflict(error)) throw error;
+      }
+    }
+
+    throw new Error('API key file is being changed too often; try again');
+  }
+
+  /**
+   * Create a key; the returned `key` is the only time the secret is available
+   */
+  async create({ name, scope = 'read' } = {}) {
+    const errors = [];
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 80) {
+      errors.push({ field: 'name', message: 'must be a string of 1 to 80 characters' });
+    }
+    if (!SCOPES.includes(scope)) {
+      errors.push({ field: 'scope', message: `must be one of: ${SCOPES.join(', ')}` });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid API key', errors);
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id,
+      name: name.trim(),
+      scope,
+      secret_hash: hashSecret(secret),
+      created_at: new Date().toISOString(),
+      revoked_at: null
+    };
+
+    await this.update(keys => {
+      keys[id] = record;
+    });
+
+    return { key: `dtfk_${id}_${secret}`, ...this.describe(record) };
+  }
+
+  /**
+   * All keys (without their hashes), newest first
+   */
+  async list() {
+    const { keys } = await this.load();
+    return Object.values(keys)
+      .map(record => this.describe(record))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Revoke a key; returns the updated record, or null if there is no such key
+   */
+  async revoke(id) {
+    return this.update(keys => {
+      if (!keys[id]) return null;
+      keys[id].revoked_at = keys[id].revoked_at || new Date().toISOString();
+      return this.describe(keys[id]);
+    });
+  }
+
+  /**
+   * Check a presented key; returns { id, name, scope } or null
+   */
+  async verify(presented) {
+    if (typeof presented !== 'string' || presented === '') return null;
+
+    const rootKey = process.env.ADMIN_API_KEY;
+    if (rootKey && safeEqual(rootKey, presented)) {
+      return { id: 'env', name: 'ADMIN_API_KEY', scope: 'admin' };
+    }
+
+    const match = presented.match(/^dtfk_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/);
+    if (!match) return null;
+
+    const { keys } = await this.load();
+    const record = keys[match[1]];
+    if (!record || record.revoked_at || !safeEqual(record.secret_hash, hashSecret(match[2]))) {
+      return null;
+    }
+
+    return { id: record.id, name: record.name, scope: record.scope };
+  }
+
+  describe({ secret_hash, ...record }) {
+    return record;
+  }
+
+  /**
+   * Express middleware factory: requires an X-Admin-Key with at least the given scope
+   * and sets req.apiKey
+   */
+  middleware(required) {
+    return async (req, res, next) => {
+      try {
+        const apiKey = await this.verify(req.get('X-Admin-Key'));
+
+        if (!apiKey) {
+          return res.status(401).json({ error: 'Valid API key required' });
+        }
+        if (!hasScope(apiKey.scope, required)) {
+          return res.status(403).json({ error: `API key needs the "${required}" scope` });
+        }
+
+        req.apiKey = apiKey;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = { ApiKeyStore, SCOPES, hasScope };
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { isNotFound, isConflict } = require('./storage');
+
+const LINKS_FOLDER = '/approval_links';
+const LINK_TTL_DAYS = Number(process.env.APPROVAL_LINK_DAYS) || 30;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Public approval links (/q/:token) that let an end customer approve a quote.
+ *
+ * Tokens are 192 random bits and only their SHA-256 hash is stored, so the storage
+ * contents cannot be turned back into working links. A quote's links live in
+ * /approval_links/quotes/{quoteId}.json; /approval_links/{hash}.json maps a token
+ * back to its quote. Links expire after APPROVAL_LINK_DAYS (default 30) and can be
+ * revoked at any time.
+ */
+class ApprovalLinks {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  quotePath(quoteId) {
+    return `${LINKS_FOLDER}/quotes/${quoteId}.json`;
+  }
+
+  async read(quoteId, path = this.quotePath(quoteId)) {
+    try {
+      const { content, metadata } = await this.storage.downloadFileWithMetadata(path);
+      return { links: JSON.parse(content.toString('utf8')).links || {}, rev: metadata.rev };
+    } catch (error) {
+      if (isNotFound(error)) return { links: {}, rev: null };
+      throw error;
+    }
+  }
+
+  /**
+   * Read-modify-write a quote's links, retrying on conflicts
+   */
+  async update(quoteId, mutate) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { links, rev } = await this.read(quoteId);
+      const result = mutate(links);
+
+      try {
+        await this.storage.uploadFile(
+          this.quotePath(quoteId),
+          JSON.stringify({ quote_id: quoteId, links }, null, 2),
+          rev ? { rev } : { mustNotExist: true }
+        );
+        return result;
+      } catch (error) {
+        if (!isConflict(error)) throw error;
+      }
+    }
+
+    throw new Error('Approval links are being changed too often; try again');
+  }
+
+  /**
+   * Create a link; the returned `token` is the only time it is available
+   *
+   * @param {object} [createdBy] - { type, id } of whoever created the link
+   */
+  async create(quoteId, createdBy = null) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const hash = hashToken(token);
+    const now = new Date();
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      token_hash: hash,
+      created_at: now.toISOString(),
+      created_by: createdBy,
+      expires_at: new Date(now.getTime() + LINK_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      revoked_at: null
+    };
+
+    await this.storage.uploadFile(
+      `${LINKS_FOLDER}/${hash}.json`,
+      JSON.stringify({ quote_id: quoteId, link_id: record.id }),
+      { mustNotExist: true }
+    );
+    await this.update(quoteId, links => {
+      links[record.id] = record;
+    });
+
+    return { token, ...this.describe(record) };
+  }
+
+  /**
+   * A quote's links (without token hashes), newest first
+   */
+  async list(quoteId) {
+    const { links } = await this.read(quoteId);
+    return Object.values(links)
+      .map(record => this.describe(record))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Revoke one link, or every link of the quote when linkId is omitted.
+   * Returns the revoked links (empty when there was no such link).
+   */
+  async revoke(quoteId, linkId) {
+    return this.update(quoteId, links => {
+      const targets = linkId ? [links[linkId]].filter(Boolean) : Object.values(links);
+      const now = new Date().toISOString();
+
+      for (const record of targets) {
+        record.revoked_at = record.revoked_at || now;
+      }
+      return targets.map(record => this.describe(record));
+    });
+  }
+
+  /**
+   * Remove every link of a deleted quote. `path` is where its links file is now,
+   * if it was moved (e.g. into the trash).
+   */
+  async removeAll(quoteId, path = this.quotePath(quoteId)) {
+    const { links } = await this.read(quoteId, path);
+    const paths = [...Object.values(links).map(record => `${LINKS_FOLDER}/${record.token_hash}.json`), path];
+
+    for (const path of paths) {
+      await this.storage.deleteFile(path).catch(error => {
+        if (!isNotFound(error)) throw error;
+      });
+    }
+  }
+
+  /**
+   * Look up a presented token. Returns { quoteId, link } for a live link, or null
+   * for unknown, revoked and expired tokens alike.
+   */
+  async resolve(token) {
+    if (typeof token !== 'string' || !/^[A-Za-z0-9_-]{32}$/.test(token)) return null;
+
+    const hash = hashToken(token);
+    let pointer;
+    try {
+      pointer = JSON.parse((await this.storage.downloadFile(`${LINKS_FOLDER}/${hash}.json`)).toString('utf8'));
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+
+    const { links } = await this.read(pointer.quote_id);
+    const record = links[pointer.link_id];
+    if (!record || record.token_hash !== hash || record.revoked_at || new Date(record.expires_at) <= new Date()) {
+      return null;
+    }
+
+    return { quoteId: pointer.quote_id, link: this.describe(record) };
+  }
+
+  describe({ token_hash, ...record }) {
+    return record;
+  }
+}
+
+module.exports = { ApprovalLinks, LINK_TTL_DAYS };
@@ -0,0 +1,129 @@
+const { ValidationError } = require('./errors');
+const { escapeHtml } = require('./templateEngine');
+const { STATUS_LABELS, statusOf } = require('./quoteStatus');
+
+const DECISIONS = { approve: 'accepted', changes: 'rejected' };
+
+/**
+ * Check a submitted approval form: { decision: "approve" | "changes", name, signature?, comment? }.
+ * Returns the cleaned decision or throws ValidationError.
+ */
+function validateDecision(body = {}) {
+  const errors = [];
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  const decision = {
+    decision: body.decision,
+    name: text(body.name),
+    signature: text(body.signature) || null,
+    comment: text(body.comment) || null
+  };
+
+  if (!DECISIONS[decision.decision]) {
+    errors.push({ field: 'decision', message: 'choose Approve or Request changes' });
+  }
+  if (decision.name === '' || decision.name.length > 100) {
+    errors.push({ field: 'name', message: 'enter your name (up to 100 characters)' });
+  }
+  if (decision.signature && decision.signature.length > 100) {
+    errors.push({ field: 'signature', message: 'must be at most 100 characters' });
+  }
+  if (decision.comment && decision.comment.length > 500) {
+    errors.push({ field: 'comment', message: 'must be at most 500 characters' });
+  }
+  if (decision.decision === 'changes' && !decision.comment) {
+    errors.push({ field: 'comment', message: 'tell us what should change' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid approval', errors);
+  }
+
+  return decision;
+}
+
+function decisionHtml(approval) {
+  const when = new Date(approval.decided_at).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' });
+  const who = escapeHtml(approval.name) + (approval.signature ? ` (signed “${escapeHtml(approval.signature)}”)` : '');
+
+  return `
+    <p class="approval-result ${approval.decision === 'approve' ? 'approved' : 'changes'}">
+      ${approval.decision === 'approve' ? '✅ Approved' : '✏️ Changes requested'} by ${who} on ${when} UTC
+    </p>
+    ${approval.comment ? `<p class="approval-comment">“${escapeHtml(approval.comment)}”</p>` : ''}`;
+}
+
+/**
+ * The customer quote with an approval panel appended.
+ * The form is only offered while the quote is "sent"; otherwise the panel shows the outcome.
+ * It posts back the quote's `version`, so a decision only counts for the quote as shown.
+ *
+ * @param {object} [state] - { errors, values } to redisplay a rejected submission
+ */
+function renderApprovalPage(quoteHtml, quote, state = {}) {
+  const status = statusOf(quote);
+  const values = state.values || {};
+  const errors = state.errors || [];
+
+  let body;
+  if (status === 'sent') {
+    body = `
+    ${errors.length > 0 ? `<ul class="approval-errors">${errors.map(error => `<li>${escapeHtml(error.field)}: ${escapeHtml(error.message)}</li>`).join('')}</ul>` : ''}
+    <form method="post" action="" class="approval-form">
+      <input type="hidden" name="version" value="${escapeHtml(quote.version)}">
+      <label>Your name <input name="name" maxlength="100" required value="${escapeHtml(values.name)}"></label>
+      <label>Signature (type your name to sign, optional) <input name="signature" maxlength="100" value="${escapeHtml(values.signature)}"></label>
+      <label>Comment <textarea name="comment" maxlength="500" rows="3">${escapeHtml(values.comment)}</textarea></label>
+      <div class="approval-buttons">
+        <button type="submit" name="decision" value="approve" class="approve">Approve quote</button>
+        <button type="submit" name="decision" value="changes" class="changes">Request changes</button>
+      </div>
+    </form>`;
+  } else if (quote.approval && (status === 'accepted' || status === 'rejected' || status === 'ordered' || status === 'completed')) {
+    body = decisionHtml(quote.approval);
+  } else {
+    body = `<p>This quote is ${escapeHtml(STATUS_LABELS[status].label.toLowerCase())} and can no longer be approved online.</p>`;
+  }
+
+  const panel = `
+  <section class="approval-panel">
+    <style>
+      .approval-panel { max-width: 8.5in; margin: 1rem auto; padding: 1rem; background: white; border: 1px solid #ddd; border-radius: 8px; font-family: sans-serif; font-size: 13px; }
+      .approval-panel h2 { margin: 0 0 0.75rem; font-size: 16px; }
+      .approval-form label { display: block; margin-bottom: 0.6rem; font-weight: 600; }
+      .approval-form input, .approval-form textarea { display: block; width: 100%; box-sizing: border-box; margin-top: 0.2rem; padding: 0.4rem; font: inherit; }
+      .approval-buttons { display: flex; gap: 0.5rem; }
+      .approval-buttons button { padding: 0.5rem 1rem; border: none; border-radius: 4px; color: white; font-weight: 700; cursor: pointer; }
+      .approval-buttons .approve { background: #2e7d32; }
+      .approval-buttons .changes { background: #b45309; }
+      .approval-errors { color: #c62828; }
+      .approval-result.approved { color: #2e7d32; font-weight: 700; }
+      .approval-result.changes { color: #b45309; font-weight: 700; }
+      .approval-comment { font-style: italic; }
+      @media print { .approval-panel { display: none; } }
+    </style>
+    <h2>Your decision</h2>
+    ${body}
+  </section>`;
+
+  // Spliced in rather than passed to replace(), where "$&" and the like in the panel would expand
+  const end = quoteHtml.lastIndexOf('</body>');
+  return end === -1
+    ? quoteHtml + panel
+    : `${quoteHtml.slice(0, end)}${panel}\n${quoteHtml.slice(end)}`;
+}
+
+/**
+ * Page shown for unknown, revoked and expired links
+ */
+function renderInvalidLinkPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Link not available</title></head>
+<body style="font-family: sans-serif; text-align: center; padding: 3rem;">
+  <h1>This link is no longer available</h1>
+  <p>It may have expired or been withdrawn. Please ask for a new link.</p>
+</body>
+</html>`;
+}
+
+module.exports = { DECISIONS, validateDecision, renderApprovalPage, renderInvalidLinkPage };
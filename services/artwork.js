@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { isNotFound } = require('./storage');
+const { ValidationError } = require('./errors');
+const { detectImageType } = require('./logoUpload');
+const { sanitizeSvg } = require('./svgSanitizer');
+const { normalizeLocation } = require('./pricing');
+
+const MAX_ARTWORK_BYTES = Number(process.env.ARTWORK_MAX_BYTES) || 25 * 1024 * 1024;
+const MIN_PRINT_DPI = Number(process.env.ARTWORK_MIN_DPI) || 300;
+const MAX_DIMENSION = 30000;
+
+const FORMATS = {
+  png: { extension: 'png', contentType: 'image/png' },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  svg: { extension: 'svg', contentType: 'image/svg+xml' }
+};
+
+const invalid = message => new ValidationError('Invalid artwork', [{ field: 'artwork', message }]);
+
+/**
+ * Read an artwork file's header: pixel size, embedded DPI and transparency.
+ *
+ * PNGs with an alpha channel are scanned to see whether any pixel is actually
+ * transparent; SVGs are vector art and print sharp at any size.
+ */
+async function analyzeArtwork({ buffer, filename }) {
+  if (!buffer || buffer.length === 0) {
+    throw invalid('the file is empty');
+  }
+  if (buffer.length > MAX_ARTWORK_BYTES) {
+    throw invalid(`must be at most ${Math.round(MAX_ARTWORK_BYTES / 1024 / 1024)} MB`);
+  }
+
+  const format = detectImageType(buffer);
+  if (!format) {
+    throw invalid('must be a PNG, JPEG or SVG image');
+  }
+
+  const content = format === 'svg'
+    ? Buffer.from(sanitizeSvg(buffer.toString('utf8')), 'utf8')
+    : buffer;
+
+  let info;
+  try {
+    info = await sharp(content).metadata();
+  } catch (error) {
+    throw invalid(`could not be read as ${format.toUpperCase()}: ${error.message}`);
+  }
+
+  const { width, height } = info;
+  if (!width || !height) {
+    throw invalid('has no width and height');
+  }
+  if (Math.max(width, height) > MAX_DIMENSION) {
+    throw invalid(`must be at most ${MAX_DIMENSION} pixels on each side (got ${width}x${height})`);
+  }
+
+  const vector = format === 'svg';
+  let transparent = vector || !!info.hasAlpha;
+  if (!vector && info.hasAlpha) {
+    const stats = await sharp(content).stats();
+    transparent = !stats.isOpaque;
+  }
+
+  return {
+    buffer: content,
+    format,
+    extension: FORMATS[format].extension,
+    contentType: FORMATS[format].contentType,
+    originalFilename: filename || null,
+    width,
+    height,
+    // Raster DPI stored in the file (pHYs / JFIF); informational, print size decides the real DPI
+    dpi: vector ? null : info.density || null,
+    hasAlpha: vector || !!info.hasAlpha,
+    transparent,
+    vector,
+    size: content.length,
+    sha256: crypto.createHash('sha256').update(content).digest('hex')
+  };
+}
+
+/**
+ * Print-readiness of a stored artwork record at a location's print size.
+ *
+ * Effective DPI is the lower of the horizontal and vertical pixel densities once the
+ * art is scaled to width x height inches. Flags art below `minDpi` and art without
+ * a transparent background (DTF transfers print everything that is not transparent).
+ *
+ * @returns {object} { artwork_id, ..., effective_dpi, print_ready, issues: [{ code, message }] }
+ */
+function checkPrintReadiness(artwork, location, minDpi = MIN_PRINT_DPI) {
+  const { width, height } = normalizeLocation(location);
+  const issues = [];
+
+  let effectiveDpi = null;
+  if (!artwork.vector && width > 0 && height > 0) {
+    effectiveDpi = Math.floor(Math.min(artwork.width_px / width, artwork.height_px / height));
+
+    if (effectiveDpi < minDpi) {
+      issues.push({
+        code: 'low_resolution',
+        message: `Artwork is ${effectiveDpi} DPI at ${width}" x ${height}"; at least ${minDpi} DPI is needed`
+      });
+    }
+  }
+
+  if (!artwork.transparent) {
+    issues.push({
+      code: 'no_transparency',
+      message: artwork.has_alpha
+        ? 'Artwork has an alpha channel but no transparent pixels; the background will print'
+        : `${artwork.format.toUpperCase()} artwork has no transparency; the background will print`
+    });
+  }
+
+  return {
+    artwork_id: artwork.id,
+    artwork_name: artwork.original_filename || artwork.id,
+    width_px: artwork.width_px,
+    height_px: artwork.height_px,
+    embedded_dpi: artwork.dpi,
+    effective_dpi: effectiveDpi,
+    min_dpi: minDpi,
+    vector: artwork.vector,
+    transparent: artwork.transparent,
+    print_ready: issues.length === 0,
+    issues
+  };
+}
+
+/**
+ * Artwork files uploaded for quote locations, stored per customer in
+ * /customer_logos/{customerId}/artwork/{id}.{ext} with a {id}.json record.
+ */
+class ArtworkStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  folder(customerId) {
+    return `/customer_logos/${customerId}/artwork`;
+  }
+
+  /**
+   * Store an analyzed upload (see analyzeArtwork); returns its record
+   */
+  async add(customerId, artwork) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const filePath = `${this.folder(customerId)}/${id}.${artwork.extension}`;
+
+    await this.storage.uploadFile(filePath, artwork.buffer);
+
+    const record = {
+      id,
+      customer_id: String(customerId),
+      filename: `${id}.${artwork.extension}`,
+      original_filename: artwork.originalFilename,
+      content_type: artwork.contentType,
+      format: artwork.format,
+      width_px: artwork.width,
+      height_px: artwork.height,
+      dpi: artwork.dpi,
+      has_alpha: artwork.hasAlpha,
+      transparent: artwork.transparent,
+      vector: artwork.vector,
+      size: artwork.size,
+      sha256: artwork.sha256,
+      url: await this.storage.createSharedLink(filePath),
+      uploaded_at: new Date().toISOString()
+    };
+
+    await this.storage.uploadFile(`${this.folder(customerId)}/${id}.json`, JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  /**
+   * An artwork record, or null when the customer has no such artwork
+   */
+  async get(customerId, artworkId) {
+    if (!/^[0-9a-f]{12}$/.test(artworkId)) return null;
+
+    try {
+      const content = await this.storage.downloadFile(`${this.folder(customerId)}/${artworkId}.json`);
+      return JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Copy one of a customer's artwork files to another customer under a new ID;
+   * returns the new record, or null when the source does not exist
+   */
+  async copy(fromCustomerId, artworkId, toCustomerId) {
+    const source = await this.get(fromCustomerId, artworkId);
+    if (!source) return null;
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const extension = source.filename.slice(source.filename.lastIndexOf('.') + 1);
+    const filePath = `${this.folder(toCustomerId)}/${id}.${extension}`;
+
+    await this.storage.uploadFile(filePath, await this.storage.downloadFile(`${this.folder(fromCustomerId)}/${source.filename}`));
+
+    const record = {
+      ...source,
+      id,
+      customer_id: String(toCustomerId),
+      filename: `${id}.${extension}`,
+      url: await this.storage.createSharedLink(filePath),
+      copied_from: { customer_id: source.customer_id, artwork_id: source.id },
+      uploaded_at: new Date().toISOString()
+    };
+
+    await this.storage.uploadFile(`${this.folder(toCustomerId)}/${id}.json`, JSON.stringify(record, null, 2));
+    return record;
+  }
+}
+
+module.exports = { ArtworkStore, analyzeArtwork, checkPrintReadiness, MAX_ARTWORK_BYTES, MIN_PRINT_DPI };
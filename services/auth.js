@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { AuthenticationError } = require('./errors');
+
+const DEFAULT_TOKEN_TTL = 12 * 60 * 60; // seconds
+const DEFAULT_PROXY_MAX_AGE = 5 * 60; // seconds
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Verify a Shopify App Proxy request signature.
+ *
+ * Shopify signs every proxied request: all query parameters except `signature`,
+ * as "key=value" (repeated keys joined with ","), sorted and concatenated with no
+ * separator, HMAC-SHA256 with the app's shared secret, hex encoded.
+ *
+ * @param {string} rawQuery - the query string exactly as received (without "?")
+ * @returns {object|null} the signed parameters, or null when the signature is missing or wrong
+ */
+function verifyProxySignature(rawQuery, secret, options = {}) {
+  const params = new URLSearchParams(rawQuery);
+  const signature = params.get('signature');
+  if (!secret || !signature) return null;
+
+  const grouped = {};
+  for (const [key, value] of params) {
+    if (key === 'signature') continue;
+    (grouped[key] = grouped[key] || []).push(value);
+  }
+
+  const message = Object.keys(grouped)
+    .sort()
+    .map(key => `${key}=${grouped[key].join(',')}`)
+    .join('');
+  const expected = crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+  if (!safeEqual(expected, signature)) return null;
+
+  // Stop replays of an old signed URL
+  const maxAge = options.maxAgeSeconds ?? DEFAULT_PROXY_MAX_AGE;
+  const timestamp = Number(grouped.timestamp && grouped.timestamp[0]);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > maxAge) return null;
+
+  return Object.fromEntries(Object.entries(grouped).map(([key, values]) => [key, values.join(',')]));
+}
+
+/**
+ * Issue a signed customer token: base64url(payload).base64url(HMAC-SHA256(payload))
+ */
+function signCustomerToken(customerId, secret, ttlSeconds = DEFAULT_TOKEN_TTL) {
+  const payload = base64url(JSON.stringify({
+    sub: String(customerId),
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  }));
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Check a customer token; returns its payload ({ sub, exp }) or null
+ */
+function verifyCustomerToken(token, secret) {
+  if (!secret || typeof token !== 'string') return null;
+
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  if (!safeEqual(expected, signature)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub || !(claims.exp > Date.now() / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Work out who is calling: a Shopify App Proxy signature (logged_in_customer_id)
+ * or an "Authorization: Bearer <customer token>" header.
+ *
+ * @returns {object} { customerId, method: "app_proxy" | "token" }
+ * @throws {AuthenticationError}
+ */
+function authenticateRequest(req, config = authConfig()) {
+  const queryIndex = req.originalUrl.indexOf('?');
+  const rawQuery = queryIndex >= 0 ? req.originalUrl.slice(queryIndex + 1) : '';
+
+  if (rawQuery.includes('signature=')) {
+    const signed = verifyProxySignature(rawQuery, config.proxySecret, { maxAgeSeconds: config.proxyMaxAge });
+    if (!signed) {
+      throw new AuthenticationError('Invalid app proxy signature');
+    }
+    if (!signed.logged_in_customer_id) {
+      throw new AuthenticationError('Customer is not logged in');
+    }
+    return { customerId: signed.logged_in_customer_id, method: 'app_proxy' };
+  }
+
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    const claims = verifyCustomerToken(match[1], config.tokenSecret);
+    if (!claims) {
+      throw new AuthenticationError('Invalid or expired customer token');
+    }
+    return { customerId: claims.sub, method: 'token' };
+  }
+
+  throw new AuthenticationError();
+}
+
+/**
+ * Auth settings from the environment
+ */
+function authConfig() {
+  return {
+    mode: process.env.AUTH_MODE || 'required',
+    proxySecret: process.env.SHOPIFY_API_SECRET,
+    proxyMaxAge: process.env.SHOPIFY_PROXY_MAX_AGE ? Number(process.env.SHOPIFY_PROXY_MAX_AGE) : undefined,
+    tokenSecret: process.env.CUSTOMER_TOKEN_SECRET,
+    tokenTtl: process.env.CUSTOMER_TOKEN_TTL ? Number(process.env.CUSTOMER_TOKEN_TTL) : DEFAULT_TOKEN_TTL
+  };
+}
+
+/**
+ * Express middleware: sets req.auth = { customerId, method } or answers 401.
+ * With AUTH_MODE=off every request passes as { customerId: null, method: "none" } (local development only).
+ */
+function authenticate(req, res, next) {
+  const config = authConfig();
+
+  if (config.mode === 'off') {
+    req.auth = { customerId: null, method: 'none' };
+    return next();
+  }
+
+  try {
+    req.auth = authenticateRequest(req, config);
+    next();
+  } catch (error) {
+    if (!(error instanceof AuthenticationError)) return next(error);
+    res.status(401).json({ error: error.message });
+  }
+}
+
+/**
+ * Whether the authenticated caller may act for the given customer
+ */
+function canAccessCustomer(auth, customerId) {
+  if (!auth) return false;
+  if (auth.method === 'none') return true;
+  return customerId !== undefined && customerId !== null && String(auth.customerId) === String(customerId);
+}
+
+module.exports = {
+  verifyProxySignature,
+  signCustomerToken,
+  verifyCustomerToken,
+  authenticateRequest,
+  authConfig,
+  authenticate,
+  canAccessCustomer
+};
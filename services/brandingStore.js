@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { isNotFound } = require('./storage');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_BRANDING = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'branding.json'), 'utf8'));
+
+const TEXT_FIELDS = {
+  company_name: 80,
+  tagline: 120,
+  phone: 40,
+  email: 120,
+  website: 200,
+  footer_message: 300,
+  logo_url: 2000
+};
+const COLOR_FIELDS = ['primary_color', 'primary_dark_color', 'accent_color'];
+const MAX_TEMPLATE_BYTES = 200 * 1024;
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Check a branding profile; returns the cleaned profile or throws ValidationError
+ */
+function validateBranding(profile) {
+  const errors = [];
+  const clean = {};
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new ValidationError('Invalid branding profile', [{ field: 'branding', message: 'must be an object' }]);
+  }
+
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    if (profile[field] === undefined) continue;
+    if (typeof profile[field] !== 'string' || profile[field].length > maxLength) {
+      errors.push({ field, message: `must be a string of at most ${maxLength} characters` });
+    } else {
+      clean[field] = profile[field].trim();
+    }
+  }
+
+  for (const field of COLOR_FIELDS) {
+    if (profile[field] === undefined) continue;
+    if (typeof profile[field] !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(profile[field])) {
+      errors.push({ field, message: 'must be a hex colour such as #CF0F0F' });
+    } else {
+      // Always store #rrggbb so templates can append an alpha channel
+      clean[field] = profile[field].length === 4
+        ? `#${profile[field].slice(1).split('').map(digit => digit + digit).join('')}`
+        : profile[field];
+    }
+  }
+
+  if (profile.use_logo !== undefined) {
+    if (typeof profile.use_logo !== 'boolean') {
+      errors.push({ field: 'use_logo', message: 'must be true or false' });
+    } else {
+      clean.use_logo = profile.use_logo;
+    }
+  }
+
+  if (clean.logo_url && !/^https:\/\//i.test(clean.logo_url)) {
+    errors.push({ field: 'logo_url', message: 'must be an https URL' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid branding profile', errors);
+  }
+
+  return clean;
+}
+
+/**
+ * Per-reseller branding profiles and custom quote templates, kept next to the
+ * customer's logo in /customer_logos/{customerId}/
+ */
+class BrandingStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  folder(customerId) {
+    return `/customer_logos/${customerId}`;
+  }
+
+  async readOptional(filePath) {
+    try {
+      return await this.storage.downloadFile(filePath);
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * The reseller's saved profile (without defaults), or null
+   */
+  async loadProfile(customerId) {
+    const content = await this.readOptional(`${this.folder(customerId)}/branding.json`);
+    return content ? JSON.parse(content.toString('utf8')) : null;
+  }
+
+  /**
+   * Effective branding for a customer: defaults overlaid with their profile
+   */
+  async load(customerId) {
+    if (!customerId) {
+      return { ...DEFAULT_BRANDING, custom: false };
+    }
+
+    const profile = await this.loadProfile(customerId);
+    return { ...DEFAULT_BRANDING, ...(profile || {}), custom: !!profile };
+  }
+
+  async save(customerId, profile) {
+    const clean = validateBranding(profile);
+    const saved = { ...clean, updated_at: new Date().toISOString() };
+
+    await this.storage.uploadFile(`${this.folder(customerId)}/branding.json`, JSON.stringify(saved, null, 2));
+    return saved;
+  }
+
+  async remove(customerId) {
+    try {
+      await this.storage.deleteFile(`${this.folder(customerId)}/branding.json`);
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+  }
+
+  /**
+   * The reseller's uploaded HTML template, or null
+   */
+  async loadTemplate(customerId) {
+    if (!customerId) return null;
+
+    const content = await this.readOptional(`${this.folder(customerId)}/quote_template.html`);
+    return content ? content.toString('utf8') : null;
+  }
+
+  async saveTemplate(customerId, template) {
+    if (typeof template !== 'string' || template.trim() === '') {
+      throw new ValidationError('Invalid template', [{ field: 'template', message: 'must be a non-empty HTML string' }]);
+    }
+    if (Buffer.byteLength(template) > MAX_TEMPLATE_BYTES) {
+      throw new ValidationError('Invalid template', [{ field: 'template', message: `must be at most ${MAX_TEMPLATE_BYTES / 1024} KB` }]);
+    }
+
+    await this.storage.uploadFile(`${this.folder(customerId)}/quote_template.html`, template);
+  }
+
+  async removeTemplate(customerId) {
+    try {
+      await this.storage.deleteFile(`${this.folder(customerId)}/quote_template.html`);
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+  }
+
+  /**
+   * Logo to show on quotes: an explicit logo_url, otherwise (with use_logo) the
+   * customer's stored logo embedded as a data URI so the quote has no outside dependency.
+   * Returns { url, buffer, contentType } or null.
+   */
+  async resolveLogo(customerId, branding, logoData) {
+    if (branding.logo_url) {
+      return { url: branding.logo_url, buffer: null, contentType: null };
+    }
+    if (!branding.use_logo || !logoData) {
+      return null;
+    }
+
+    if (logoData.filename) {
+      const contentType = IMAGE_TYPES[path.extname(logoData.filename).toLowerCase()];
+      const content = contentType && await this.readOptional(`${this.folder(customerId)}/${logoData.filename}`).catch(() => null);
+
+      if (content) {
+        return { url: `data:${contentType};base64,${content.toString('base64')}`, buffer: content, contentType };
+      }
+    }
+
+    const url = logoData.url || logoData.logo_url;
+    return url ? { url, buffer: null, contentType: null } : null;
+  }
+}
+
+module.exports = { BrandingStore, validateBranding, DEFAULT_BRANDING };
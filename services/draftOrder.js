@@ -0,0 +1,81 @@
+const { ValidationError } = require('./errors');
+const { normalizeLocation, formatInches } = require('./pricing');
+const { parseMoney } = require('./quoteListing');
+
+/**
+ * Shopify draft order for a saved quote.
+ *
+ * The garments are one line item at the quote's retail price per unit (the order total
+ * matches the quote's retail_total to the cent). Each location
+ * follows as its own transfer line item (quantity = transfers, included in the unit
+ * price) so production sees every print. Numeric customer IDs are Shopify customer IDs;
+ * customer_email becomes the order email.
+ */
+function buildDraftOrder(quote) {
+  const units = Number(quote.pricing_inputs && quote.pricing_inputs.units) || 0;
+  const retailTotal = parseMoney((quote.pricing && quote.pricing.retail_total) ?? (quote.data && quote.data.retail_total));
+  const locations = (quote.locations || [])
+    .map((location, index) => ({ ...normalizeLocation(location), index, artwork: location.print_check }))
+    .filter(location => location.quantity > 0);
+
+  const errors = [];
+  if (units <= 0) errors.push({ field: 'pricing_inputs.units', message: 'must be at least 1 to create an order' });
+  if (locations.length === 0) errors.push({ field: 'locations', message: 'needs at least one location with a quantity' });
+  if (errors.length > 0) {
+    throw new ValidationError('Quote cannot become a draft order', errors);
+  }
+
+  // Shopify prices are whole cents: round the unit price up and take the excess off the order
+  const unitPrice = Math.ceil(Math.round(retailTotal / units * 1e6) / 1e4) / 100;
+  const excess = Math.round((unitPrice * units - retailTotal) * 100) / 100;
+
+  const quoteProperty = { name: 'Quote', value: String(quote.id) };
+  const lineItems = [
+    {
+      title: quote.quote_name,
+      quantity: units,
+      price: unitPrice.toFixed(2),
+      properties: [quoteProperty]
+    },
+    ...locations.map(location => ({
+      title: `DTF transfer - ${location.name || `Location ${location.index + 1}`} (${formatInches(location.width)} x ${formatInches(location.height)})`,
+      quantity: location.quantity,
+      price: '0.00',
+      taxable: false,
+      requires_shipping: false,
+      properties: [
+        quoteProperty,
+        ...(location.artwork ? [{ name: 'Artwork', value: String(location.artwork.artwork_name) }] : [])
+      ]
+    }))
+  ];
+
+  const draftOrder = {
+    line_items: lineItems,
+    note: `Quote ${quote.quote_name} (${quote.id})`,
+    tags: 'dtf-quote',
+    note_attributes: [{ name: 'quote_id', value: String(quote.id) }]
+  };
+
+  if (excess > 0) {
+    draftOrder.applied_discount = {
+      title: 'Quote total',
+      description: 'Rounding to the quoted total',
+      value_type: 'fixed_amount',
+      value: excess.toFixed(2),
+      amount: excess.toFixed(2)
+    };
+  }
+
+  if (/^\d+$/.test(String(quote.customer_id ?? ''))) {
+    draftOrder.customer = { id: Number(quote.customer_id) };
+    draftOrder.use_customer_default_address = true;
+  }
+  if (quote.customer_email) {
+    draftOrder.email = quote.customer_email;
+  }
+
+  return draftOrder;
+}
+
+module.exports = { buildDraftOrder };
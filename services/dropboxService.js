@@ -1,99 +1,179 @@
-const axios = require('axios');
+const { createStorage, isNotFound, isConflict } = require('./storage');
+const { QuoteConflictError, ValidationError, ForbiddenError, ConflictError } = require('./errors');
+const { applyPricing, loadPriceTables, normalizeLocation } = require('./pricing');
+const { nestLocations, renderLayoutSvg } = require('./nesting');
+const { buildQuoteView, escapeView } = require('./quoteView');
+const { validateQuotePayload, validateCustomerId } = require('./quoteSchema');
+const { processLogo } = require('./logoUpload');
+const { LogoLibrary } = require('./logoLibrary');
+const { statusOf, checkTransition, applyStatusChange, LOCKED_STATUSES, STATUS_LABELS } = require('./quoteStatus');
+const { ApprovalLinks } = require('./approvalLinks');
+const { validUntilFor, isPastValidity, isDueForArchive, VALID_DAYS, RETENTION_DAYS } = require('./quoteExpiry');
+const { DECISIONS } = require('./approvalPage');
+const ShopifyClient = require('./shopifyClient');
+const { buildDraftOrder } = require('./draftOrder');
+const { QuoteMailer, buildQuoteEmail, validateSendRequest } = require('./quoteMailer');
+const { Webhooks } = require('./webhooks');
+const { Trash, TRASH_RETENTION_DAYS } = require('./trash');
+const { QuoteTemplates } = require('./quoteTemplates');
+const { QuoteNumbers } = require('./quoteNumbers');
+const { validateCopyOverrides, cloneQuoteData, quoteDataFromTemplate } = require('./quoteCopy');
+const { ArtworkStore, analyzeArtwork, checkPrintReadiness, MIN_PRINT_DPI } = require('./artwork');
+const { generateQuotePdf } = require('./quotePdf');
+const { BrandingStore, DEFAULT_BRANDING } = require('./brandingStore');
+const { renderTemplate, escapeHtml } = require('./templateEngine');
+const QuoteIndex = require('./quoteIndex');
+const { QuoteRevisions, diffQuotes } = require('./quoteRevisions');
+const { paginateQuotes, filterQuotes } = require('./quoteListing');
 
-class DropboxService {
-  constructor() {
-    this.appKey = process.env.DROPBOX_APP_KEY;
-    this.appSecret = process.env.DROPBOX_APP_SECRET;
-    this.refreshToken = process.env.DROPBOX_REFRESH_TOKEN;
-    this.accessToken = null;
-    this.tokenExpiresAt = null;
-    
-    this.apiUrl = 'https://api.dropboxapi.com';
-    this.contentApiUrl = 'https://content.dropboxapi.com';
-    this.authUrl = 'https://api.dropbox.com';
-    
-    if (!this.appKey || !this.appSecret) {
-      console.warn('⚠️  Dropbox credentials not fully configured. Check your .env file.');
-    }
-  }
+// Sends kept in a quote's email_log (oldest dropped first)
+const EMAIL_LOG_LIMIT = 50;
 
-  /**
-   * Refresh access token using refresh token
-   */
-  async refreshAccessToken() {
-    try {
-      console.log('🔄 Refreshing Dropbox access token...');
-      
-      if (!this.appKey || !this.appSecret || !this.refreshToken) {
-        throw new Error('Missing Dropbox OAuth credentials');
-      }
-
-      const response = await axios.post(`${this.authUrl}/oauth2/token`, new URLSearchParams({
-        grant_type: 'refresh_token',
-        refresh_token: this.refreshToken,
-        client_id: this.appKey,
-        client_secret: this.appSecret
-      }), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      });
+// Archived quotes (one folder each) and the maintenance run reports
+const ARCHIVE_FOLDER = '/dtf-quotes/archive';
+const REPORTS_FOLDER = `${ARCHIVE_FOLDER}/_reports`;
+const MAINTENANCE_ACTOR = { type: 'system', id: 'quote-maintenance' };
 
-      const { access_token, expires_in } = response.data;
-      
-      this.accessToken = access_token;
-      this.tokenExpiresAt = new Date(Date.now() + (expires_in * 1000));
-      
-      console.log(`✅ Token refreshed successfully. Expires at: ${this.tokenExpiresAt.toISOString()}`);
-      
-      return this.accessToken;
-      
-    } catch (error) {
-      console.error('❌ Token refresh failed:', error.response?.data || error.message);
-      throw new Error(`Failed to refresh token: ${error.message}`);
-    }
-  }
+// Storage error handler for files that may already be gone: returns fallback instead
+const ignoreMissing = fallback => error => {
+  if (isNotFound(error)) return fallback;
+  throw error;
+};
 
+class DropboxService {
   /**
-   * Check if token needs refresh and refresh if necessary
+   * @param {object} [storage] - storage driver; defaults to the one picked by STORAGE_DRIVER
    */
-  async refreshTokenIfNeeded() {
-    // If no token or token expires in less than 10 minutes, refresh it
-    const bufferTime = 10 * 60 * 1000; // 10 minutes in milliseconds
-    
-    if (!this.accessToken || !this.tokenExpiresAt || Date.now() >= (this.tokenExpiresAt.getTime() - bufferTime)) {
-      await this.refreshAccessToken();
-    }
-    
-    return this.accessToken;
+  constructor(storage = createStorage()) {
+    this.storage = storage;
+    this.quoteIndex = new QuoteIndex(storage);
+    this.quoteRevisions = new QuoteRevisions(storage);
+    this.branding = new BrandingStore(storage);
+    this.logoLibrary = new LogoLibrary(storage);
+    this.artwork = new ArtworkStore(storage);
+    this.approvalLinks = new ApprovalLinks(storage);
+    this.shopify = new ShopifyClient();
+    this.mailer = new QuoteMailer();
+    this.webhooks = new Webhooks(storage);
+    this.trash = new Trash(storage);
+    this.quoteTemplates = new QuoteTemplates(storage);
+    this.quoteNumbers = new QuoteNumbers(storage);
   }
 
   /**
-   * Get valid access token (refresh if needed)
+   * Refresh the storage driver's access token if it has one
    */
-  async getValidToken() {
-    await this.refreshTokenIfNeeded();
-    return this.accessToken;
+  async refreshTokenIfNeeded() {
+    return this.storage.refreshTokenIfNeeded();
   }
 
   /**
-   * Save quote to Dropbox
+   * Save quote to storage. A new quote gets the next quote number as its ID, and the
+   * `id` the client sent (if any) becomes an alias for it (see services/quoteNumbers.js).
+   * @param {object} [options] - { expectedVersion } version token the client last loaded,
+   *   { restoredFrom } revision number when restoring an old revision,
+   *   { savePdf } to also store a PDF copy with its own shared link (kept up to date on later saves),
+   *   { ownerId } authenticated customer; the quote must be (or become) theirs,
+   *   { copiedFrom } { type: 'quote' | 'template', id } a new quote was started from (see cloneQuote)
    */
-  async saveQuote(quoteData, isUpdate = false) {
+  async saveQuote(quoteData, isUpdate = false, options = {}) {
     try {
-      const token = await this.getValidToken();
+      // Reject payloads outside the declared schema before anything is computed or rendered
+      validateQuotePayload(quoteData);
+
+      if (options.ownerId !== undefined && options.ownerId !== null) {
+        if (quoteData.customer_id === undefined || quoteData.customer_id === null || quoteData.customer_id === '') {
+          quoteData = { ...quoteData, customer_id: String(options.ownerId) };
+        } else if (String(quoteData.customer_id) !== String(options.ownerId)) {
+          throw new ForbiddenError('customer_id does not match the signed-in customer');
+        }
+      }
+
+      // Saves under a known ID or client alias update that quote; anything else is a new quote
+      let newAlias = null;
+      let clientId = null;
+      const knownId = quoteData.id ? await this.findQuoteId(quoteData.id) : null;
+      if (knownId) {
+        clientId = knownId !== quoteData.id ? this.quoteNumbers.normalizeAlias(quoteData.id) : null;
+        quoteData = { ...quoteData, id: knownId };
+      } else {
+        if (quoteData.id && this.quoteNumbers.isQuoteNumber(quoteData.id)) {
+          throw new ValidationError('Invalid quote data', [{ field: 'id', message: 'is not an existing quote number; leave it out for a new quote' }]);
+        }
+        // There is no stored quote for an expected version to match
+        if (options.expectedVersion) {
+          throw new QuoteConflictError(quoteData.id || null, null);
+        }
+        newAlias = clientId = quoteData.id ? this.quoteNumbers.normalizeAlias(quoteData.id) : null;
+      }
+
+      // Money fields are always computed server-side; client figures are never stored as-is
+      quoteData = applyPricing(quoteData);
+
+      // Print-readiness is likewise recomputed from the referenced artwork on every save
+      quoteData = await this.checkQuoteArtwork(quoteData);
+
+      // A number is only taken once the quote has passed validation, so rejected saves leave no gaps
+      if (!knownId) {
+        quoteData = { ...quoteData, id: await this.quoteNumbers.next(id => this.quoteExists(id)) };
+      }
+
       const fileName = this.generateFileName(quoteData);
       const filePath = `/dtf-quotes/${fileName}`;
+      const customerFilePath = filePath.replace(/\.html$/, '_customer.html');
+      const metadataPath = `/dtf-quotes/${quoteData.id}_metadata.json`;
+
+      // Current copy, if any: needed for the version check, the revision number and to follow customer/name changes
+      const current = await this.readJsonWithVersion(metadataPath).catch(error => {
+        if (isNotFound(error)) return null;
+        throw error;
+      });
+      const previous = current && current.data;
+
+      // Checked before the version so a conflict never hands another customer's quote back
+      if (previous && options.ownerId !== undefined && options.ownerId !== null &&
+          String(previous.customer_id) !== String(options.ownerId)) {
+        throw new ForbiddenError('Quote belongs to another customer');
+      }
+
+      if (options.expectedVersion && (!current || current.version !== options.expectedVersion)) {
+        throw new QuoteConflictError(quoteData.id, current && { ...current.data, version: current.version });
+      }
+
+      // What the customer approved stays as approved; changes go into a copy (see cloneQuote)
+      if (previous && LOCKED_STATUSES.includes(statusOf(previous))) {
+        throw new ValidationError('Invalid quote data', [{ field: 'status', message: `${statusOf(previous)} quotes cannot be edited; clone the quote to make changes` }]);
+      }
+
+      // Status is never taken from the payload; it only moves through changeQuoteStatus
+      const statusFields = applyStatusChange(previous, null);
+      quoteData = { ...quoteData, status: statusFields.status, valid_until: validUntilFor(quoteData, previous) };
+
+      // The latest approval decision stays until the quote is sent again
+      const approval = (previous && previous.approval) || null;
+
+      // Quotes saved before revisions existed get their current state kept as revision 1
+      if (previous && !previous.revision) {
+        await this.quoteRevisions.record(previous, 1);
+        previous.revision = 1;
+      }
+      const revision = previous ? previous.revision + 1 : 1;
+
+      // Once a quote has a stored PDF, every save refreshes it
+      const pdfPath = options.savePdf || (previous && previous.pdf_path)
+        ? filePath.replace(/\.html$/, '.pdf')
+        : null;
       
-      // Generate HTML content with proper location data
-      const htmlContent = this.generateQuoteHtml(quoteData);
-      
-      // Upload HTML file
-      const uploadResult = await this.uploadFile(filePath, htmlContent, token);
+      // Generate HTML content with proper location data, in the reseller's branding:
+      // the internal worksheet and the customer-facing quote (retail prices only)
+      const branding = await this.loadQuoteBranding(quoteData.customer_id);
+      const htmlContent = this.generateQuoteHtml(quoteData, branding);
+      const customerHtmlContent = this.generateQuoteHtml(quoteData, branding, { mode: 'customer' });
       
       // Create metadata
       const metadata = {
         id: quoteData.id,
+        client_id: clientId || (previous && previous.client_id) || null,
         quote_name: quoteData.quote_name,
         customer_id: quoteData.customer_id,
         customer_email: quoteData.customer_email,
@@ -101,11 +181,27 @@ class DropboxService {
         data: quoteData.data,
         locations: quoteData.locations, // Ensure locations are preserved
         total_transfers: quoteData.total_transfers,
+        pricing_inputs: quoteData.pricing_inputs,
         pricing: quoteData.pricing,
+        layout_preview: !!quoteData.layout_preview,
+        valid_until: quoteData.valid_until,
+        print_readiness: quoteData.print_readiness,
+        ...statusFields,
+        approval,
+        shopify_draft_order: (previous && previous.shopify_draft_order) || null,
+        email_log: (previous && previous.email_log) || [],
+        copied_from: options.copiedFrom || (previous && previous.copied_from) || null,
         file_path: filePath,
+        customer_file_path: customerFilePath,
+        pdf_path: pdfPath,
+        revision: revision,
         last_updated: new Date().toISOString()
       };
 
+      if (options.restoredFrom) {
+        metadata.restored_from = options.restoredFrom;
+      }
+
       // Debug location data being saved
       console.log('📤 Saving quote data:', {
         id: quoteData.id,
@@ -117,16 +213,90 @@ class DropboxService {
 
       console.log('💾 Saving metadata:', metadata);
 
-      // Save metadata
-      const metadataPath = `/dtf-quotes/${quoteData.id}_metadata.json`;
-      await this.uploadFile(metadataPath, JSON.stringify(metadata, null, 2), token);
+      // Save metadata first and only if nobody wrote it since we read it; this is the commit point
+      let saved;
+      try {
+        saved = await this.writeJson(metadataPath, metadata, current ? { rev: current.version } : { mustNotExist: true });
+      } catch (writeError) {
+        if (!isConflict(writeError)) throw writeError;
+
+        const latest = await this.readJsonWithVersion(metadataPath).catch(() => null);
+        throw new QuoteConflictError(quoteData.id, latest && { ...latest.data, version: latest.version });
+      }
+
+      // Claim the client's ID once the quote exists. If another new quote got it first, this
+      // save is stale and is taken back; nothing else refers to the new number yet.
+      if (newAlias) {
+        try {
+          await this.quoteNumbers.addAlias(newAlias, quoteData.id);
+        } catch (aliasError) {
+          if (!isConflict(aliasError)) throw aliasError;
+
+          await this.storage.deleteFile(metadataPath).catch(deleteError => {
+            console.warn('Could not remove stale quote:', deleteError.message);
+          });
+          throw new QuoteConflictError(newAlias, null);
+        }
+      }
+
+      // Keep this version as a numbered revision
+      await this.quoteRevisions.record(metadata, revision);
+
+      // Upload HTML files
+      await this.storage.uploadFile(filePath, htmlContent);
+      await this.storage.uploadFile(customerFilePath, customerHtmlContent);
 
-      // Create shareable link
-      let shareUrl = null;
+      // Upload PDF copy; it is shared like the customer quote, so it leaves out costs too
+      if (pdfPath) {
+        await this.storage.uploadFile(pdfPath, await generateQuotePdf(metadata, branding, { mode: 'customer' }));
+      }
+
+      // A renamed quote gets new files; drop the old ones
+      const currentPaths = [filePath, customerFilePath, pdfPath];
+      const oldPaths = previous ? [previous.file_path, previous.customer_file_path, previous.pdf_path] : [];
+      for (const oldPath of oldPaths) {
+        if (oldPath && !currentPaths.includes(oldPath)) {
+          await this.storage.deleteFile(oldPath).catch(deleteError => {
+            console.warn('Could not delete previous quote file:', deleteError.message);
+          });
+        }
+      }
+
+      // Keep the customer quote index in step
+      try {
+        if (previous && previous.customer_id != metadata.customer_id) {
+          await this.quoteIndex.remove(metadata.id, previous.customer_id);
+        }
+        await this.quoteIndex.upsert(metadata);
+      } catch (indexError) {
+        console.error('Could not update quote index (run a rebuild):', indexError.message);
+      }
+
+      // Tell webhook subscribers; deliveries run in the background and never fail the save
+      this.webhooks.emit(previous ? 'quote.updated' : 'quote.created', { quote: metadata });
+
+      // Create shareable links: one to forward to the end customer, one for the reseller's own use
+      let customerUrl = null;
+      try {
+        customerUrl = await this.storage.createSharedLink(customerFilePath);
+      } catch (shareError) {
+        console.warn('Could not create customer shared link:', shareError.message);
+      }
+
+      let internalUrl = null;
       try {
-        shareUrl = await this.createSharedLink(filePath, token);
+        internalUrl = await this.storage.createSharedLink(filePath);
       } catch (shareError) {
-        console.warn('Could not create shared link:', shareError.message);
+        console.warn('Could not create internal shared link:', shareError.message);
+      }
+
+      let pdfUrl = null;
+      if (pdfPath) {
+        try {
+          pdfUrl = await this.storage.createSharedLink(pdfPath);
+        } catch (shareError) {
+          console.warn('Could not create PDF shared link:', shareError.message);
+        }
       }
 
       return {
@@ -134,34 +304,301 @@ class DropboxService {
         message: isUpdate ? 'Quote updated successfully' : 'Quote saved successfully',
         quote_id: quoteData.id,
         file_path: filePath,
-        download_url: shareUrl,
+        customer_file_path: customerFilePath,
+        customer_url: customerUrl,
+        internal_url: internalUrl,
+        download_url: customerUrl, // safe to forward; kept for existing clients
+        pdf_url: pdfUrl,
+        version: saved.rev,
         metadata: metadata
       };
 
     } catch (error) {
+      if (error instanceof QuoteConflictError || error instanceof ValidationError || error instanceof ForbiddenError) throw error;
+
       console.error('Error saving quote:', error);
       throw new Error(`Failed to save quote: ${error.message}`);
     }
   }
 
   /**
-   * Load quote from Dropbox
+   * Change a stored quote's bookkeeping (status, approval, owner, email log, draft order) without
+   * going through saveQuote, so its prices and artwork checks stay exactly as they were
+   * quoted. The metadata is written only if nobody saved the quote since it was read
+   * (QuoteConflictError otherwise) and kept as a new revision; the rendered files are
+   * redrawn from the stored figures, since they show the status.
+   * Returns { success, quote_id, version, metadata }, or null when there is no such quote.
+   *
+   * @param {function} mutate - (metadata) => fields to set
+   * @param {object} [options] - { expectedVersion }, { statusChange } { to, by, reason } lifecycle change
    */
-  async loadQuote(quoteId, format = 'json') {
+  async updateQuoteMetadata(quoteId, mutate, options = {}) {
     try {
-      const token = await this.getValidToken();
       const metadataPath = `/dtf-quotes/${quoteId}_metadata.json`;
-      
-      const metadataContent = await this.downloadFile(metadataPath, token);
-      const metadata = JSON.parse(metadataContent);
+      const current = await this.readJsonWithVersion(metadataPath).catch(error => {
+        if (isNotFound(error)) return null;
+        throw error;
+      });
 
-      if (format === 'json') {
+      if (!current) {
+        return null;
+      }
+
+      if (options.expectedVersion && current.version !== options.expectedVersion) {
+        throw new QuoteConflictError(quoteId, { ...current.data, version: current.version });
+      }
+
+      const previous = current.data;
+      if (options.statusChange) {
+        checkTransition(statusOf(previous), options.statusChange);
+      }
+
+      // Quotes saved before revisions existed get their current state kept as revision 1
+      if (!previous.revision) {
+        await this.quoteRevisions.record(previous, 1);
+        previous.revision = 1;
+      }
+
+      const { restored_from: restoredFrom, ...kept } = previous;
+      const metadata = {
+        ...kept,
+        ...(options.statusChange ? applyStatusChange(previous, options.statusChange) : {}),
+        ...mutate(previous),
+        revision: previous.revision + 1,
+        last_updated: new Date().toISOString()
+      };
+
+      let saved;
+      try {
+        saved = await this.writeJson(metadataPath, metadata, { rev: current.version });
+      } catch (writeError) {
+        if (!isConflict(writeError)) throw writeError;
+
+        const latest = await this.readJsonWithVersion(metadataPath).catch(() => null);
+        throw new QuoteConflictError(quoteId, latest && { ...latest.data, version: latest.version });
+      }
+
+      // Recorded only once the write went through, so a lost race never overwrites the winner's revision
+      await this.quoteRevisions.record(metadata, metadata.revision);
+
+      try {
+        const branding = await this.loadQuoteBranding(metadata.customer_id);
+        await this.storage.uploadFile(metadata.file_path, this.generateQuoteHtml(metadata, branding));
+        await this.storage.uploadFile(metadata.customer_file_path, this.generateQuoteHtml(metadata, branding, { mode: 'customer' }));
+        if (metadata.pdf_path) {
+          await this.storage.uploadFile(metadata.pdf_path, await generateQuotePdf(metadata, branding, { mode: 'customer' }));
+        }
+      } catch (renderError) {
+        console.warn('Could not refresh quote files:', renderError.message);
+      }
+
+      try {
+        if (previous.customer_id != metadata.customer_id) {
+          await this.quoteIndex.remove(metadata.id, previous.customer_id);
+        }
+        await this.quoteIndex.upsert(metadata);
+      } catch (indexError) {
+        console.error('Could not update quote index (run a rebuild):', indexError.message);
+      }
+
+      this.webhooks.emit('quote.updated', { quote: metadata });
+      if (options.statusChange) {
+        this.webhooks.emit('quote.status_changed', {
+          quote_id: metadata.id,
+          change: metadata.status_history[metadata.status_history.length - 1],
+          quote: metadata
+        });
+      }
+
+      return { success: true, quote_id: quoteId, version: saved.rev, metadata };
+
+    } catch (error) {
+      if (error instanceof QuoteConflictError || error instanceof ValidationError) throw error;
+
+      console.error('Error updating quote:', error);
+      throw new Error(`Failed to update quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check the artwork referenced by each location's artwork_id at that location's print size.
+   * Returns a copy of quoteData with a fresh print_check on those locations and a
+   * print_readiness summary (null when no location has artwork).
+   */
+  async checkQuoteArtwork(quoteData) {
+    const locations = quoteData.locations || [];
+    const errors = [];
+    const checked = [];
+
+    for (const [index, entry] of locations.entries()) {
+      // Never trust a print_check sent by the client
+      const location = { ...entry };
+      delete location.print_check;
+
+      if (!location.artwork_id) {
+        checked.push(location);
+        continue;
+      }
+
+      const artwork = quoteData.customer_id
+        ? await this.artwork.get(quoteData.customer_id, location.artwork_id)
+        : null;
+
+      if (!artwork) {
+        errors.push({ field: `locations[${index}].artwork_id`, message: 'is not artwork uploaded for this customer' });
+        continue;
+      }
+
+      checked.push({ ...location, print_check: checkPrintReadiness(artwork, location) });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid quote data', errors);
+    }
+
+    const checks = checked.map(location => location.print_check).filter(Boolean);
+    const flagged = checks.filter(check => !check.print_ready).length;
+
+    return {
+      ...quoteData,
+      ...(quoteData.locations ? { locations: checked } : {}),
+      print_readiness: checks.length > 0
+        ? { checked: checks.length, flagged, print_ready: flagged === 0, min_dpi: MIN_PRINT_DPI }
+        : null
+    };
+  }
+
+  /**
+   * Analyze and store an artwork file for a customer's quote locations
+   * @param {object} upload - { buffer, filename }
+   */
+  async saveArtwork(customerId, upload) {
+    try {
+      const artwork = await analyzeArtwork(upload);
+      const record = await this.artwork.add(customerId, artwork);
+
+      console.log(`🎨 Saved artwork ${record.id} for customer ${customerId}: ${artwork.format} ${artwork.width}x${artwork.height}` +
+        (artwork.dpi ? ` @ ${artwork.dpi} DPI` : '') + (artwork.transparent ? '' : ', no transparency'));
+      return record;
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new Error(`Failed to save artwork: ${error.message}`);
+    }
+  }
+
+  /**
+   * An artwork record; null if the customer has no such artwork
+   */
+  async getArtwork(customerId, artworkId) {
+    try {
+      return await this.artwork.get(customerId, artworkId);
+    } catch (error) {
+      throw new Error(`Failed to load artwork: ${error.message}`);
+    }
+  }
+
+  /**
+   * Attach artwork to one location of a saved quote (or detach it with a null artworkId)
+   * and save the quote again, which re-runs the print-readiness check.
+   * Returns null when the quote or location does not exist.
+   *
+   * @param {object} [options] - { ownerId } as for saveQuote
+   */
+  async attachArtwork(quoteId, locationIndex, artworkId, options = {}) {
+    const current = await this.readJsonWithVersion(`/dtf-quotes/${quoteId}_metadata.json`).catch(error => {
+      if (isNotFound(error)) return null;
+      throw error;
+    });
+
+    const locations = current && current.data.locations;
+    if (!Array.isArray(locations) || !locations[locationIndex]) {
+      return null;
+    }
+
+    const previous = locations[locationIndex].artwork_id;
+    const location = { ...locations[locationIndex], artwork_id: artworkId };
+    if (!artworkId) delete location.artwork_id;
+    const updated = locations.map((entry, index) => (index === locationIndex ? location : entry));
+
+    const result = await this.saveQuote(
+      { ...current.data, locations: updated },
+      true,
+      { expectedVersion: current.version, ownerId: options.ownerId }
+    );
+
+    console.log(`🎨 ${artworkId ? `Attached artwork ${artworkId} to` : `Removed artwork ${previous} from`} location ${locationIndex + 1} of quote ${quoteId}`);
+    return { ...result, location: result.metadata.locations[locationIndex] };
+  }
+
+  /**
+   * Quote metadata, or null when there is no such quote
+   */
+  async loadQuoteMetadata(quoteId) {
+    try {
+      const metadata = await this.readJson(`/dtf-quotes/${quoteId}_metadata.json`).catch(ignoreMissing(null));
+      if (metadata || this.quoteNumbers.isQuoteNumber(quoteId)) {
         return metadata;
       }
 
+      // A client's own ID for a quote with a server quote number
+      const aliasOf = await this.quoteNumbers.resolveAlias(quoteId);
+      return aliasOf ? await this.readJson(`/dtf-quotes/${aliasOf}_metadata.json`).catch(ignoreMissing(null)) : null;
+    } catch (error) {
+      throw new Error(`Failed to load quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * The stored ID for a quote ID or a client alias of one; unknown IDs come back unchanged
+   */
+  async resolveQuoteId(quoteId) {
+    const metadata = await this.loadQuoteMetadata(quoteId);
+    return metadata ? metadata.id : quoteId;
+  }
+
+  /**
+   * The ID a save under quoteId should write to: quoteId itself if that quote exists, else
+   * the quote number its alias points at (even if that quote was never written). Null if neither.
+   */
+  async findQuoteId(quoteId) {
+    if (await this.quoteExists(quoteId)) {
+      return quoteId;
+    }
+    return this.quoteNumbers.isQuoteNumber(quoteId) ? null : this.quoteNumbers.resolveAlias(quoteId);
+  }
+
+  async quoteExists(quoteId) {
+    return this.readJson(`/dtf-quotes/${quoteId}_metadata.json`).then(() => true, ignoreMissing(false));
+  }
+
+  /**
+   * Load quote from storage.
+   * JSON results carry a `version` token to pass back as expectedVersion when saving.
+   * @param {string} [variant] - for html/pdf: "internal" worksheet (default) or "customer" quote
+   */
+  async loadQuote(quoteId, format = 'json', variant = 'internal') {
+    try {
+      const metadataPath = `/dtf-quotes/${quoteId}_metadata.json`;
+      const { data: metadata, version } = await this.readJsonWithVersion(metadataPath);
+
+      if (format === 'json') {
+        return { ...metadata, version };
+      }
+
+      // PDFs are rendered fresh from the metadata
+      if (format === 'pdf') {
+        return generateQuotePdf(metadata, await this.loadQuoteBranding(metadata.customer_id), { mode: variant });
+      }
+
+      // Quotes saved before the customer variant existed have no stored copy of it
+      if (variant === 'customer' && !metadata.customer_file_path) {
+        return this.generateQuoteHtml(metadata, await this.loadQuoteBranding(metadata.customer_id), { mode: 'customer' });
+      }
+
       // Return HTML content for printing
-      const htmlContent = await this.downloadFile(metadata.file_path, token);
-      return htmlContent;
+      const htmlPath = variant === 'customer' ? metadata.customer_file_path : metadata.file_path;
+      const htmlContent = await this.storage.downloadFile(htmlPath);
+      return htmlContent.toString('utf8');
 
     } catch (error) {
       console.error('Error loading quote:', error);
@@ -170,113 +607,1214 @@ class DropboxService {
   }
 
   /**
-   * Load all quotes for a customer
+   * Load one page of a customer's quotes
+   * @param {object} options - { sort, order, limit, after } as returned by parseListQuery
    */
-  async loadCustomerQuotes(customerId) {
+  async listCustomerQuotes(customerId, options = {}, filters = {}) {
     try {
-      const token = await this.getValidToken();
-      
-      // Scan Dropbox for metadata files
-      const quotes = await this.scanDropboxQuotes(customerId, token);
-      
-      return quotes.map(quote => ({
-        ...quote,
-        date_created: new Date(quote.date_created).toLocaleDateString()
-      }));
+      const quotes = filterQuotes(await this.getCustomerQuoteRecords(customerId), filters);
+      const page = paginateQuotes(quotes, options);
+
+      return {
+        quotes: page.quotes.map(quote => this.formatListedQuote(quote)),
+        pagination: page.pagination
+      };
 
     } catch (error) {
-      console.error('Error loading customer quotes:', error);
+      console.error('Error listing customer quotes:', error);
+      throw new Error(`Failed to list customer quotes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Raw metadata records for a customer, from the index when it exists
+   */
+  async getCustomerQuoteRecords(customerId) {
+    const indexed = await this.quoteIndex.load(customerId);
+
+    if (indexed) {
+      // An index file is only trusted for the customer its records name
+      return Object.values(indexed).filter(quote => String(quote.customer_id) === String(customerId));
+    }
+
+    if (await this.quoteIndex.isBuilt()) {
       return [];
     }
+
+    // Index has never been built; fall back to scanning every metadata file
+    return this.scanDropboxQuotes(customerId);
+  }
+
+  /**
+   * Raw metadata records for every customer's quotes
+   */
+  async getAllQuoteRecords() {
+    if (await this.quoteIndex.isBuilt()) {
+      return this.quoteIndex.loadAll();
+    }
+
+    return this.scanDropboxQuotes();
   }
 
   /**
-   * Delete quote from Dropbox
+   * One page of quotes across all customers (admin)
+   * @param {object} filters - as returned by parseQuoteFilters
+   * @param {object} options - { sort, order, limit, after } as returned by parseListQuery
    */
-  async deleteQuote(quoteId, customerId = null) {
+  async listAllQuotes(filters = {}, options = {}) {
+    try {
+      const quotes = filterQuotes(await this.getAllQuoteRecords(), filters);
+      const page = paginateQuotes(quotes, options);
+
+      return {
+        quotes: page.quotes.map(quote => this.formatListedQuote(quote)),
+        pagination: page.pagination
+      };
+
+    } catch (error) {
+      console.error('Error listing quotes:', error);
+      throw new Error(`Failed to list quotes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shape a metadata record for listing responses
+   */
+  formatListedQuote(quote) {
+    return {
+      ...quote,
+      status: statusOf(quote),
+      date_created: new Date(quote.date_created).toLocaleDateString()
+    };
+  }
+
+  /**
+   * Move a quote to the trash with its files, revisions and approval links (see services/trash.js).
+   * Its shared links keep pointing at the files; approval links stop working until it is restored.
+   *
+   * @param {object} [options] - { deletedBy } { type, id } of whoever deleted it
+   */
+  async deleteQuote(quoteId, customerId = null, options = {}) {
     try {
-      const token = await this.getValidToken();
-      
       // Get metadata first
+      quoteId = await this.resolveQuoteId(quoteId);
       const metadata = await this.loadQuote(quoteId);
-      
-      // Delete HTML file
-      await this.deleteFile(metadata.file_path, token);
-      
-      // Delete metadata file
       const metadataPath = `/dtf-quotes/${quoteId}_metadata.json`;
-      await this.deleteFile(metadataPath, token);
+
+      const files = [metadata.file_path, metadata.customer_file_path, metadata.pdf_path]
+        .filter(Boolean)
+        .map(path => ({ from: path, name: path.split('/').pop() }));
+      files.push(
+        { from: this.quoteRevisions.folder(quoteId), name: 'revisions' },
+        { from: this.approvalLinks.quotePath(quoteId), name: 'approval_links.json' },
+        // The metadata goes last: until it moves, the quote is still there
+        { from: metadataPath, name: `${quoteId}_metadata.json` }
+      );
+
+      const item = await this.trash.add({
+        type: 'quote',
+        quote_id: quoteId,
+        client_id: metadata.client_id || null,
+        customer_id: metadata.customer_id,
+        name: metadata.quote_name,
+        deleted_by: options.deletedBy || null,
+        metadata_path: metadataPath,
+        files
+      });
+
+      for (const file of item.files) {
+        await this.storage.moveFile(file.from, file.to).catch(ignoreMissing(null));
+      }
+
+      try {
+        await this.quoteIndex.remove(quoteId, metadata.customer_id);
+      } catch (indexError) {
+        console.error('Could not update quote index (run a rebuild):', indexError.message);
+      }
+
+      console.log(`🗑️ Moved quote ${quoteId} to the trash (${item.id})`);
+      this.webhooks.emit('quote.deleted', { quote_id: quoteId, quote_name: metadata.quote_name, customer_id: metadata.customer_id, trash_item_id: item.id });
 
       return {
         success: true,
-        message: 'Quote deleted successfully',
-        deleted_quote_id: quoteId
+        message: 'Quote moved to trash',
+        deleted_quote_id: quoteId,
+        trash_item_id: item.id
       };
 
     } catch (error) {
-      console.error('Error deleting quote:', error);
-      throw new Error(`Failed to delete quote: ${error.message}`);
+      console.error('Error deleting quote:', error);
+      throw new Error(`Failed to delete quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move several quotes to the trash; one failure does not stop the rest
+   * @param {object} [options] - { deletedBy }
+   * @returns {object} { deleted, failed: [{ quote_id, error }] }
+   */
+  async bulkDeleteQuotes(quoteIds, options = {}) {
+    const deleted = [];
+    const failed = [];
+
+    for (const quoteId of quoteIds) {
+      try {
+        const metadata = await this.loadQuoteMetadata(quoteId);
+        if (!metadata) {
+          failed.push({ quote_id: quoteId, error: 'Quote not found' });
+          continue;
+        }
+        await this.deleteQuote(metadata.id, null, options);
+        deleted.push(quoteId);
+      } catch (error) {
+        failed.push({ quote_id: quoteId, error: error.message });
+      }
+    }
+
+    console.log(`🗑️ Bulk delete: ${deleted.length} deleted, ${failed.length} failed`);
+    return { deleted, failed };
+  }
+
+  /**
+   * Items in the trash, newest first; one customer's when customerId is given
+   */
+  async listTrash(customerId = null) {
+    try {
+      return await this.trash.list(customerId);
+    } catch (error) {
+      throw new Error(`Failed to list trash: ${error.message}`);
+    }
+  }
+
+  /**
+   * A trash item, or null if there is none (or it belongs to another customer than customerId)
+   */
+  async getTrashItem(itemId, customerId = null) {
+    const item = await this.trash.get(itemId);
+    if (!item || (customerId !== null && String(item.customer_id) !== String(customerId))) {
+      return null;
+    }
+    return item;
+  }
+
+  /**
+   * Put a trashed quote or logo back where it was, with its metadata, files and shared links.
+   * Returns { item, quote } or { item, logo }, or null if there is no such item. Throws
+   * ConflictError when the quote ID is in use again.
+   */
+  async restoreTrashItem(itemId, customerId = null) {
+    const item = await this.getTrashItem(itemId, customerId);
+    if (!item) return null;
+
+    if (item.type === 'quote' && await this.loadQuoteMetadata(item.quote_id)) {
+      throw new ConflictError(`Quote ${item.quote_id} exists again; delete or rename it before restoring`);
+    }
+
+    try {
+      // Files go back in the order they were trashed, so a quote's metadata returns last
+      for (const file of item.files) {
+        const moved = this.storage.moveFile(file.to, file.from);
+        await (file.from === item.metadata_path ? moved : moved.catch(ignoreMissing(null)));
+      }
+      await this.storage.deleteFile(item.folder).catch(ignoreMissing(null));
+
+      if (item.type === 'quote') {
+        const metadata = await this.readJson(item.metadata_path);
+        try {
+          await this.quoteIndex.upsert(metadata);
+        } catch (indexError) {
+          console.error('Could not update quote index (run a rebuild):', indexError.message);
+        }
+        await this.trash.remove(item.id);
+
+        console.log(`♻️ Restored quote ${item.quote_id} from the trash`);
+        this.webhooks.emit('quote.restored', { quote_id: item.quote_id, quote_name: metadata.quote_name, customer_id: metadata.customer_id, trash_item_id: item.id });
+        return { item, quote: metadata };
+      }
+
+      const logo = await this.logoLibrary.restore(item.customer_id, item.logo);
+      await this.trash.remove(item.id);
+
+      console.log(`♻️ Restored logo ${logo.id} for customer ${item.customer_id} from the trash`);
+      this.webhooks.emit('logo.restored', { customer_id: item.customer_id, logo });
+      return { item, logo };
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      throw new Error(`Failed to restore from trash: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a trash item for good: its shared links are revoked, approval links removed and
+   * files deleted. Returns the item with links_revoked, or null if there is no such item.
+   */
+  async purgeTrashItem(itemId, customerId = null) {
+    const item = await this.getTrashItem(itemId, customerId);
+    if (!item) return null;
+
+    try {
+      let linksRevoked = 0;
+      for (const file of item.files) {
+        linksRevoked += await this.storage.revokeSharedLinks(file.to).catch(ignoreMissing(0));
+      }
+      if (item.client_id) {
+        await this.quoteNumbers.removeAlias(item.client_id, item.quote_id);
+      }
+
+      if (item.type === 'quote') {
+        const linksFile = item.files.find(file => file.from === this.approvalLinks.quotePath(item.quote_id));
+        if (linksFile) {
+          await this.approvalLinks.removeAll(item.quote_id, linksFile.to);
+        }
+      }
+
+      await this.storage.deleteFile(item.folder).catch(ignoreMissing(null));
+      await this.trash.remove(item.id);
+
+      console.log(`🗑️ Purged ${item.type} ${item.quote_id || item.logo_id} from the trash`);
+      return { ...item, links_revoked: linksRevoked };
+    } catch (error) {
+      console.error('Error purging from trash:', error);
+      throw new Error(`Failed to purge from trash: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a quote to another customer. Saved as a new revision and re-rendered in the new customer's branding.
+   * Artwork belongs to a customer, so the new owner gets copies of the artwork the quote uses.
+   * Returns the save result, or null if there is no such quote.
+   */
+  async reassignQuote(quoteId, customerId) {
+    customerId = validateCustomerId(customerId);
+
+    const current = await this.readJsonWithVersion(`/dtf-quotes/${quoteId}_metadata.json`).catch(ignoreMissing(null));
+    if (!current) {
+      return null;
+    }
+
+    const previousCustomerId = current.data.customer_id;
+    const locations = String(previousCustomerId) === customerId
+      ? current.data.locations
+      : await this.copyQuoteArtwork(current.data.locations, previousCustomerId, customerId);
+
+    const result = await this.updateQuoteMetadata(
+      quoteId,
+      () => ({ customer_id: customerId, ...(locations ? { locations } : {}) }),
+      { expectedVersion: current.version }
+    );
+
+    if (!result) {
+      return null;
+    }
+
+    console.log(`🔀 Reassigned quote ${quoteId}: ${previousCustomerId} → ${customerId}`);
+    return {
+      ...result,
+      message: `Quote reassigned to customer ${customerId}`,
+      previous_customer_id: previousCustomerId
+    };
+  }
+
+  /**
+   * Give each location's artwork to another customer as a copy; locations whose artwork is
+   * gone lose their artwork_id and print check. Returns the updated locations.
+   */
+  async copyQuoteArtwork(locations, fromCustomerId, toCustomerId) {
+    if (!Array.isArray(locations)) {
+      return locations;
+    }
+
+    const copies = new Map();
+    const updated = [];
+
+    for (const location of locations) {
+      if (!location.artwork_id) {
+        updated.push(location);
+        continue;
+      }
+
+      if (!copies.has(location.artwork_id)) {
+        copies.set(location.artwork_id, await this.artwork.copy(fromCustomerId, location.artwork_id, toCustomerId));
+      }
+      const copy = copies.get(location.artwork_id);
+
+      if (copy) {
+        updated.push({
+          ...location,
+          artwork_id: copy.id,
+          ...(location.print_check ? { print_check: { ...location.print_check, artwork_id: copy.id } } : {})
+        });
+      } else {
+        const { artwork_id: artworkId, print_check: printCheck, ...rest } = location;
+        updated.push(rest);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Copy a quote under a new quote number and render it afresh, optionally with
+   * another name, garment count, per-location quantities or markup (see services/quoteCopy.js).
+   * The copy starts as a draft. Returns the save result, or null if there is no such quote.
+   *
+   * @param {object} [options] - { ownerId } as for saveQuote
+   */
+  async cloneQuote(quoteId, body, options = {}) {
+    const quote = await this.loadQuoteMetadata(quoteId);
+    if (!quote) return null;
+
+    const overrides = validateCopyOverrides(body, (quote.locations || []).length);
+    const result = await this.saveQuote(cloneQuoteData(quote, overrides), false, {
+      ownerId: options.ownerId,
+      savePdf: !!quote.pdf_path,
+      copiedFrom: { type: 'quote', id: quote.id }
+    });
+
+    console.log(`📋 Cloned quote ${quote.id} as ${result.quote_id}`);
+    return result;
+  }
+
+  /**
+   * A customer's quote templates, sorted by name
+   */
+  async listQuoteTemplates(customerId) {
+    try {
+      return await this.quoteTemplates.list(customerId);
+    } catch (error) {
+      throw new Error(`Failed to list quote templates: ${error.message}`);
+    }
+  }
+
+  /**
+   * One quote template, or null if there is no such template
+   */
+  async getQuoteTemplate(customerId, templateId) {
+    try {
+      return await this.quoteTemplates.get(customerId, templateId);
+    } catch (error) {
+      throw new Error(`Failed to load quote template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a new quote template: { name, description, locations, pricing_inputs, layout_preview }
+   */
+  async createQuoteTemplate(customerId, fields) {
+    try {
+      const template = await this.quoteTemplates.create(customerId, fields);
+      console.log(`📐 Saved quote template ${template.id} for customer ${customerId}`);
+      return template;
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new Error(`Failed to save quote template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a quote template; null if there is no such template
+   */
+  async updateQuoteTemplate(customerId, templateId, fields) {
+    try {
+      return await this.quoteTemplates.edit(customerId, templateId, fields);
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new Error(`Failed to update quote template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a quote template; null if there is no such template
+   */
+  async deleteQuoteTemplate(customerId, templateId) {
+    try {
+      return await this.quoteTemplates.remove(customerId, templateId);
+    } catch (error) {
+      throw new Error(`Failed to delete quote template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a new draft quote from a template under a new quote number. Needs `units`
+   * (or `quantities`); see validateCopyOverrides for the other fields.
+   * Returns the save result, or null if there is no such template.
+   */
+  async createQuoteFromTemplate(customerId, templateId, body) {
+    const template = await this.getQuoteTemplate(customerId, templateId);
+    if (!template) return null;
+
+    const overrides = validateCopyOverrides(body, template.locations.length, { requireUnits: true });
+    const result = await this.saveQuote(quoteDataFromTemplate(template, overrides, customerId), false, {
+      ownerId: customerId,
+      copiedFrom: { type: 'template', id: templateId, name: template.name }
+    });
+
+    console.log(`📐 Created quote ${result.quote_id} from template ${templateId}`);
+    return result;
+  }
+
+  /**
+   * Move a quote to another lifecycle status (see services/quoteStatus.js), recording
+   * who changed it, when and why. Returns null when there is no such quote.
+   *
+   * @param {object} change - { to, by, reason }; `by` is { type, id } of whoever made the change
+   * @param {object} [options] - { expectedVersion }, { approval } decision to store with the change,
+   *   { fields } other metadata fields to set along with it (see updateQuoteMetadata)
+   */
+  async changeQuoteStatus(quoteId, change, options = {}) {
+    let from;
+    const result = await this.updateQuoteMetadata(quoteId, quote => {
+      from = statusOf(quote);
+      // The latest approval decision stays until the quote is sent again
+      const approval = options.approval || (change.to === 'sent' ? null : quote.approval || null);
+      return { ...options.fields, approval };
+    }, { expectedVersion: options.expectedVersion, statusChange: change });
+
+    if (!result) {
+      return null;
+    }
+
+    console.log(`📌 Quote ${quoteId}: ${from} → ${change.to}` + (change.by ? ` by ${change.by.type} ${change.by.id}` : ''));
+    return {
+      ...result,
+      message: `Quote status changed from ${from} to ${change.to}`
+    };
+  }
+
+  /**
+   * Create a public approval link for a quote. A draft quote is marked sent, since the
+   * link is how it reaches the end customer. Returns null when there is no such quote.
+   *
+   * @param {object} [createdBy] - { type, id } of whoever created the link
+   */
+  async createApprovalLink(quoteId, createdBy = null) {
+    try {
+      const metadata = await this.loadQuoteMetadata(quoteId);
+      if (!metadata) {
+        return null;
+      }
+
+      if (statusOf(metadata) === 'draft') {
+        await this.changeQuoteStatus(quoteId, { to: 'sent', by: createdBy, reason: 'Approval link created' });
+      }
+
+      const link = await this.approvalLinks.create(quoteId, createdBy);
+      console.log(`🔗 Created approval link ${link.id} for quote ${quoteId}`);
+      return link;
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof QuoteConflictError) throw error;
+      throw new Error(`Failed to create approval link: ${error.message}`);
+    }
+  }
+
+  async listApprovalLinks(quoteId) {
+    try {
+      return await this.approvalLinks.list(quoteId);
+    } catch (error) {
+      throw new Error(`Failed to list approval links: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke one approval link, or all of a quote's links without linkId; returns the revoked links
+   */
+  async revokeApprovalLink(quoteId, linkId) {
+    try {
+      const revoked = await this.approvalLinks.revoke(quoteId, linkId);
+      if (revoked.length > 0) {
+        console.log(`🔗 Revoked ${revoked.length} approval link(s) for quote ${quoteId}`);
+      }
+      return revoked;
+    } catch (error) {
+      throw new Error(`Failed to revoke approval link: ${error.message}`);
+    }
+  }
+
+  /**
+   * The quote behind a public approval token: { link, quote }, or null for unknown,
+   * revoked and expired tokens and deleted quotes
+   */
+  async resolveApprovalLink(token) {
+    const resolved = await this.approvalLinks.resolve(token);
+    if (!resolved) {
+      return null;
+    }
+
+    const current = await this.readJsonWithVersion(`/dtf-quotes/${resolved.quoteId}_metadata.json`).catch(ignoreMissing(null));
+    return current ? { link: resolved.link, quote: { ...current.data, version: current.version } } : null;
+  }
+
+  /**
+   * Store the end customer's decision from the approval page: approve moves the quote
+   * to accepted, request changes to rejected. Only a sent quote can be decided, and only
+   * as the customer saw it: if the quote changed after the page was loaded, this throws
+   * QuoteConflictError. The decision records the revision and version it was made on.
+   *
+   * @param {object} decision - validated form (see validateDecision)
+   * @param {string} version - quote version the approval page showed
+   */
+  async recordApproval(quoteId, link, decision, version) {
+    const current = await this.readJsonWithVersion(`/dtf-quotes/${quoteId}_metadata.json`).catch(ignoreMissing(null));
+    if (!current || !version || current.version !== version) {
+      throw new QuoteConflictError(quoteId, current && { ...current.data, version: current.version });
+    }
+
+    const approval = {
+      ...decision,
+      decided_at: new Date().toISOString(),
+      link_id: link.id,
+      revision: current.data.revision || 1,
+      version
+    };
+    const reason = decision.comment || (decision.decision === 'approve' ? 'Approved online' : 'Changes requested online');
+
+    const result = await this.changeQuoteStatus(
+      quoteId,
+      { to: DECISIONS[decision.decision], by: { type: 'approval_link', id: link.id, name: decision.name }, reason },
+      { approval, expectedVersion: version }
+    );
+
+    console.log(`✍️ Quote ${quoteId} ${decision.decision === 'approve' ? 'approved' : 'sent back for changes'} by ${decision.name}`);
+    return result;
+  }
+
+  /**
+   * Turn an accepted quote into a Shopify draft order (see services/draftOrder.js) and
+   * store its ID and invoice URL on the quote as shopify_draft_order. A quote that
+   * already has a draft order gets it back instead of a second one.
+   * Returns null when there is no such quote.
+   */
+  async createShopifyDraftOrder(quoteId) {
+    const current = await this.readJsonWithVersion(`/dtf-quotes/${quoteId}_metadata.json`).catch(error => {
+      if (isNotFound(error)) return null;
+      throw error;
+    });
+
+    if (!current) {
+      return null;
+    }
+    if (current.data.shopify_draft_order) {
+      return { created: false, quote_id: quoteId, draft_order: current.data.shopify_draft_order };
+    }
+
+    const status = statusOf(current.data);
+    if (status !== 'accepted') {
+      throw new ValidationError('Quote cannot become a draft order', [{ field: 'status', message: `must be accepted (is ${status})` }]);
+    }
+
+    const draft = await this.shopify.createDraftOrder(buildDraftOrder(current.data));
+    const record = {
+      id: draft.id,
+      name: draft.name,
+      invoice_url: draft.invoice_url,
+      status: draft.status,
+      total_price: draft.total_price,
+      created_at: new Date().toISOString()
+    };
+    console.log(`🛒 Created Shopify draft order ${record.name || record.id} for quote ${quoteId}`);
+
+    // The draft order exists now, so keep retrying until it is recorded on the quote
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.updateQuoteMetadata(quoteId, () => ({ shopify_draft_order: record }));
+        if (!result) throw new Error('Quote was deleted');
+        return { created: true, quote_id: quoteId, draft_order: record, version: result.version };
+      } catch (error) {
+        if (!(error instanceof QuoteConflictError) || attempt >= 4) {
+          console.error(`Draft order ${record.id} was created but not saved on quote ${quoteId}:`, error.message);
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Email the customer quote over SMTP (see services/quoteMailer.js) and add the send to the
+   * quote's email_log. A draft quote is marked sent. Returns null when there is no such quote.
+   *
+   * @param {object} body - { to, cc, subject, body, attach } send request (see validateSendRequest)
+   * @param {object} [sentBy] - { type, id } of whoever sent it
+   */
+  async sendQuoteEmail(quoteId, body, sentBy = null) {
+    const metadataPath = `/dtf-quotes/${quoteId}_metadata.json`;
+    const load = () => this.readJsonWithVersion(metadataPath).catch(error => {
+      if (isNotFound(error)) return null;
+      throw error;
+    });
+
+    let current = await load();
+    if (!current) {
+      return null;
+    }
+
+    const request = validateSendRequest(body, current.data);
+    const quote = current.data;
+    const branding = await this.loadQuoteBranding(quote.customer_id);
+    const html = await this.loadQuote(quoteId, 'html', 'customer');
+
+    let url = null;
+    if (quote.customer_file_path) {
+      try {
+        url = await this.storage.createSharedLink(quote.customer_file_path);
+      } catch (shareError) {
+        console.warn('Could not create customer shared link:', shareError.message);
+      }
+    }
+
+    const baseName = this.generateFileName(quote).replace(/\.html$/, '');
+    let attachment = null;
+    if (request.attach === 'html') {
+      attachment = { filename: `${baseName}.html`, content: html, contentType: 'text/html; charset=utf-8' };
+    } else if (request.attach === 'pdf') {
+      attachment = { filename: `${baseName}.pdf`, content: await generateQuotePdf(quote, branding, { mode: 'customer' }), contentType: 'application/pdf' };
+    }
+
+    const message = buildQuoteEmail(quote, branding, request, { html, url, attachment });
+    const sent = await this.mailer.send(message, branding.company_name);
+    const entry = {
+      sent_at: new Date().toISOString(),
+      to: request.to,
+      cc: request.cc,
+      subject: message.subject,
+      attachment: request.attach,
+      message_id: sent.message_id,
+      by: sentBy
+    };
+    console.log(`📧 Emailed quote ${quoteId} to ${request.to.join(', ')}`);
+
+    // The email is out, so keep retrying until the send is logged on the quote
+    const logEmail = latest => ({ email_log: [...(latest.email_log || []), entry].slice(-EMAIL_LOG_LIMIT) });
+    for (let attempt = 0; ; attempt++) {
+      try {
+        current = await load();
+        if (!current) throw new Error('Quote was deleted');
+
+        // A draft is marked sent by the email
+        const result = statusOf(current.data) === 'draft'
+          ? await this.changeQuoteStatus(quoteId, { to: 'sent', by: sentBy, reason: `Emailed to ${request.to.join(', ')}` }, { expectedVersion: current.version, fields: logEmail(current.data) })
+          : await this.updateQuoteMetadata(quoteId, logEmail, { expectedVersion: current.version });
+        return { success: true, quote_id: quoteId, email: entry, status: result.metadata.status, version: result.version };
+      } catch (error) {
+        if (!(error instanceof QuoteConflictError) || attempt >= 4) {
+          console.error(`Quote ${quoteId} was emailed but the send was not logged:`, error.message);
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * List the stored revisions of a quote
+   */
+  async listQuoteRevisions(quoteId) {
+    try {
+      return await this.quoteRevisions.list(quoteId);
+    } catch (error) {
+      console.error('Error listing quote revisions:', error);
+      throw new Error(`Failed to list quote revisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load one revision of a quote (null if it does not exist)
+   */
+  async getQuoteRevision(quoteId, revision) {
+    try {
+      return await this.quoteRevisions.get(quoteId, revision);
+    } catch (error) {
+      console.error('Error loading quote revision:', error);
+      throw new Error(`Failed to load quote revision: ${error.message}`);
+    }
+  }
+
+  /**
+   * Field-level diff between two revisions (null if either does not exist).
+   * Without toRevision the current revision is used.
+   */
+  async diffQuoteRevisions(quoteId, fromRevision, toRevision = null) {
+    try {
+      // Default to comparing against the current revision
+      if (!toRevision) {
+        const current = await this.readJson(`/dtf-quotes/${quoteId}_metadata.json`).catch(() => null);
+        toRevision = current && (current.revision || 1);
+      }
+
+      const [before, after] = await Promise.all([
+        this.quoteRevisions.get(quoteId, fromRevision),
+        this.quoteRevisions.get(quoteId, toRevision)
+      ]);
+
+      if (!before || !after) {
+        return null;
+      }
+
+      return {
+        quote_id: quoteId,
+        from: fromRevision,
+        to: toRevision,
+        changes: diffQuotes(before, after)
+      };
+    } catch (error) {
+      console.error('Error diffing quote revisions:', error);
+      throw new Error(`Failed to diff quote revisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make an old revision the current quote again (saved as a new revision). The quote stays
+   * with its current customer, and a restore based on a stale version is a QuoteConflictError.
+   *
+   * @param {object} [options] - { expectedVersion } version the caller last loaded
+   */
+  async restoreQuoteRevision(quoteId, revision, options = {}) {
+    const [snapshot, current] = await Promise.all([
+      this.getQuoteRevision(quoteId, revision),
+      this.readJsonWithVersion(`/dtf-quotes/${quoteId}_metadata.json`).catch(ignoreMissing(null))
+    ]);
+
+    if (!snapshot || !current) {
+      return null;
+    }
+
+    const result = await this.saveQuote(
+      { ...snapshot, customer_id: current.data.customer_id },
+      true,
+      { restoredFrom: revision, expectedVersion: options.expectedVersion || current.version }
+    );
+    return {
+      ...result,
+      message: `Quote restored from revision ${revision}`
+    };
+  }
+
+  /**
+   * Nightly housekeeping: mark sent quotes past their valid_until as expired, archive
+   * quotes that have been inactive longer than QUOTE_RETENTION_DAYS (see services/quoteExpiry.js)
+   * and purge trash items older than TRASH_RETENTION_DAYS (see services/trash.js).
+   * Every run stores a report in /dtf-quotes/archive/_reports/ and returns it.
+   *
+   * @param {object} [options] - { dryRun } to report what would change without changing it, { now }
+   */
+  async runQuoteMaintenance(options = {}) {
+    const now = options.now || new Date();
+    const report = {
+      id: now.toISOString().replace(/[:.]/g, '-'),
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      dry_run: !!options.dryRun,
+      valid_days: VALID_DAYS,
+      retention_days: RETENTION_DAYS,
+      trash_retention_days: TRASH_RETENTION_DAYS,
+      checked: 0,
+      expired: [],
+      archived: [],
+      purged: [],
+      errors: []
+    };
+
+    try {
+      const quotes = await this.getAllQuoteRecords();
+      report.checked = quotes.length;
+
+      for (const quote of quotes) {
+        if (statusOf(quote) === 'sent' && isPastValidity(quote, now)) {
+          try {
+            if (!options.dryRun) {
+              await this.changeQuoteStatus(quote.id, { to: 'expired', by: MAINTENANCE_ACTOR, reason: `Valid until ${quote.valid_until || 'the default period'}` });
+            }
+            report.expired.push({ quote_id: quote.id, customer_id: quote.customer_id, valid_until: quote.valid_until || null });
+          } catch (error) {
+            report.errors.push({ quote_id: quote.id, step: 'expire', error: error.message });
+          }
+        } else if (isDueForArchive(quote, now)) {
+          try {
+            const archived = options.dryRun ? { archive_path: null, links_revoked: 0 } : await this.archiveQuote(quote.id);
+            report.archived.push({
+              quote_id: quote.id,
+              customer_id: quote.customer_id,
+              status: statusOf(quote),
+              last_updated: quote.last_updated || null,
+              ...archived
+            });
+          } catch (error) {
+            report.errors.push({ quote_id: quote.id, step: 'archive', error: error.message });
+          }
+        }
+      }
+    } catch (error) {
+      report.errors.push({ quote_id: null, step: 'list', error: error.message });
+    }
+
+    try {
+      for (const item of await this.trash.expired(now)) {
+        try {
+          if (!options.dryRun) {
+            await this.purgeTrashItem(item.id);
+          }
+          report.purged.push({
+            trash_item_id: item.id,
+            type: item.type,
+            quote_id: item.quote_id || null,
+            logo_id: item.logo_id || null,
+            customer_id: item.customer_id,
+            deleted_at: item.deleted_at
+          });
+        } catch (error) {
+          report.errors.push({ quote_id: item.quote_id || null, trash_item_id: item.id, step: 'purge', error: error.message });
+        }
+      }
+    } catch (error) {
+      report.errors.push({ quote_id: null, step: 'list_trash', error: error.message });
+    }
+
+    report.finished_at = new Date().toISOString();
+    await this.writeJson(`${REPORTS_FOLDER}/${report.id}.json`, report);
+
+    console.log(`🗄️ Quote maintenance${report.dry_run ? ' (dry run)' : ''}: ${report.expired.length} expired, ${report.archived.length} archived, ${report.purged.length} purged from trash, ${report.errors.length} errors`);
+    return report;
+  }
+
+  /**
+   * Move a quote with its files and revisions to /dtf-quotes/archive/{quoteId}/. Shared links
+   * to its files and its approval links are revoked first, and it leaves the quote index.
+   * Returns { archive_path, links_revoked }.
+   */
+  async archiveQuote(quoteId) {
+    const metadataPath = `/dtf-quotes/${quoteId}_metadata.json`;
+    const metadata = await this.readJson(metadataPath);
+
+    // A quote ID that was archived before gets a second, timestamped folder
+    let folder = `${ARCHIVE_FOLDER}/${quoteId}`;
+    if (await this.storage.listFolder(folder).then(() => true, ignoreMissing(false))) {
+      folder = `${folder}_${Date.now()}`;
+    }
+
+    let linksRevoked = 0;
+    const fileFields = ['file_path', 'customer_file_path', 'pdf_path'].filter(field => metadata[field]);
+    for (const field of fileFields) {
+      linksRevoked += await this.storage.revokeSharedLinks(metadata[field]).catch(ignoreMissing(0));
+    }
+    await this.approvalLinks.revoke(quoteId);
+    if (metadata.client_id) {
+      await this.quoteNumbers.removeAlias(metadata.client_id, quoteId);
+    }
+
+    const archived = { ...metadata, archived_at: new Date().toISOString(), archived_from: metadataPath };
+    for (const field of fileFields) {
+      archived[field] = `${folder}/${metadata[field].split('/').pop()}`;
+      await this.storage.moveFile(metadata[field], archived[field]).catch(ignoreMissing(null));
+    }
+    await this.storage.moveFile(this.quoteRevisions.folder(quoteId), `${folder}/revisions`).catch(ignoreMissing(null));
+
+    await this.writeJson(`${folder}/${quoteId}_metadata.json`, archived);
+    await this.storage.deleteFile(metadataPath);
+
+    try {
+      await this.quoteIndex.remove(quoteId, metadata.customer_id);
+    } catch (indexError) {
+      console.error('Could not update quote index (run a rebuild):', indexError.message);
+    }
+
+    console.log(`🗄️ Archived quote ${quoteId} to ${folder}`);
+    return { archive_path: folder, links_revoked: linksRevoked };
+  }
+
+  /**
+   * Stored maintenance run reports, newest first: [{ id, created_at }]
+   */
+  async listMaintenanceReports() {
+    let entries;
+    try {
+      entries = await this.storage.listFolder(REPORTS_FOLDER);
+    } catch (error) {
+      if (isNotFound(error)) return [];
+      throw new Error(`Failed to list maintenance reports: ${error.message}`);
+    }
+
+    return entries
+      .filter(entry => entry['.tag'] !== 'folder' && entry.name.endsWith('.json'))
+      .map(entry => ({ id: entry.name.replace(/\.json$/, ''), created_at: entry.server_modified }))
+      .sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * One maintenance run report, or null if there is no such report
+   */
+  async getMaintenanceReport(reportId) {
+    try {
+      return await this.readJson(`${REPORTS_FOLDER}/${reportId}.json`);
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw new Error(`Failed to load maintenance report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rebuild the per-customer quote index from the metadata files
+   */
+  async rebuildQuoteIndex() {
+    try {
+      return await this.quoteIndex.rebuild(path => this.readJson(path));
+    } catch (error) {
+      console.error('Error rebuilding quote index:', error);
+      throw new Error(`Failed to rebuild quote index: ${error.message}`);
+    }
+  }
+
+  /**
+   * Branding to render a customer's quotes with: profile over defaults, resolved logo and custom template
+   */
+  async loadQuoteBranding(customerId) {
+    const branding = await this.branding.load(customerId);
+    const logoData = branding.use_logo && !branding.logo_url ? await this.loadCustomerLogo(customerId) : null;
+
+    branding.logo = await this.branding.resolveLogo(customerId, branding, logoData);
+    branding.template = await this.branding.loadTemplate(customerId);
+    return branding;
+  }
+
+  /**
+   * Load a customer's branding profile merged over the defaults
+   */
+  async loadCustomerBranding(customerId) {
+    try {
+      const branding = await this.branding.load(customerId);
+      branding.has_custom_template = !!(await this.branding.loadTemplate(customerId));
+      return branding;
+    } catch (error) {
+      throw new Error(`Failed to load branding: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a customer's branding profile (applied to quotes rendered from now on)
+   */
+  async saveCustomerBranding(customerId, profile) {
+    try {
+      return await this.branding.save(customerId, profile);
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new Error(`Failed to save branding: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a customer's branding profile and custom template, reverting to the defaults
+   */
+  async deleteCustomerBranding(customerId) {
+    try {
+      await this.branding.remove(customerId);
+      await this.branding.removeTemplate(customerId);
+      return { success: true, message: 'Branding reset to defaults' };
+    } catch (error) {
+      throw new Error(`Failed to delete branding: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a custom HTML quote template for a customer
+   */
+  async saveCustomerTemplate(customerId, template) {
+    try {
+      await this.branding.saveTemplate(customerId, template);
+      return { success: true, message: 'Template saved successfully' };
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new Error(`Failed to save template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a customer's custom template (the built-in layout is used again)
+   */
+  async deleteCustomerTemplate(customerId) {
+    try {
+      await this.branding.removeTemplate(customerId);
+      return { success: true, message: 'Template deleted successfully' };
+    } catch (error) {
+      throw new Error(`Failed to delete template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save an uploaded logo as the customer's default (earlier logos stay in the library)
+   * @param {object} upload - { buffer, filename } from a multipart or base64 upload
+   */
+  async saveCustomerLogo(customerId, upload, fields = {}) {
+    return this.addCustomerLogo(customerId, upload, { ...fields, makeDefault: true });
+  }
+
+  /**
+   * Load the customer's default logo
+   */
+  async loadCustomerLogo(customerId) {
+    try {
+      return await this.logoLibrary.getDefault(customerId);
+    } catch (error) {
+      // No logo found is not an error
+      return null;
+    }
+  }
+
+  /**
+   * Move the customer's default logo to the trash; the newest remaining logo becomes the default
+   *
+   * @param {object} [options] - { deletedBy }
+   */
+  async deleteCustomerLogo(customerId, options = {}) {
+    try {
+      const logoData = await this.loadCustomerLogo(customerId);
+      
+      if (logoData) {
+        await this.trashLogo(customerId, logoData.id, options.deletedBy);
+      }
+      
+      return { success: true, message: 'Logo moved to trash' };
+    } catch (error) {
+      throw new Error(`Failed to delete logo: ${error.message}`);
+    }
+  }
+
+  /**
+   * A customer's logo library: { default_logo_id, logos }
+   */
+  async listCustomerLogos(customerId) {
+    try {
+      return await this.logoLibrary.list(customerId);
+    } catch (error) {
+      throw new Error(`Failed to list logos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate an upload (type, size, dimensions; SVGs are sanitized), make a thumbnail
+   * and add it to the customer's logo library
+   * @param {object} fields - { name, tags, makeDefault }
+   */
+  async addCustomerLogo(customerId, upload, fields = {}) {
+    try {
+      const logo = await processLogo(upload);
+      const record = await this.logoLibrary.add(customerId, logo, fields);
+
+      console.log(`🖼️ Saved logo ${record.id} for customer ${customerId}: ${logo.format} ${logo.width}x${logo.height}`);
+      this.webhooks.emit('logo.saved', { customer_id: customerId, logo: record });
+      return record;
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new Error(`Failed to save logo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename or retag a logo; null if there is no such logo
+   */
+  async updateCustomerLogo(customerId, logoId, fields) {
+    try {
+      return await this.logoLibrary.edit(customerId, logoId, fields);
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new Error(`Failed to update logo: ${error.message}`);
     }
   }
 
   /**
-   * Save customer logo
+   * Make a logo the customer's default; null if there is no such logo
    */
-  async saveCustomerLogo(customerId, logoData) {
+  async setDefaultCustomerLogo(customerId, logoId) {
     try {
-      const token = await this.getValidToken();
-      const logoMetadataPath = `/customer_logos/${customerId}/logo_metadata.json`;
-      
-      await this.uploadFile(logoMetadataPath, JSON.stringify(logoData, null, 2), token);
-      
-      return logoData;
+      return await this.logoLibrary.setDefault(customerId, logoId);
     } catch (error) {
-      throw new Error(`Failed to save logo metadata: ${error.message}`);
+      throw new Error(`Failed to set default logo: ${error.message}`);
     }
   }
 
   /**
-   * Load customer logo
+   * Move one logo from the library to the trash; null if there is no such logo
+   *
+   * @param {object} [options] - { deletedBy }
    */
-  async loadCustomerLogo(customerId) {
+  async removeCustomerLogo(customerId, logoId, options = {}) {
     try {
-      const token = await this.getValidToken();
-      const logoMetadataPath = `/customer_logos/${customerId}/logo_metadata.json`;
-      
-      const metadataContent = await this.downloadFile(logoMetadataPath, token);
-      const logoData = JSON.parse(metadataContent);
-      
-      return logoData;
+      return await this.trashLogo(customerId, logoId, options.deletedBy);
     } catch (error) {
-      // No logo found is not an error
-      return null;
+      throw new Error(`Failed to delete logo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take a logo out of the library and move its files to the trash.
+   * Returns the removed record with trash_item_id, or null if there is no such logo.
+   */
+  async trashLogo(customerId, logoId, deletedBy = null) {
+    const removed = await this.logoLibrary.detach(customerId, logoId);
+    if (!removed) return null;
+
+    const folder = this.logoLibrary.folder(customerId);
+    const item = await this.trash.add({
+      type: 'logo',
+      logo_id: removed.id,
+      customer_id: customerId,
+      name: removed.name,
+      deleted_by: deletedBy,
+      logo: removed,
+      files: [removed.filename, removed.thumbnail_filename]
+        .filter(Boolean)
+        .map(filename => ({ from: `${folder}/${filename}`, name: filename.split('/').pop() }))
+    });
+
+    for (const file of item.files) {
+      await this.storage.moveFile(file.from, file.to).catch(ignoreMissing(null));
     }
+
+    const { was_default, ...logo } = removed;
+    this.webhooks.emit('logo.deleted', { customer_id: customerId, logo, trash_item_id: item.id });
+    return { ...logo, trash_item_id: item.id };
   }
 
   /**
-   * Delete customer logo
+   * Logo records of every customer with a /customer_logos folder (admin)
    */
-  async deleteCustomerLogo(customerId) {
+  async listLogoRecords() {
     try {
-      const token = await this.getValidToken();
-      
-      // Get current logo data
-      const logoData = await this.loadCustomerLogo(customerId);
-      
-      if (logoData) {
-        // Delete the actual logo file
-        const logoPath = `/customer_logos/${customerId}/${logoData.filename}`;
-        await this.deleteFile(logoPath, token);
-        
-        // Delete metadata
-        const metadataPath = `/customer_logos/${customerId}/logo_metadata.json`;
-        await this.deleteFile(metadataPath, token);
+      let entries = [];
+      try {
+        entries = await this.storage.listFolder('/customer_logos');
+      } catch (error) {
+        if (!isNotFound(error)) throw error;
       }
-      
-      return { success: true, message: 'Logo deleted successfully' };
+
+      const records = [];
+      for (const entry of entries.filter(item => item['.tag'] === 'folder')) {
+        records.push(await this.getLogoRecord(entry.name));
+      }
+
+      return records;
     } catch (error) {
-      throw new Error(`Failed to delete logo: ${error.message}`);
+      throw new Error(`Failed to list logos: ${error.message}`);
+    }
+  }
+
+  /**
+   * A customer's logo library and the files in their logo folder (admin)
+   */
+  async getLogoRecord(customerId) {
+    let files = [];
+    try {
+      files = await this.storage.listFolder(`/customer_logos/${customerId}`);
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
     }
+
+    const library = await this.logoLibrary.list(customerId);
+
+    return {
+      customer_id: customerId,
+      default_logo_id: library.default_logo_id,
+      logos: library.logos,
+      files: files
+        .filter(file => file['.tag'] !== 'folder')
+        .map(file => ({ name: file.name, size: file.size, modified: file.server_modified }))
+    };
   }
 
   // ===== HELPER METHODS =====
@@ -291,21 +1829,63 @@ class DropboxService {
 
   /**
    * Generate HTML content from quote data with proper location support
+   * @param {object} [branding] - reseller branding from loadQuoteBranding (defaults to the house brand)
+   * @param {object} [options] - { mode } "internal" worksheet with costs and profit (default),
+   *   or "customer" quote showing retail prices only
    */
-  generateQuoteHtml(quoteData) {
-    const data = quoteData.data || {};
+  generateQuoteHtml(quoteData, branding = DEFAULT_BRANDING, options = {}) {
+    const internal = options.mode !== 'customer';
     const locations = quoteData.locations || [];
+    const primary = branding.primary_color;
+    const primaryDark = branding.primary_dark_color;
+    const accent = branding.accent_color;
+    const brand = {
+      name: escapeHtml(branding.company_name),
+      tagline: escapeHtml(branding.tagline),
+      phone: escapeHtml(branding.phone),
+      email: escapeHtml(branding.email),
+      website: escapeHtml(branding.website),
+      footer: escapeHtml(branding.footer_message)
+    };
+    const contactItems = [
+      brand.phone && `📞 ${brand.phone}`,
+      brand.email && `✉️ ${brand.email}`,
+      brand.website && `🌐 ${brand.website}`
+    ].filter(Boolean);
+    const logoHtml = branding.logo
+      ? `<img class="company-logo" src="${escapeHtml(branding.logo.url)}" alt="${brand.name}">`
+      : '';
+
+    // Optional gang sheet layout preview (internal only: the caption shows waste)
+    let layoutHtml = '';
+    if (internal && quoteData.layout_preview && locations.length > 0) {
+      try {
+        const layout = nestLocations(locations.map(normalizeLocation), loadPriceTables().sheet);
+        layoutHtml = `
+        <div class="layout-preview">${renderLayoutSvg(layout)}</div>
+        <div class="layout-caption">${layout.sheet_count} sheet(s) • ${layout.total_length}" total • ${layout.waste_percent}% waste</div>
+        `;
+      } catch (layoutError) {
+        console.warn('Could not render layout preview:', layoutError.message);
+      }
+    }
     
+    // Every client-supplied value is escaped before it goes into the HTML;
+    // custom templates get the raw view because the template engine escapes on output
+    const rawView = buildQuoteView(quoteData, { mode: internal ? 'internal' : 'customer' });
+    const view = escapeView(rawView);
+
     // Generate location HTML if locations exist
     let locationHtml = '';
-    if (locations && locations.length > 0) {
-      locationHtml = locations.map((location, index) => {
-        const number = index + 1;
-        const name = location.name || `Location ${number}`;
-        const width = location.width || location.w || 0;
-        const height = location.height || location.h || 0;
-        const quantity = location.quantity || location.qty || location.q || 0;
-        
+    if (view.locations.length > 0) {
+      locationHtml = view.locations.map(({ number, name, width, height, quantity, artwork }) => {
+        // Print-readiness of the attached artwork, flagged when it will not print well
+        const artworkHtml = artwork ? `
+            <div class="artwork-check ${artwork.ready ? 'artwork-ready' : 'artwork-flagged'}">
+              <div>${artwork.ready ? '✅' : '⚠️'} Artwork: ${artwork.name} (${artwork.summary})</div>
+              ${artwork.issues.map(issue => `<div class="artwork-issue">${issue}</div>`).join('')}
+            </div>` : '';
+
         return `
           <div class="location-item">
             <div class="location-header">
@@ -325,7 +1905,7 @@ class DropboxService {
                 <div class="location-spec-label">Quantity</div>
                 <div class="location-spec-value">${quantity}</div>
               </div>
-            </div>
+            </div>${artworkHtml}
           </div>
         `;
       }).join('');
@@ -343,6 +1923,133 @@ class DropboxService {
       `;
     }
     
+    // Cost, markup and profit sections only go in the internal worksheet
+    const internalSectionsHtml = `
+      <!-- Production Costs -->
+      <section class="quote-section">
+        <h3 class="section-title">🏭 Production Costs</h3>
+        <div class="data-row">
+          <span class="data-label">Imprint Cost</span>
+          <span class="data-value">${view.imprintCost}</span>
+        </div>
+        <div class="data-row">
+          <span class="data-label">Product Cost</span>
+          <span class="data-value">${view.productCostTotal}</span>
+        </div>
+        <div class="data-row">
+          <span class="data-label">Press Cost</span>
+          <span class="data-value">${view.pressCostTotal}</span>
+        </div>
+        <div class="data-row">
+          <span class="data-label">Per Unit</span>
+          <span class="data-value highlight-value">${view.unitCost}</span>
+        </div>
+      </section>
+
+      <!-- Transfer Details -->
+      <section class="quote-section">
+        <h3 class="section-title">📦 Transfer Details</h3>
+        <div class="data-row">
+          <span class="data-label">Total Transfers</span>
+          <span class="data-value">${view.totalTransfers}</span>
+        </div>
+        <div class="data-row">
+          <span class="data-label">Cost per Transfer</span>
+          <span class="data-value">${view.costPerTransfer}</span>
+        </div>
+        <div class="data-row">
+          <span class="data-label">Sheet Length</span>
+          <span class="data-value">${view.sheetLength}</span>
+        </div>
+        <div class="data-row">
+          <span class="data-label">Sheet Quantity</span>
+          <span class="data-value">${view.sheetQty}</span>
+        </div>
+      </section>
+
+      <!-- Gang Sheet Info -->
+      <section class="quote-section">
+        <h3 class="section-title">📏 Gang Sheet Breakdown</h3>
+        <div class="data-row" style="border-top: 1px solid ${primary}; padding-top: 0.5rem; margin-top: 0.5rem;">
+          <span class="data-label">Total Sheet Cost</span>
+          <span class="data-value highlight-value">${view.sheetCost}</span>
+        </div>
+        ${layoutHtml}
+      </section>
+
+      <!-- Markup & Pricing -->
+      <section class="quote-section">
+        <h3 class="section-title">💰 Pricing & Markup</h3>
+        <div class="data-row">
+          <span class="data-label">Markup Percentage</span>
+          <span class="data-value">${view.markup}%</span>
+        </div>
+        <div class="data-row">
+          <span class="data-label">Retail Per Unit</span>
+          <span class="data-value">${view.retailUnit}</span>
+        </div>
+        <div class="data-row">
+          <span class="data-label">Total Sale Price</span>
+          <span class="data-value highlight-value">${view.retailTotal}</span>
+        </div>
+        <div class="data-row" style="border-top: 2px solid #28a745; padding-top: 0.5rem; margin-top: 0.5rem;">
+          <span class="data-label" style="color: #28a745; font-weight: 700;">Total Profit</span>
+          <span class="data-value" style="color: #28a745; font-size: 14px;">${view.profitTotal}</span>
+        </div>
+      </section>
+    `;
+
+    const customerSectionsHtml = `
+      <!-- Order Details -->
+      <section class="quote-section">
+        <h3 class="section-title">📦 Order Details</h3>
+        <div class="data-row">
+          <span class="data-label">Design Locations</span>
+          <span class="data-value">${view.locationCount}</span>
+        </div>
+        <div class="data-row">
+          <span class="data-label">Total Transfers</span>
+          <span class="data-value">${view.totalTransfers}</span>
+        </div>
+      </section>
+
+      <!-- Pricing -->
+      <section class="quote-section">
+        <h3 class="section-title">💰 Pricing</h3>
+        <div class="data-row">
+          <span class="data-label">Price Per Unit</span>
+          <span class="data-value">${view.retailUnit}</span>
+        </div>
+        <div class="data-row">
+          <span class="data-label">Total Price</span>
+          <span class="data-value highlight-value">${view.retailTotal}</span>
+        </div>
+      </section>
+    `;
+
+    // Reseller-uploaded template replaces the built-in layout
+    if (branding.template) {
+      return renderTemplate(branding.template, {
+        quote: rawView,
+        internal,
+        locations: rawView.locations,
+        branding: {
+          company_name: branding.company_name,
+          tagline: branding.tagline,
+          phone: branding.phone,
+          email: branding.email,
+          website: branding.website,
+          footer_message: branding.footer_message,
+          primary_color: primary,
+          primary_dark_color: primaryDark,
+          accent_color: accent
+        },
+        logo_url: branding.logo ? branding.logo.url : '',
+        locations_html: locationHtml,
+        layout_html: layoutHtml
+      });
+    }
+
     // Generate the full HTML template with proper location data
     let html = `
 <!DOCTYPE html>
@@ -350,7 +2057,7 @@ class DropboxService {
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>DTF Quote: ${quoteData.quote_name}</title>
+  <title>DTF Quote: ${view.quoteName}</title>
   <style>
     @page {
       size: letter;
@@ -391,12 +2098,12 @@ class DropboxService {
     }
     
     .quote-header {
-      background: linear-gradient(135deg, #CF0F0F 0%, #8B0000 100%);
+      background: linear-gradient(135deg, ${primary} 0%, ${primaryDark} 100%);
       color: white;
       padding: 1rem;
       margin-bottom: 1rem;
       border-radius: 8px;
-      box-shadow: 0 2px 10px rgba(207, 15, 15, 0.2);
+      box-shadow: 0 2px 10px ${primary}33;
     }
     
     .header-top {
@@ -410,6 +2117,13 @@ class DropboxService {
       flex: 1;
     }
     
+    .company-logo {
+      max-height: 40px;
+      max-width: 160px;
+      margin-bottom: 0.3rem;
+      display: block;
+    }
+    
     .company-name {
       font-size: 20px;
       font-weight: 700;
@@ -431,6 +2145,31 @@ class DropboxService {
       margin: 0;
     }
     
+    .worksheet-badge {
+      font-size: 9px;
+      font-weight: 700;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      background: rgba(255,255,255,0.2);
+      border-radius: 3px;
+      padding: 0.1rem 0.4rem;
+      margin-top: 0.2rem;
+      display: inline-block;
+    }
+    
+    .status-badge {
+      font-size: 9px;
+      font-weight: 700;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      color: white;
+      border: 1px solid rgba(255,255,255,0.6);
+      border-radius: 3px;
+      padding: 0.1rem 0.4rem;
+      margin-top: 0.2rem;
+      display: inline-block;
+    }
+    
     .header-bottom {
       display: flex;
       justify-content: space-between;
@@ -460,14 +2199,14 @@ class DropboxService {
       background: #f8f9fa;
       border-radius: 6px;
       padding: 0.75rem;
-      border-left: 3px solid #CF0F0F;
+      border-left: 3px solid ${primary};
       break-inside: avoid;
     }
     
     .section-title {
       font-size: 13px;
       font-weight: 700;
-      color: #CF0F0F;
+      color: ${primary};
       margin: 0 0 0.5rem 0;
       text-transform: uppercase;
       letter-spacing: 0.5px;
@@ -498,7 +2237,7 @@ class DropboxService {
     }
     
     .highlight-value {
-      color: #CF0F0F;
+      color: ${primary};
       font-size: 12px;
     }
     
@@ -506,11 +2245,11 @@ class DropboxService {
     .locations-section {
       grid-column: 1 / -1;
       background: #f0f8ff;
-      border-left-color: #2196F3;
+      border-left-color: ${accent};
     }
     
     .locations-section .section-title {
-      color: #2196F3;
+      color: ${accent};
     }
     
     .locations-grid {
@@ -528,7 +2267,7 @@ class DropboxService {
     
     .location-header {
       font-weight: 700;
-      color: #2196F3;
+      color: ${accent};
       font-size: 11px;
       margin-bottom: 0.3rem;
       display: flex;
@@ -537,7 +2276,7 @@ class DropboxService {
     }
     
     .location-number {
-      background: #2196F3;
+      background: ${accent};
       color: white;
       width: 16px;
       height: 16px;
@@ -576,17 +2315,59 @@ class DropboxService {
       font-size: 10px;
     }
     
+    .artwork-check {
+      margin-top: 0.4rem;
+      padding: 0.3rem 0.4rem;
+      border-radius: 3px;
+      font-size: 9px;
+    }
+    
+    .artwork-ready {
+      background: #e8f5e9;
+      color: #2e7d32;
+    }
+    
+    .artwork-flagged {
+      background: #fff3e0;
+      color: #b45309;
+    }
+    
+    .artwork-issue {
+      margin-top: 0.15rem;
+      font-weight: 600;
+    }
+    
+    .layout-preview {
+      margin-top: 0.5rem;
+      background: white;
+      border: 1px solid #e0e0e0;
+      border-radius: 4px;
+      padding: 0.3rem;
+    }
+    
+    .layout-preview svg {
+      display: block;
+      max-height: 2.5in;
+    }
+    
+    .layout-caption {
+      font-size: 9px;
+      color: #666;
+      text-align: center;
+      margin-top: 0.2rem;
+    }
+    
     .pricing-summary {
       grid-column: 1 / -1;
       background: white;
-      border: 2px solid #CF0F0F;
+      border: 2px solid ${primary};
       border-radius: 8px;
       overflow: hidden;
       margin-top: 1rem;
     }
     
     .pricing-header {
-      background: #CF0F0F;
+      background: ${primary};
       color: white;
       padding: 0.5rem 1rem;
       font-weight: 700;
@@ -631,6 +2412,14 @@ class DropboxService {
       color: #28a745;
     }
     
+    .pricing-expiry {
+      padding: 0.4rem;
+      border-top: 1px solid #e0e0e0;
+      font-size: 11px;
+      color: #666;
+      text-align: center;
+    }
+    
     .quote-footer {
       margin-top: 1rem;
       padding: 0.75rem;
@@ -643,7 +2432,7 @@ class DropboxService {
     .footer-brand {
       font-size: 12px;
       font-weight: 700;
-      color: #CF0F0F;
+      color: ${primary};
       margin-bottom: 0.3rem;
     }
     
@@ -699,20 +2488,25 @@ class DropboxService {
     <header class="quote-header">
       <div class="header-top">
         <div class="company-branding">
-          <div class="company-name">DTF Rush Orders</div>
-          <div class="company-tagline">Premium DTF Transfer Solutions</div>
+          ${logoHtml}
+          <div class="company-name">${brand.name}</div>
+          <div class="company-tagline">${brand.tagline}</div>
+        </div>
+        <div class="quote-title">
+          ${view.quoteName}
+          <div class="status-badge" style="background: ${STATUS_LABELS[view.status].color};">${STATUS_LABELS[view.status].label}</div>
+          ${internal ? '<div class="worksheet-badge">Internal worksheet - do not forward</div>' : ''}
         </div>
-        <div class="quote-title">${quoteData.quote_name}</div>
       </div>
       <div class="header-bottom">
         <div class="contact-info">
-          <span>📞 (954) 404-8103</span>
-          <span>✉️ orders@dtfrushorders.com</span>
+          ${contactItems.map(item => `<span>${item}</span>`).join('')}
         </div>
         <div class="quote-meta">
-          <span>${data.date_stamp || new Date().toLocaleDateString()}</span>
-          <span>${data.loc_count || locations.length} Locations</span>
-          <span>${data.total_transfers || quoteData.total_transfers} Transfers</span>
+          ${view.quoteNumber ? `<span>Quote ${view.quoteNumber}</span>` : ''}
+          <span>${view.dateStamp}</span>
+          <span>${view.locationCount} Locations</span>
+          <span>${view.totalTransfers} Transfers</span>
         </div>
       </div>
     </header>
@@ -728,77 +2522,7 @@ class DropboxService {
         </div>
       </section>
       
-      <!-- Production Costs -->
-      <section class="quote-section">
-        <h3 class="section-title">🏭 Production Costs</h3>
-        <div class="data-row">
-          <span class="data-label">Imprint Cost</span>
-          <span class="data-value">${data.imprint_cost || '$0.00'}</span>
-        </div>
-        <div class="data-row">
-          <span class="data-label">Product Cost</span>
-          <span class="data-value">${data.product_cost_total || '$0.00'}</span>
-        </div>
-        <div class="data-row">
-          <span class="data-label">Press Cost</span>
-          <span class="data-value">${data.press_cost_total || '$0.00'}</span>
-        </div>
-        <div class="data-row">
-          <span class="data-label">Per Unit</span>
-          <span class="data-value highlight-value">${data.unit_cost || '$0.00'}</span>
-        </div>
-      </section>
-
-      <!-- Transfer Details -->
-      <section class="quote-section">
-        <h3 class="section-title">📦 Transfer Details</h3>
-        <div class="data-row">
-          <span class="data-label">Total Transfers</span>
-          <span class="data-value">${data.total_transfers || quoteData.total_transfers || '0'}</span>
-        </div>
-        <div class="data-row">
-          <span class="data-label">Cost per Transfer</span>
-          <span class="data-value">${data.cost_per_transfer || '$0.00'}</span>
-        </div>
-        <div class="data-row">
-          <span class="data-label">Sheet Length</span>
-          <span class="data-value">${data.sheet_length || '0.00"'}</span>
-        </div>
-        <div class="data-row">
-          <span class="data-label">Sheet Quantity</span>
-          <span class="data-value">${data.sheet_qty || '0'}</span>
-        </div>
-      </section>
-
-      <!-- Gang Sheet Info -->
-      <section class="quote-section">
-        <h3 class="section-title">📏 Gang Sheet Breakdown</h3>
-        <div class="data-row" style="border-top: 1px solid #CF0F0F; padding-top: 0.5rem; margin-top: 0.5rem;">
-          <span class="data-label">Total Sheet Cost</span>
-          <span class="data-value highlight-value">${data.sheet_cost || '$0.00'}</span>
-        </div>
-      </section>
-
-      <!-- Markup & Pricing -->
-      <section class="quote-section">
-        <h3 class="section-title">💰 Pricing & Markup</h3>
-        <div class="data-row">
-          <span class="data-label">Markup Percentage</span>
-          <span class="data-value">${data.markup || '0'}%</span>
-        </div>
-        <div class="data-row">
-          <span class="data-label">Retail Per Unit</span>
-          <span class="data-value">${data.retail_unit || quoteData.pricing?.retail_unit || '$0.00'}</span>
-        </div>
-        <div class="data-row">
-          <span class="data-label">Total Sale Price</span>
-          <span class="data-value highlight-value">${data.retail_total || quoteData.pricing?.retail_total || '$0.00'}</span>
-        </div>
-        <div class="data-row" style="border-top: 2px solid #28a745; padding-top: 0.5rem; margin-top: 0.5rem;">
-          <span class="data-label" style="color: #28a745; font-weight: 700;">Total Profit</span>
-          <span class="data-value" style="color: #28a745; font-size: 14px;">${data.profit_total || quoteData.pricing?.profit_total || '$0.00'}</span>
-        </div>
-      </section>
+      ${internal ? internalSectionsHtml : customerSectionsHtml}
       
     </div>
 
@@ -808,24 +2532,25 @@ class DropboxService {
       <div class="pricing-body">
         <div class="pricing-column">
           <div class="pricing-label">Per Unit Price</div>
-          <div class="pricing-value">${data.retail_unit || quoteData.pricing?.retail_unit || '$0.00'}</div>
+          <div class="pricing-value">${view.retailUnit}</div>
         </div>
         <div class="pricing-column">
           <div class="pricing-label">Quantity</div>
-          <div class="pricing-value">${data.total_transfers || quoteData.total_transfers || '0'}</div>
+          <div class="pricing-value">${view.totalTransfers}</div>
         </div>
         <div class="pricing-column">
           <div class="pricing-label">Total</div>
-          <div class="pricing-value">${data.retail_total || quoteData.pricing?.retail_total || '$0.00'}</div>
+          <div class="pricing-value">${view.retailTotal}</div>
         </div>
       </div>
+      ${view.expiresOn ? `<div class="pricing-expiry">${view.status === 'expired' ? 'Expired' : 'Expires'} on ${view.expiresOn}</div>` : ''}
     </div>
 
     <!-- Footer -->
     <footer class="quote-footer">
-      <div class="footer-brand">DTF Rush Orders - Premium DTF Transfer Solutions</div>
-      <div class="footer-contact">📞 (954) 404-8103 • ✉️ orders@dtfrushorders.com</div>
-      <div class="footer-message">Thank you for using our DTF Reseller Tool by DTF Rush Orders! Generated on ${data.date_stamp || new Date().toLocaleDateString()}</div>
+      <div class="footer-brand">${brand.name}${brand.tagline ? ` - ${brand.tagline}` : ''}</div>
+      <div class="footer-contact">${contactItems.join(' • ')}</div>
+      <div class="footer-message">${brand.footer} Generated on ${view.dateStamp}</div>
     </footer>
 
   </div>
@@ -836,128 +2561,46 @@ class DropboxService {
   }
 
   /**
-   * Upload file to Dropbox
+   * Read and parse a JSON file from storage
    */
-  async uploadFile(path, content, token) {
-    const response = await axios.post(`${this.contentApiUrl}/2/files/upload`, content, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/octet-stream',
-        'Dropbox-API-Arg': JSON.stringify({
-          path: path,
-          mode: 'overwrite',
-          autorename: false
-        })
-      }
-    });
-
-    return response.data;
-  }
-
-  /**
-   * Download file from Dropbox
-   */
-  async downloadFile(path, token) {
-    const response = await axios.post(`${this.contentApiUrl}/2/files/download`, null, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Dropbox-API-Arg': JSON.stringify({ path: path })
-      }
-    });
-
-    return response.data;
+  async readJson(path) {
+    const content = await this.storage.downloadFile(path);
+    return JSON.parse(content.toString('utf8'));
   }
 
   /**
-   * Delete file from Dropbox
+   * Read a JSON file along with its storage revision, as { data, version }
    */
-  async deleteFile(path, token) {
-    const response = await axios.post(`${this.apiUrl}/2/files/delete_v2`, {
-      path: path
-    }, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    return response.data;
+  async readJsonWithVersion(path) {
+    const { content, metadata } = await this.storage.downloadFileWithMetadata(path);
+    return { data: JSON.parse(content.toString('utf8')), version: metadata.rev };
   }
 
   /**
-   * Create shared link for file
+   * Serialize and write a JSON file to storage
    */
-  async createSharedLink(path, token) {
-    try {
-      // Try to create a new shared link
-      const response = await axios.post(`${this.apiUrl}/2/sharing/create_shared_link_with_settings`, {
-        path: path,
-        settings: {
-          requested_visibility: 'public',
-          audience: 'public',
-          access: 'viewer'
-        }
-      }, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const shareUrl = response.data.url.replace('?dl=0', '?raw=1');
-      return shareUrl;
-      
-    } catch (error) {
-      // If link already exists, try to get existing ones
-      try {
-        const listResponse = await axios.post(`${this.apiUrl}/2/sharing/list_shared_links`, {
-          path: path,
-          direct_only: true
-        }, {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        });
-
-        if (listResponse.data.links && listResponse.data.links.length > 0) {
-          return listResponse.data.links[0].url.replace('?dl=0', '?raw=1');
-        }
-      } catch (listError) {
-        console.warn('Could not list existing shared links:', listError.message);
-      }
-      
-      throw error;
-    }
+  async writeJson(path, data, options = {}) {
+    return this.storage.uploadFile(path, JSON.stringify(data, null, 2), options);
   }
 
   /**
-   * Scan Dropbox for quote metadata files
+   * Scan storage for quote metadata files (all customers when customerId is undefined)
    */
-  async scanDropboxQuotes(customerId, token) {
+  async scanDropboxQuotes(customerId) {
     try {
-      const response = await axios.post(`${this.apiUrl}/2/files/list_folder`, {
-        path: '/dtf-quotes',
-        recursive: false
-      }, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const entries = await this.storage.listFolder('/dtf-quotes');
 
-      const metadataFiles = response.data.entries.filter(entry => 
+      const metadataFiles = entries.filter(entry => 
         entry.name.endsWith('_metadata.json')
       );
 
       const quotes = [];
       for (const file of metadataFiles) {
         try {
-          const content = await this.downloadFile(file.path_lower, token);
-          const metadata = JSON.parse(content);
+          const metadata = await this.readJson(file.path_lower);
           
           // Filter by customer ID
-          if (metadata.customer_id == customerId) {
+          if (customerId === undefined || metadata.customer_id == customerId) {
             quotes.push(metadata);
           }
         } catch (error) {
@@ -965,13 +2608,10 @@ class DropboxService {
         }
       }
 
-      // Sort by date (newest first)
-      quotes.sort((a, b) => new Date(b.date_created) - new Date(a.date_created));
-
       return quotes;
 
     } catch (error) {
-      console.error('Error scanning Dropbox:', error);
+      console.error('Error scanning storage:', error);
       return [];
     }
   }
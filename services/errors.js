@@ -0,0 +1,74 @@
+/**
+ * Errors that route handlers translate into specific HTTP responses
+ */
+
+/**
+ * A quote update was based on a stale version (HTTP 409).
+ * Carries the current server copy so the client can merge.
+ */
+class QuoteConflictError extends Error {
+  constructor(quoteId, current) {
+    super(`Quote ${quoteId} was modified by someone else`);
+    this.name = 'QuoteConflictError';
+    this.quoteId = quoteId;
+    this.current = current;
+  }
+}
+
+/**
+ * Request data failed validation (HTTP 422).
+ * `details` is a list of { field, message } entries for the client.
+ */
+class ValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+/**
+ * The request carries no valid credentials (HTTP 401)
+ */
+class AuthenticationError extends Error {
+  constructor(message = 'Authentication required') {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * The authenticated customer may not touch this resource (HTTP 403)
+ */
+class ForbiddenError extends Error {
+  constructor(message = 'Not allowed') {
+    super(message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * The request clashes with what is stored now, e.g. restoring a quote whose ID is in use again (HTTP 409)
+ */
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * An outside service (such as the Shopify Admin API) failed or refused the request (HTTP 502).
+ * `status` is the service's HTTP status, if it answered; `details` its error body.
+ */
+class UpstreamError extends Error {
+  constructor(service, message, status = null, details = null) {
+    super(`${service}: ${message}`);
+    this.name = 'UpstreamError';
+    this.service = service;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { QuoteConflictError, ValidationError, AuthenticationError, ForbiddenError, ConflictError, UpstreamError };
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const { isNotFound, isConflict } = require('./storage');
+const { ValidationError } = require('./errors');
+
+const MAX_TAGS = 20;
+
+/**
+ * Check name/tags edits; returns the cleaned fields or throws ValidationError
+ */
+function validateLogoFields(fields = {}) {
+  const errors = [];
+  const clean = {};
+
+  if (fields.name !== undefined) {
+    if (typeof fields.name !== 'string' || fields.name.trim() === '' || fields.name.length > 80) {
+      errors.push({ field: 'name', message: 'must be a string of 1 to 80 characters' });
+    } else {
+      clean.name = fields.name.trim();
+    }
+  }
+
+  if (fields.tags !== undefined) {
+    // Multipart forms send tags as one comma-separated string
+    const tags = typeof fields.tags === 'string' ? fields.tags.split(',') : fields.tags;
+
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS || !tags.every(tag => typeof tag === 'string' && tag.length <= 40)) {
+      errors.push({ field: 'tags', message: `must be a list of at most ${MAX_TAGS} tags of up to 40 characters` });
+    } else {
+      clean.tags = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid logo details', errors);
+  }
+
+  return clean;
+}
+
+/**
+ * A customer's logos, each with its own ID, name and tags, and one default.
+ *
+ * The library lives in /customer_logos/{customerId}/logo_library.json and the
+ * images in /customer_logos/{customerId}/logos/. A customer who only has the old
+ * single logo_metadata.json gets it imported as their default logo on first use.
+ */
+class LogoLibrary {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  folder(customerId) {
+    return `/customer_logos/${customerId}`;
+  }
+
+  libraryPath(customerId) {
+    return `${this.folder(customerId)}/logo_library.json`;
+  }
+
+  /**
+   * Library contents with the storage revision: { library: { default_logo_id, logos }, rev }
+   */
+  async read(customerId) {
+    try {
+      const { content, metadata } = await this.storage.downloadFileWithMetadata(this.libraryPath(customerId));
+      return { library: JSON.parse(content.toString('utf8')), rev: metadata.rev };
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+
+    return { library: await this.importLegacy(customerId), rev: null };
+  }
+
+  /**
+   * Build a library from a pre-library logo_metadata.json (files stay where they are)
+   */
+  async importLegacy(customerId) {
+    const library = { default_logo_id: null, logos: {} };
+
+    let legacy = null;
+    try {
+      const content = await this.storage.downloadFile(`${this.folder(customerId)}/logo_metadata.json`);
+      legacy = JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+
+    if (legacy && legacy.filename) {
+      const id = 'legacy';
+      library.logos[id] = {
+        ...legacy,
+        id,
+        name: legacy.original_filename || legacy.filename,
+        tags: [],
+        uploaded_at: legacy.uploaded_at || null
+      };
+      library.default_logo_id = id;
+    }
+
+    return library;
+  }
+
+  /**
+   * Read-modify-write the library with a conditional write, retrying on conflicts
+   */
+  async update(customerId, mutate) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { library, rev } = await this.read(customerId);
+      const result = await mutate(library);
+
+      try {
+        await this.storage.uploadFile(
+          this.libraryPath(customerId),
+          JSON.stringify(library, null, 2),
+          rev ? { rev } : { mustNotExist: true }
+        );
+        return result;
+      } catch (error) {
+        if (!isConflict(error)) throw error;
+      }
+    }
+
+    throw new Error('Logo library is being changed too often; try again');
+  }
+
+  /**
+   * All logos, newest first, with the default marked
+   */
+  async list(customerId) {
+    const { library } = await this.read(customerId);
+    return this.describe(library);
+  }
+
+  describe(library) {
+    const logos = Object.values(library.logos)
+      .map(logo => ({ ...logo, is_default: logo.id === library.default_logo_id }))
+      .sort((a, b) => String(b.uploaded_at || '').localeCompare(String(a.uploaded_at || '')));
+
+    return { default_logo_id: library.default_logo_id, logos };
+  }
+
+  async get(customerId, logoId) {
+    const { library } = await this.read(customerId);
+    return library.logos[logoId] || null;
+  }
+
+  /**
+   * The default logo, or null when the customer has none
+   */
+  async getDefault(customerId) {
+    const { library } = await this.read(customerId);
+    return library.logos[library.default_logo_id] || null;
+  }
+
+  /**
+   * Store a processed upload (see processLogo) as a new logo.
+   * The first logo always becomes the default.
+   *
+   * @param {object} fields - { name, tags, makeDefault }
+   */
+  async add(customerId, logo, fields = {}) {
+    const clean = validateLogoFields({ name: fields.name, tags: fields.tags });
+    const id = crypto.randomBytes(6).toString('hex');
+    const filename = `logos/${id}.${logo.extension}`;
+    const thumbnailFilename = `logos/${id}_thumb.png`;
+    const folder = this.folder(customerId);
+
+    await this.storage.uploadFile(`${folder}/${filename}`, logo.buffer);
+    await this.storage.uploadFile(`${folder}/${thumbnailFilename}`, logo.thumbnail);
+
+    const record = {
+      id,
+      name: clean.name || logo.originalFilename || `Logo ${id}`,
+      tags: clean.tags || [],
+      filename,
+      content_type: logo.contentType,
+      original_filename: logo.originalFilename,
+      width: logo.width,
+      height: logo.height,
+      size: logo.size,
+      sha256: logo.sha256,
+      thumbnail_filename: thumbnailFilename,
+      thumbnail_width: logo.thumbnailWidth,
+      thumbnail_height: logo.thumbnailHeight,
+      url: await this.storage.createSharedLink(`${folder}/${filename}`),
+      thumbnail_url: await this.storage.createSharedLink(`${folder}/${thumbnailFilename}`),
+      uploaded_at: new Date().toISOString()
+    };
+
+    await this.update(customerId, library => {
+      library.logos[id] = record;
+      if (fields.makeDefault || !library.logos[library.default_logo_id]) {
+        library.default_logo_id = id;
+      }
+    });
+
+    return record;
+  }
+
+  /**
+   * Rename or retag a logo; returns the updated record or null
+   */
+  async edit(customerId, logoId, fields) {
+    const clean = validateLogoFields(fields);
+
+    return this.update(customerId, library => {
+      const logo = library.logos[logoId];
+      if (!logo) return null;
+
+      Object.assign(logo, clean, { updated_at: new Date().toISOString() });
+      return logo;
+    });
+  }
+
+  /**
+   * Make a logo the default; returns it or null
+   */
+  async setDefault(customerId, logoId) {
+    return this.update(customerId, library => {
+      if (!library.logos[logoId]) return null;
+
+      library.default_logo_id = logoId;
+      return library.logos[logoId];
+    });
+  }
+
+  /**
+   * Take a logo out of the library, leaving its files alone. If it was the default,
+   * the newest remaining logo takes over. Returns the removed record (with
+   * `was_default`) or null.
+   */
+  async detach(customerId, logoId) {
+    return this.update(customerId, library => {
+      const logo = library.logos[logoId];
+      if (!logo) return null;
+
+      const wasDefault = library.default_logo_id === logoId;
+      delete library.logos[logoId];
+      if (wasDefault) {
+        const [newest] = this.describe(library).logos;
+        library.default_logo_id = newest ? newest.id : null;
+      }
+      return { ...logo, was_default: wasDefault };
+    });
+  }
+
+  /**
+   * Put a detached logo record back (its files must be in place again). It becomes
+   * the default if it was before or the customer has no default now.
+   */
+  async restore(customerId, record) {
+    const { was_default: wasDefault, ...logo } = record;
+
+    await this.update(customerId, library => {
+      library.logos[logo.id] = logo;
+      if (wasDefault || !library.logos[library.default_logo_id]) {
+        library.default_logo_id = logo.id;
+      }
+    });
+
+    return logo;
+  }
+}
+
+module.exports = { LogoLibrary, validateLogoFields };
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ValidationError } = require('./errors');
+const { sanitizeSvg } = require('./svgSanitizer');
+
+const MAX_LOGO_BYTES = Number(process.env.LOGO_MAX_BYTES) || 5 * 1024 * 1024;
+const MIN_DIMENSION = 16;
+const MAX_DIMENSION = 10000;
+const THUMBNAIL_SIZE = 256;
+
+const FORMATS = {
+  png: { extension: 'png', contentType: 'image/png' },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  svg: { extension: 'svg', contentType: 'image/svg+xml' }
+};
+
+const invalid = (message, field = 'logo') => new ValidationError(`Invalid ${field}`, [{ field, message }]);
+
+/**
+ * Identify an upload from its first bytes; the client's filename and content type are not trusted
+ */
+function detectImageType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+
+  const head = buffer.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (/^(?:<\?xml[\s\S]*?\?>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[\s\S]*?>\s*)*<svg[\s>]/i.test(head)) {
+    return 'svg';
+  }
+
+  return null;
+}
+
+/**
+ * Read a JSON upload: { data, filename } where data is base64 or a data: URI
+ * @param {string} [field] - multipart field the client could have used instead
+ */
+function decodeBase64Logo(body = {}, field = 'logo') {
+  const data = body.data || body.image;
+  if (typeof data !== 'string' || data === '') {
+    throw invalid(`send the image as multipart field "${field}" or as base64 in "data"`, field);
+  }
+
+  const base64 = data.replace(/^data:[^;,]*;base64,/, '');
+  if (!/^[A-Za-z0-9+/=\s_-]+$/.test(base64)) {
+    throw invalid('data must be base64 encoded', field);
+  }
+
+  return {
+    buffer: Buffer.from(base64, 'base64'),
+    filename: typeof body.filename === 'string' ? body.filename : null
+  };
+}
+
+/**
+ * Validate an uploaded logo and prepare what gets stored.
+ *
+ * SVGs are sanitized before anything else reads them. Returns
+ * { buffer, thumbnail, format, extension, contentType, width, height, size, sha256,
+ *   thumbnailWidth, thumbnailHeight }
+ */
+async function processLogo({ buffer, filename }) {
+  if (!buffer || buffer.length === 0) {
+    throw invalid('the file is empty');
+  }
+  if (buffer.length > MAX_LOGO_BYTES) {
+    throw invalid(`must be at most ${Math.round(MAX_LOGO_BYTES / 1024 / 1024)} MB`);
+  }
+
+  const format = detectImageType(buffer);
+  if (!format) {
+    throw invalid('must be a PNG, JPEG or SVG image');
+  }
+
+  const content = format === 'svg'
+    ? Buffer.from(sanitizeSvg(buffer.toString('utf8')), 'utf8')
+    : buffer;
+
+  let info;
+  try {
+    info = await sharp(content).metadata();
+  } catch (error) {
+    throw invalid(`could not be read as ${format.toUpperCase()}: ${error.message}`);
+  }
+
+  const { width, height } = info;
+  if (!width || !height) {
+    throw invalid('has no width and height');
+  }
+  if (Math.min(width, height) < MIN_DIMENSION || Math.max(width, height) > MAX_DIMENSION) {
+    throw invalid(`must be between ${MIN_DIMENSION} and ${MAX_DIMENSION} pixels on each side (got ${width}x${height})`);
+  }
+
+  const thumbnail = await sharp(content)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: content,
+    thumbnail: thumbnail.data,
+    format,
+    extension: FORMATS[format].extension,
+    contentType: FORMATS[format].contentType,
+    originalFilename: filename || null,
+    width,
+    height,
+    size: content.length,
+    sha256: crypto.createHash('sha256').update(content).digest('hex'),
+    thumbnailWidth: thumbnail.info.width,
+    thumbnailHeight: thumbnail.info.height
+  };
+}
+
+module.exports = { processLogo, decodeBase64Logo, detectImageType, MAX_LOGO_BYTES };
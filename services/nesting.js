@@ -0,0 +1,260 @@
+const { ValidationError } = require('./errors');
+
+// Refuse layouts bigger than this many transfers; keeps one request from tying up the server
+const MAX_PLACEMENTS = 20000;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Why one transfer cannot go on a sheet, or null if it fits. It has to fit across the
+ * usable width and, margins included, within max_length in one of its two orientations.
+ *
+ * @param {object} location - normalized { width, height }
+ * @param {object} settings - { width, margin, max_length }
+ */
+function sheetFitError(location, settings) {
+  const usableWidth = settings.width - 2 * settings.margin;
+  const usableLength = (settings.max_length || Infinity) - 2 * settings.margin;
+  const fits = (across, along) => across <= usableWidth && along <= usableLength;
+
+  if (Math.min(location.width, location.height) > usableWidth) {
+    return `does not fit on a ${settings.width}" sheet`;
+  }
+  if (!fits(location.width, location.height) && !fits(location.height, location.width)) {
+    return `is longer than the ${settings.max_length}" maximum sheet length`;
+  }
+  return null;
+}
+
+/**
+ * Pack transfers onto one or more gang sheets using shelf first-fit (decreasing height).
+ *
+ * Every orientation strategy (as given, all landscape, all portrait) is tried and the
+ * shortest total length wins. Coordinates are in inches from the top-left corner of
+ * each sheet, with the margin already applied.
+ *
+ * @param {Array} locations - normalized { name, width, height, quantity }
+ * @param {object} settings - { width, margin, spacing, max_length, minimum_length } (see config/pricing.json "sheet")
+ * @returns {object} { sheet_width, total_length, sheet_count, sheets, placements, printed_area, waste_percent }
+ */
+function nestLocations(locations, settings) {
+  const usableWidth = settings.width - 2 * settings.margin;
+  const copies = locations.reduce((sum, location) => sum + Math.max(0, location.quantity), 0);
+
+  if (copies > MAX_PLACEMENTS) {
+    throw new ValidationError(`Layout too large: ${copies} transfers (limit ${MAX_PLACEMENTS})`, [
+      { field: 'locations', message: `total quantity must not exceed ${MAX_PLACEMENTS}` }
+    ]);
+  }
+
+  const errors = [];
+  locations.forEach((location, index) => {
+    const message = sheetFitError(location, settings);
+    if (message) {
+      errors.push({ field: `locations[${index}]`, message });
+    }
+  });
+  if (errors.length > 0) {
+    throw new ValidationError('Design does not fit on the sheet', errors);
+  }
+
+  const strategies = ['as_is', 'landscape', 'portrait'];
+  let best = null;
+
+  for (const strategy of strategies) {
+    const items = orientItems(locations, strategy, usableWidth);
+    const layout = packShelves(items, settings);
+
+    if (!best || layout.total_length < best.total_length) {
+      best = layout;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Expand locations into one item per transfer, oriented according to the strategy
+ */
+function orientItems(locations, strategy, usableWidth) {
+  const items = [];
+
+  locations.forEach((location, index) => {
+    let { width, height } = location;
+    let rotated = false;
+
+    const wantsRotation =
+      (strategy === 'landscape' && height > width) ||
+      (strategy === 'portrait' && width > height);
+
+    // Rotate when the strategy asks for it (and it still fits) or when it only fits rotated
+    if ((wantsRotation && height <= usableWidth) || width > usableWidth) {
+      [width, height] = [height, width];
+      rotated = true;
+    }
+
+    for (let copy = 0; copy < location.quantity; copy++) {
+      items.push({
+        location_index: index,
+        name: location.name || `Location ${index + 1}`,
+        copy: copy + 1,
+        width,
+        height,
+        rotated
+      });
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Open shelves indexed by how far along each is filled (a min segment tree over the order
+ * they were opened), so the first shelf an item fits on is found in O(log n), not a scan
+ */
+function createShelfIndex(capacity) {
+  let size = 1;
+  while (size < capacity) size *= 2;
+  const cursor = new Array(2 * size).fill(Infinity);
+  const shelves = [];
+
+  const set = (position, value) => {
+    let node = position + size;
+    cursor[node] = value;
+    for (node = Math.floor(node / 2); node >= 1; node = Math.floor(node / 2)) {
+      cursor[node] = Math.min(cursor[2 * node], cursor[2 * node + 1]);
+    }
+  };
+
+  return {
+    add(shelf) {
+      shelf.position = shelves.length;
+      shelves.push(shelf);
+      set(shelf.position, shelf.cursorX);
+    },
+    update(shelf) {
+      set(shelf.position, shelf.cursorX);
+    },
+    close(shelf) {
+      set(shelf.position, Infinity);
+    },
+    // The first open shelf with room for `width` before `rightEdge`
+    find(width, rightEdge) {
+      if (!(cursor[1] + width <= rightEdge)) return null;
+      let node = 1;
+      while (node < size) {
+        node = cursor[2 * node] + width <= rightEdge ? 2 * node : 2 * node + 1;
+      }
+      return shelves[node - size];
+    }
+  };
+}
+
+/**
+ * Shelf packing: items fill rows left to right; a new row opens below when none has room,
+ * and a new sheet starts when the next row would pass the sheet's maximum length
+ */
+function packShelves(items, settings) {
+  const { margin, spacing } = settings;
+  const rightEdge = settings.width - margin;
+  const maxLength = settings.max_length;
+
+  const sorted = [...items].sort((a, b) => (b.height - a.height) || (b.width - a.width));
+  const sheets = [];
+  const placements = [];
+  let sheet = null;
+  const shelfIndex = createShelfIndex(sorted.length);
+
+  const openSheet = () => {
+    // Only the current sheet's shelves take more items
+    sheet?.shelves.forEach(shelf => shelfIndex.close(shelf));
+    sheet = { index: sheets.length, shelves: [], bottom: margin };
+    sheets.push(sheet);
+  };
+
+  for (const item of sorted) {
+    if (!sheet) openSheet();
+
+    // Items come tallest first, so every shelf is tall enough; only the room left matters
+    let shelf = shelfIndex.find(item.width, rightEdge);
+
+    if (!shelf) {
+      let y = sheet.shelves.length > 0 ? sheet.bottom + spacing : margin;
+
+      if (sheet.shelves.length > 0 && y + item.height + margin > maxLength) {
+        openSheet();
+        y = margin;
+      }
+
+      shelf = { y, height: item.height, cursorX: margin };
+      sheet.shelves.push(shelf);
+      shelfIndex.add(shelf);
+      sheet.bottom = y + item.height;
+    }
+
+    placements.push({
+      sheet: sheet.index,
+      location_index: item.location_index,
+      name: item.name,
+      copy: item.copy,
+      x: round2(shelf.cursorX),
+      y: round2(shelf.y),
+      width: item.width,
+      height: item.height,
+      rotated: item.rotated
+    });
+    shelf.cursorX += item.width + spacing;
+    shelfIndex.update(shelf);
+  }
+
+  const sheetSummaries = sheets.map(current => ({
+    index: current.index,
+    length: round2(Math.max(settings.minimum_length || 0, current.bottom + margin))
+  }));
+
+  const totalLength = round2(sheetSummaries.reduce((sum, current) => sum + current.length, 0));
+  const printedArea = items.reduce((sum, item) => sum + item.width * item.height, 0);
+  const sheetArea = settings.width * totalLength;
+
+  return {
+    sheet_width: settings.width,
+    total_length: totalLength,
+    sheet_count: sheets.length,
+    sheets: sheetSummaries,
+    placements,
+    printed_area: round2(printedArea),
+    waste_percent: sheetArea > 0 ? round2((1 - printedArea / sheetArea) * 100) : 0
+  };
+}
+
+/**
+ * Render a layout as an SVG preview. Sheets are drawn lying on their side
+ * (length left to right) and stacked, so long sheets fit a page width.
+ */
+function renderLayoutSvg(layout, options = {}) {
+  const gap = 2;
+  const sheetWidth = layout.sheet_width;
+  const maxLength = Math.max(0, ...layout.sheets.map(sheet => sheet.length));
+  const viewHeight = layout.sheets.length * (sheetWidth + gap) - gap;
+  const palette = ['#2196F3', '#CF0F0F', '#28a745', '#FF9800', '#9C27B0', '#00BCD4', '#795548', '#607D8B'];
+
+  if (layout.sheets.length === 0) {
+    return '';
+  }
+
+  const sheetOffset = index => index * (sheetWidth + gap);
+
+  const sheetRects = layout.sheets.map(sheet => (
+    `<rect x="0" y="${sheetOffset(sheet.index)}" width="${sheet.length}" height="${sheetWidth}" fill="#ffffff" stroke="#999" stroke-width="0.1"/>`
+  )).join('');
+
+  const itemRects = layout.placements.map(placement => {
+    const color = palette[placement.location_index % palette.length];
+    // Lying on its side: the sheet's y axis runs along x in the drawing
+    return `<rect x="${placement.y}" y="${round2(sheetOffset(placement.sheet) + placement.x)}" width="${placement.height}" height="${placement.width}" fill="${color}" fill-opacity="0.35" stroke="${color}" stroke-width="0.08"/>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${maxLength} ${viewHeight}" width="${options.width || '100%'}" preserveAspectRatio="xMinYMin meet" role="img" aria-label="Gang sheet layout preview">${sheetRects}${itemRects}</svg>`;
+}
+
+module.exports = { nestLocations, renderLayoutSvg, sheetFitError, MAX_PLACEMENTS };
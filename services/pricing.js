@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+const { parseMoney } = require('./quoteListing');
+const { nestLocations, sheetFitError } = require('./nesting');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'pricing.json');
+
+// Money fields in quoteData.data that are computed here and never taken from the client
+const COMPUTED_DATA_FIELDS = [
+  'total_transfers', 'loc_count', 'sheet_length', 'sheet_qty', 'sheet_cost', 'cost_per_transfer',
+  'imprint_cost', 'product_cost_total', 'press_cost_total', 'unit_cost', 'markup',
+  'retail_unit', 'retail_total', 'profit_total'
+];
+
+let cachedTables = null;
+
+/**
+ * Load the price tables from PRICING_CONFIG (or config/pricing.json)
+ */
+function loadPriceTables() {
+  if (!cachedTables) {
+    const configPath = process.env.PRICING_CONFIG || DEFAULT_CONFIG_PATH;
+    cachedTables = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+
+  return cachedTables;
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Strict number parse that tolerates "$", "," and "%" but turns junk into NaN
+ */
+function toNumber(value) {
+  return typeof value === 'number' ? value : parseFloat(String(value).replace(/[$,%\s]/g, ''));
+}
+
+function formatMoney(value, currency = 'USD') {
+  return round2(value).toLocaleString('en-US', { style: 'currency', currency });
+}
+
+function formatInches(value) {
+  return `${round2(value).toFixed(2)}"`;
+}
+
+/**
+ * Read a location's size and quantity, accepting the short keys older clients send
+ */
+function normalizeLocation(location = {}) {
+  return {
+    name: location.name,
+    width: Number(location.width ?? location.w ?? 0),
+    height: Number(location.height ?? location.h ?? 0),
+    quantity: Number(location.quantity ?? location.qty ?? location.q ?? 0)
+  };
+}
+
+/**
+ * Check locations can be printed on the configured sheet; returns { field, message } errors
+ */
+function validateLocations(locations, tables) {
+  const errors = [];
+
+  if (!Array.isArray(locations)) {
+    return [{ field: 'locations', message: 'must be an array' }];
+  }
+
+  locations.forEach((raw, index) => {
+    const location = normalizeLocation(raw);
+    const field = `locations[${index}]`;
+
+    if (!(location.width > 0)) errors.push({ field: `${field}.width`, message: 'must be a positive number' });
+    if (!(location.height > 0)) errors.push({ field: `${field}.height`, message: 'must be a positive number' });
+    if (!Number.isInteger(location.quantity) || location.quantity < 0) {
+      errors.push({ field: `${field}.quantity`, message: 'must be a whole number of 0 or more' });
+    }
+    const fitError = location.width > 0 && location.height > 0 ? sheetFitError(location, tables.sheet) : null;
+    if (fitError) {
+      errors.push({ field, message: fitError });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Price per inch for a total sheet length
+ */
+function pricePerInch(length, tables) {
+  const tiers = [...tables.length_tiers].sort((a, b) => b.min_length - a.min_length);
+  const tier = tiers.find(candidate => length >= candidate.min_length) || tiers[tiers.length - 1];
+  return tier.price_per_inch;
+}
+
+/**
+ * Compute a quote's costs and prices.
+ *
+ * @param {object} input - { locations, units, product_cost, press_cost, markup }
+ *   product_cost is per garment, press_cost per transfer pressed, markup a percentage.
+ *   units defaults to the largest location quantity.
+ * @param {object} [options] - { tables } to override the configured price tables
+ * @returns {object} { inputs, sheet, layout, totals (numbers), data (formatted quoteData.data fields), pricing }
+ */
+function calculateQuote(input, options = {}) {
+  const tables = options.tables || loadPriceTables();
+  const errors = validateLocations(input.locations || [], tables);
+
+  const numeric = (field, fallback) => {
+    const value = input[field] === undefined || input[field] === '' ? fallback : toNumber(input[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push({ field, message: 'must be a number of 0 or more' });
+    }
+    return value;
+  };
+
+  const productCost = numeric('product_cost', tables.defaults.product_cost);
+  const pressCost = numeric('press_cost', tables.defaults.press_cost);
+  const markup = numeric('markup', tables.defaults.markup);
+
+  if (input.units !== undefined && input.units !== null && !(Number.isInteger(Number(input.units)) && Number(input.units) > 0)) {
+    errors.push({ field: 'units', message: 'must be a positive whole number' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid pricing input', errors);
+  }
+
+  const locations = (input.locations || []).map(normalizeLocation);
+  const totalTransfers = locations.reduce((sum, location) => sum + location.quantity, 0);
+  const units = input.units ? Number(input.units) : Math.max(0, ...locations.map(location => location.quantity));
+
+  // Sheet length and count come from the actual gang sheet layout
+  const layout = nestLocations(locations, tables.sheet);
+  const sheetLength = layout.total_length;
+  const sheetQty = layout.sheet_count;
+  const sheetCost = sheetLength > 0 ? Math.max(tables.minimum_charge, sheetLength * pricePerInch(sheetLength, tables)) : 0;
+
+  const productCostTotal = productCost * units;
+  const pressCostTotal = pressCost * totalTransfers;
+  const totalCost = sheetCost + productCostTotal + pressCostTotal;
+  const unitCost = units > 0 ? totalCost / units : 0;
+  // The total is the rounded unit price times the garments, so it always matches the quoted unit price
+  const retailUnit = round2(unitCost * (1 + markup / 100));
+  const retailTotal = round2(retailUnit * units);
+
+  const totals = {
+    units,
+    total_transfers: totalTransfers,
+    loc_count: locations.length,
+    sheet_length: sheetLength,
+    sheet_qty: sheetQty,
+    sheet_cost: round2(sheetCost),
+    cost_per_transfer: totalTransfers > 0 ? round2(sheetCost / totalTransfers) : 0,
+    imprint_cost: units > 0 ? round2(sheetCost / units) : 0,
+    product_cost_total: round2(productCostTotal),
+    press_cost_total: round2(pressCostTotal),
+    total_cost: round2(totalCost),
+    unit_cost: round2(unitCost),
+    markup,
+    retail_unit: round2(retailUnit),
+    retail_total: round2(retailTotal),
+    profit_total: round2(retailTotal - totalCost)
+  };
+
+  const money = value => formatMoney(value, tables.currency);
+  const data = {
+    total_transfers: String(totalTransfers),
+    loc_count: String(locations.length),
+    sheet_length: formatInches(sheetLength),
+    sheet_qty: String(sheetQty),
+    sheet_cost: money(totals.sheet_cost),
+    cost_per_transfer: money(totals.cost_per_transfer),
+    imprint_cost: money(totals.imprint_cost),
+    product_cost_total: money(totals.product_cost_total),
+    press_cost_total: money(totals.press_cost_total),
+    unit_cost: money(totals.unit_cost),
+    markup: String(markup),
+    retail_unit: money(totals.retail_unit),
+    retail_total: money(totals.retail_total),
+    profit_total: money(totals.profit_total)
+  };
+
+  return {
+    inputs: { units, product_cost: productCost, press_cost: pressCost, markup },
+    sheet: { width: tables.sheet.width, length: sheetLength, quantity: sheetQty, waste_percent: layout.waste_percent },
+    layout,
+    totals,
+    data,
+    pricing: {
+      retail_unit: data.retail_unit,
+      retail_total: data.retail_total,
+      profit_total: data.profit_total
+    }
+  };
+}
+
+/**
+ * Pricing inputs for a saved quote: quoteData.pricing_inputs when present,
+ * otherwise backed out of the reseller's own figures in quoteData.data
+ */
+function pricingInputsFor(quoteData) {
+  const data = quoteData.data || {};
+  const locations = (quoteData.locations || []).map(normalizeLocation);
+  const units = Math.max(0, ...locations.map(location => location.quantity));
+  const transfers = locations.reduce((sum, location) => sum + location.quantity, 0);
+
+  if (quoteData.pricing_inputs) {
+    return { ...quoteData.pricing_inputs, locations: quoteData.locations || [] };
+  }
+
+  return {
+    locations: quoteData.locations || [],
+    markup: data.markup,
+    product_cost: units > 0 && data.product_cost_total !== undefined ? parseMoney(data.product_cost_total) / units : undefined,
+    press_cost: transfers > 0 && data.press_cost_total !== undefined ? parseMoney(data.press_cost_total) / transfers : undefined
+  };
+}
+
+/**
+ * Recompute (or, in verify mode, check) the money fields of a quote before it is saved.
+ * Returns a copy of quoteData with server-computed data/pricing.
+ *
+ * @param {string} [mode] - "recompute" (default) overwrites client figures;
+ *   "verify" rejects the quote with a ValidationError when they differ by more than a cent
+ */
+function applyPricing(quoteData, mode = process.env.PRICING_MODE || 'recompute') {
+  const inputs = pricingInputsFor(quoteData);
+  const result = calculateQuote(inputs);
+
+  if (mode === 'verify') {
+    const submitted = quoteData.data || {};
+    const mismatches = COMPUTED_DATA_FIELDS
+      .filter(field => submitted[field] !== undefined)
+      .filter(field => Math.abs(parseMoney(submitted[field]) - parseMoney(result.data[field])) > 0.01)
+      .map(field => ({
+        field: `data.${field}`,
+        message: `expected ${result.data[field]}, got ${submitted[field]}`
+      }));
+
+    if (mismatches.length > 0) {
+      throw new ValidationError('Quote totals do not match server pricing', mismatches);
+    }
+  }
+
+  return {
+    ...quoteData,
+    pricing_inputs: {
+      units: result.inputs.units,
+      product_cost: result.inputs.product_cost,
+      press_cost: result.inputs.press_cost,
+      markup: result.inputs.markup
+    },
+    data: { ...(quoteData.data || {}), ...result.data },
+    total_transfers: result.totals.total_transfers,
+    pricing: { ...(quoteData.pricing || {}), ...result.pricing }
+  };
+}
+
+module.exports = {
+  loadPriceTables,
+  normalizeLocation,
+  validateLocations,
+  calculateQuote,
+  applyPricing,
+  formatMoney,
+  formatInches
+};
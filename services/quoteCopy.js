@@ -0,0 +1,147 @@
+const { ValidationError } = require('./errors');
+const { normalizeLocation } = require('./pricing');
+
+const MAX_QUANTITY = 100000;
+
+const isWholeNumber = (value, min) => Number.isInteger(value) && value >= min && value <= MAX_QUANTITY;
+
+/**
+ * Check the overrides for a new quote started from an existing quote or a template:
+ * { quote_name, customer_email, units, quantities, markup }. `quantities` lists one
+ * transfer count per location. Returns the cleaned overrides or throws ValidationError.
+ *
+ * @param {number} locationCount - locations in the quote or template being copied
+ * @param {object} [options] - { requireUnits } when there is no garment count to start from
+ */
+function validateCopyOverrides(body = {}, locationCount, options = {}) {
+  const errors = [];
+  const overrides = {};
+
+  if (body.quote_name !== undefined) {
+    if (typeof body.quote_name !== 'string' || body.quote_name.trim() === '' || body.quote_name.length > 120) {
+      errors.push({ field: 'quote_name', message: 'must be a string of 1 to 120 characters' });
+    } else {
+      overrides.quote_name = body.quote_name.trim();
+    }
+  }
+
+  if (body.customer_email !== undefined) {
+    // The address itself is checked against the quote schema on save
+    if (typeof body.customer_email !== 'string' || body.customer_email.length > 254) {
+      errors.push({ field: 'customer_email', message: 'must be an email address' });
+    } else {
+      overrides.customer_email = body.customer_email.trim();
+    }
+  }
+
+  if (body.units !== undefined) {
+    if (!isWholeNumber(body.units, 1)) {
+      errors.push({ field: 'units', message: `must be a whole number from 1 to ${MAX_QUANTITY}` });
+    } else {
+      overrides.units = body.units;
+    }
+  } else if (options.requireUnits && body.quantities === undefined) {
+    errors.push({ field: 'units', message: 'is required' });
+  }
+
+  if (body.quantities !== undefined) {
+    if (!Array.isArray(body.quantities) || body.quantities.length !== locationCount) {
+      errors.push({ field: 'quantities', message: `must list a quantity for each of the ${locationCount} locations` });
+    } else if (!body.quantities.every(quantity => isWholeNumber(quantity, 0))) {
+      errors.push({ field: 'quantities', message: `must be whole numbers from 0 to ${MAX_QUANTITY}` });
+    } else if (!body.quantities.some(quantity => quantity > 0)) {
+      errors.push({ field: 'quantities', message: 'needs at least one location with a quantity' });
+    } else {
+      overrides.quantities = body.quantities;
+    }
+  }
+
+  if (body.markup !== undefined) {
+    if (typeof body.markup !== 'number' || !Number.isFinite(body.markup) || body.markup < 0 || body.markup > 10000) {
+      errors.push({ field: 'markup', message: 'must be a percentage from 0 to 10000' });
+    } else {
+      overrides.markup = body.markup;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid copy request', errors);
+  }
+
+  return overrides;
+}
+
+/**
+ * Location fields a new quote may carry over (print checks are redone on save)
+ */
+function copyLocation(location, quantity) {
+  const { name, width, height } = normalizeLocation(location);
+  return {
+    name,
+    width,
+    height,
+    quantity,
+    ...(location.artwork_id ? { artwork_id: location.artwork_id } : {})
+  };
+}
+
+/**
+ * Save-ready quoteData for a copy of a stored quote (saving gives it a new quote number).
+ * A new garment count scales every location's transfers in proportion (2 per garment
+ * stays 2 per garment); `quantities` then sets them outright. Status, approvals, emails
+ * and orders start over.
+ */
+function cloneQuoteData(quote, overrides) {
+  const locations = quote.locations || [];
+  const currentUnits = Number(quote.pricing_inputs && quote.pricing_inputs.units) ||
+    Math.max(0, ...locations.map(location => normalizeLocation(location).quantity));
+
+  const quantities = overrides.quantities || locations.map(location => {
+    const { quantity } = normalizeLocation(location);
+    if (!overrides.units || !currentUnits || quantity === 0) return quantity;
+    return Math.max(1, Math.round(quantity * overrides.units / currentUnits));
+  });
+  const inputs = quote.pricing_inputs || {};
+
+  return {
+    quote_name: overrides.quote_name || `${quote.quote_name} (copy)`.slice(0, 120),
+    customer_id: quote.customer_id,
+    customer_email: overrides.customer_email ?? quote.customer_email,
+    date_created: new Date().toISOString(),
+    layout_preview: !!quote.layout_preview,
+    locations: locations.map((location, index) => copyLocation(location, quantities[index])),
+    pricing_inputs: {
+      units: overrides.units || (overrides.quantities ? Math.max(...quantities) : inputs.units),
+      product_cost: inputs.product_cost,
+      press_cost: inputs.press_cost,
+      markup: overrides.markup ?? inputs.markup
+    }
+  };
+}
+
+/**
+ * Save-ready quoteData for a new quote from a template: each location gets
+ * per_unit x units transfers unless `quantities` sets them
+ */
+function quoteDataFromTemplate(template, overrides, customerId) {
+  const quantities = overrides.quantities ||
+    template.locations.map(location => location.per_unit * overrides.units);
+  const inputs = template.pricing_inputs || {};
+
+  return {
+    quote_name: overrides.quote_name || template.name,
+    customer_id: customerId,
+    customer_email: overrides.customer_email,
+    date_created: new Date().toISOString(),
+    layout_preview: !!template.layout_preview,
+    locations: template.locations.map((location, index) => copyLocation(location, quantities[index])),
+    pricing_inputs: {
+      units: overrides.units || Math.max(...quantities),
+      product_cost: inputs.product_cost,
+      press_cost: inputs.press_cost,
+      markup: overrides.markup ?? inputs.markup
+    }
+  };
+}
+
+module.exports = { validateCopyOverrides, cloneQuoteData, quoteDataFromTemplate };
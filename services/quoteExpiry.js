@@ -0,0 +1,73 @@
+const { ValidationError } = require('./errors');
+const { statusOf } = require('./quoteStatus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VALID_DAYS = Number(process.env.QUOTE_VALID_DAYS) || 30;
+const RETENTION_DAYS = Number(process.env.QUOTE_RETENTION_DAYS) || 180;
+
+// Quotes still in play (sent, accepted, ordered) are never archived, however old
+const ARCHIVABLE_STATUSES = ['draft', 'expired', 'rejected', 'cancelled', 'completed'];
+
+const isoDate = date => date.toISOString().slice(0, 10);
+
+/**
+ * Last day a quote being saved is valid (YYYY-MM-DD, UTC). In order of preference:
+ * the payload's valid_until, its valid_days counted from date_created, the previous
+ * copy's valid_until, then QUOTE_VALID_DAYS (default 30) from date_created.
+ */
+function validUntilFor(quoteData, previous = null) {
+  if (quoteData.valid_until) {
+    const date = new Date(`${quoteData.valid_until}T00:00:00Z`);
+    if (Number.isNaN(date.getTime()) || isoDate(date) !== quoteData.valid_until) {
+      throw new ValidationError('Invalid quote data', [{ field: 'valid_until', message: 'must be a real date (YYYY-MM-DD)' }]);
+    }
+    return quoteData.valid_until;
+  }
+
+  const created = new Date(quoteData.date_created);
+  const start = Number.isNaN(created.getTime()) ? new Date() : created;
+
+  if (quoteData.valid_days) {
+    return isoDate(new Date(start.getTime() + Number(quoteData.valid_days) * DAY_MS));
+  }
+  if (previous && previous.valid_until) {
+    return previous.valid_until;
+  }
+  return isoDate(new Date(start.getTime() + VALID_DAYS * DAY_MS));
+}
+
+/**
+ * Whether a quote's validity has run out; it is still valid through its valid_until day
+ */
+function isPastValidity(quote, now = new Date()) {
+  return isoDate(now) > (quote.valid_until || validUntilFor({ date_created: quote.date_created }));
+}
+
+/**
+ * Whether a quote has been inactive for longer than the retention window and may be archived
+ */
+function isDueForArchive(quote, now = new Date(), retentionDays = RETENTION_DAYS) {
+  const lastActivity = new Date(quote.last_updated || quote.date_created);
+
+  return ARCHIVABLE_STATUSES.includes(statusOf(quote)) &&
+    !Number.isNaN(lastActivity.getTime()) &&
+    now.getTime() - lastActivity.getTime() > retentionDays * DAY_MS;
+}
+
+/**
+ * "March 3, 2026" for a valid_until date
+ */
+function formatValidUntil(validUntil) {
+  if (!validUntil) return null;
+  return new Date(`${validUntil}T00:00:00Z`).toLocaleDateString('en-US', { dateStyle: 'long', timeZone: 'UTC' });
+}
+
+module.exports = {
+  VALID_DAYS,
+  RETENTION_DAYS,
+  ARCHIVABLE_STATUSES,
+  validUntilFor,
+  isPastValidity,
+  isDueForArchive,
+  formatValidUntil
+};
@@ -0,0 +1,232 @@
+const { isNotFound, isConflict } = require('./storage');
+
+const INDEX_FOLDER = '/dtf-quotes/_index';
+const MANIFEST_PATH = `${INDEX_FOLDER}/_manifest.json`;
+// Bumped when index file names change; an older manifest means the index needs a rebuild
+const INDEX_VERSION = 2;
+
+/**
+ * Per-customer quote index.
+ *
+ * Each customer gets one JSON file (/dtf-quotes/_index/{customerId}.json) holding
+ * the metadata of all of their quotes, so a listing is a single read instead of
+ * one download per metadata file. The manifest records when the index was last
+ * rebuilt; until it exists, listings fall back to scanning the quotes folder.
+ * Index files are named after the hex-encoded customer ID, so no two IDs share a
+ * file even on case-insensitive storage.
+ */
+class QuoteIndex {
+  constructor(storage) {
+    this.storage = storage;
+    this.locks = new Map();
+  }
+
+  /**
+   * Path of a customer's index file
+   */
+  indexPath(customerId) {
+    const key = customerId === undefined || customerId === null || customerId === ''
+      ? '_unassigned'
+      : `c_${Buffer.from(String(customerId), 'utf8').toString('hex')}`;
+
+    return `${INDEX_FOLDER}/${key}.json`;
+  }
+
+  /**
+   * Whether a full rebuild has been run, i.e. whether missing index files can be trusted to mean "no quotes"
+   */
+  async isBuilt() {
+    try {
+      const content = await this.storage.downloadFile(MANIFEST_PATH);
+      return JSON.parse(content.toString('utf8')).version === INDEX_VERSION;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Load a customer's index entries, or null if there is no index file
+   */
+  async load(customerId) {
+    const { quotes } = await this.read(customerId);
+    return quotes;
+  }
+
+  /**
+   * Index entries with the storage revision: { quotes, rev }, both null if there is no index file
+   */
+  async read(customerId) {
+    try {
+      const { content, metadata } = await this.storage.downloadFileWithMetadata(this.indexPath(customerId));
+      return { quotes: JSON.parse(content.toString('utf8')).quotes || {}, rev: metadata.rev };
+    } catch (error) {
+      if (isNotFound(error)) return { quotes: null, rev: null };
+      throw error;
+    }
+  }
+
+  /**
+   * Every indexed quote across all customers
+   */
+  async loadAll() {
+    let entries = [];
+    try {
+      entries = await this.storage.listFolder(INDEX_FOLDER);
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+
+    const quotes = [];
+    for (const entry of entries) {
+      if (entry['.tag'] === 'folder' || entry.path_lower === MANIFEST_PATH.toLowerCase()) continue;
+
+      const content = await this.storage.downloadFile(entry.path_lower);
+      quotes.push(...Object.values(JSON.parse(content.toString('utf8')).quotes || {}));
+    }
+
+    return quotes;
+  }
+
+  /**
+   * Add or replace a quote's entry in its customer's index
+   */
+  async upsert(metadata) {
+    await this.update(metadata.customer_id, quotes => {
+      quotes[metadata.id] = metadata;
+    });
+  }
+
+  /**
+   * Remove a quote's entry from a customer's index
+   */
+  async remove(quoteId, customerId) {
+    await this.update(customerId, quotes => {
+      delete quotes[quoteId];
+    });
+  }
+
+  /**
+   * Read-modify-write a customer's index with a conditional write, retrying on conflicts.
+   * Saves in this process also queue per file, so they don't race each other.
+   */
+  async update(customerId, mutate) {
+    const path = this.indexPath(customerId);
+
+    return this.withLock(path, async () => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const { quotes, rev } = await this.read(customerId);
+        const entries = quotes || {};
+        mutate(entries);
+
+        try {
+          await this.write(customerId, entries, rev ? { rev } : { mustNotExist: true });
+          return;
+        } catch (error) {
+          if (!isConflict(error)) throw error;
+        }
+      }
+
+      throw new Error('Quote index is being changed too often; try again');
+    });
+  }
+
+  /**
+   * @param {object} [options] - storage write conditions ({ rev } or { mustNotExist })
+   */
+  async write(customerId, quotes, options = {}) {
+    const index = {
+      customer_id: customerId === undefined ? null : customerId,
+      updated_at: new Date().toISOString(),
+      quotes
+    };
+
+    await this.storage.uploadFile(this.indexPath(customerId), JSON.stringify(index, null, 2), options);
+  }
+
+  /**
+   * Rebuild every customer index from the metadata files in /dtf-quotes
+   */
+  async rebuild(loadMetadata) {
+    console.log('🔄 Rebuilding quote index...');
+
+    let entries = [];
+    try {
+      entries = await this.storage.listFolder('/dtf-quotes');
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+
+    const byCustomer = new Map();
+    const failed = [];
+
+    for (const entry of entries) {
+      if (entry['.tag'] === 'folder' || !entry.name.endsWith('_metadata.json')) continue;
+
+      try {
+        const metadata = await loadMetadata(entry.path_lower);
+        const path = this.indexPath(metadata.customer_id);
+
+        if (!byCustomer.has(path)) {
+          byCustomer.set(path, { customerId: metadata.customer_id, quotes: {} });
+        }
+        byCustomer.get(path).quotes[metadata.id] = metadata;
+      } catch (error) {
+        console.warn(`Could not index metadata file ${entry.name}:`, error.message);
+        failed.push(entry.name);
+      }
+    }
+
+    // Drop index files for customers that no longer have quotes
+    let existing = [];
+    try {
+      existing = await this.storage.listFolder(INDEX_FOLDER);
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+
+    for (const entry of existing) {
+      if (entry.path_lower !== MANIFEST_PATH.toLowerCase() && ![...byCustomer.keys()].some(path => path.toLowerCase() === entry.path_lower)) {
+        await this.storage.deleteFile(entry.path_lower);
+      }
+    }
+
+    let quoteCount = 0;
+    for (const [path, { customerId, quotes }] of byCustomer) {
+      await this.withLock(path, () => this.write(customerId, quotes));
+      quoteCount += Object.keys(quotes).length;
+    }
+
+    const manifest = {
+      version: INDEX_VERSION,
+      rebuilt_at: new Date().toISOString(),
+      customers: byCustomer.size,
+      quotes: quoteCount,
+      failed
+    };
+    await this.storage.uploadFile(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+
+    console.log(`✅ Quote index rebuilt: ${quoteCount} quotes across ${byCustomer.size} customers`);
+    return manifest;
+  }
+
+  /**
+   * Run fn once any pending work on the same key has settled
+   */
+  async withLock(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    const tail = run.catch(() => {});
+    this.locks.set(key, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(key) === tail) {
+        this.locks.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = QuoteIndex;
@@ -0,0 +1,224 @@
+/**
+ * Sorting and cursor pagination for quote listings
+ */
+
+const { STATUSES, statusOf } = require('./quoteStatus');
+
+const SORT_FIELDS = ['date', 'name', 'total'];
+const MAX_LIMIT = 100;
+
+/**
+ * Parse a money value that may arrive pre-formatted ("$1,234.50") or as a number
+ */
+function parseMoney(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return 0;
+
+  const amount = parseFloat(value.replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+/**
+ * Retail total of a quote, whichever field the client stored it in
+ */
+function quoteTotal(quote) {
+  return parseMoney(quote.pricing?.retail_total ?? quote.data?.retail_total);
+}
+
+// The value each sort orders by; a cursor carries the last listed quote's value
+const sortValues = {
+  date: quote => new Date(quote.date_created).getTime() || 0,
+  name: quote => String(quote.quote_name || ''),
+  total: quote => quoteTotal(quote)
+};
+
+/**
+ * A quote's position in a listing: { value, id }
+ */
+function sortKey(quote, sort) {
+  return { value: sortValues[sort](quote), id: String(quote.id) };
+}
+
+/**
+ * Compare two sort keys in listing order; ties fall back to the quote ID so the order is total
+ */
+function compareKeys(a, b, sort, order) {
+  const byValue = sort === 'name'
+    ? a.value.localeCompare(b.value, undefined, { sensitivity: 'base' })
+    : a.value - b.value;
+
+  return (byValue || a.id.localeCompare(b.id)) * (order === 'asc' ? 1 : -1);
+}
+
+/**
+ * Sort quotes in place
+ */
+function sortQuotes(quotes, sort = 'date', order = 'desc') {
+  return quotes.sort((a, b) => compareKeys(sortKey(a, sort), sortKey(b, sort), sort, order));
+}
+
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * Decode a cursor, returning null if it is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const after = state && state.after;
+
+    if (!SORT_FIELDS.includes(state.sort) || !after || typeof after.id !== 'string' ||
+        typeof after.value !== (state.sort === 'name' ? 'string' : 'number')) {
+      return null;
+    }
+
+    return state;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate listing query parameters (sort, order, limit, cursor).
+ * Returns { options } or { error } with a message suitable for a 400 response.
+ */
+function parseListQuery(query = {}) {
+  let { sort = 'date', order, limit, cursor } = query;
+  let after = null;
+
+  if (cursor) {
+    const state = decodeCursor(String(cursor));
+    if (!state) {
+      return { error: 'Invalid cursor' };
+    }
+    // A cursor pins the ordering it was issued for
+    ({ sort, order, after } = state);
+  }
+
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `Invalid sort. Use one of: ${SORT_FIELDS.join(', ')}` };
+  }
+
+  order = order || (sort === 'name' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Invalid order. Use asc or desc' };
+  }
+
+  if (limit !== undefined) {
+    limit = Number(limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `Invalid limit. Use an integer between 1 and ${MAX_LIMIT}` };
+    }
+  }
+
+  return { options: { sort, order, limit, after } };
+}
+
+/**
+ * Sort quotes and cut out one page. A page after a cursor starts with the first quote
+ * that sorts after the cursor's quote, so quotes added or deleted between requests
+ * never make the next page skip or repeat one.
+ *
+ * @param {object} options - { sort, order, limit, after } as returned by parseListQuery
+ */
+function paginateQuotes(quotes, { sort = 'date', order = 'desc', limit, after = null } = {}) {
+  sortQuotes(quotes, sort, order);
+
+  const found = after ? quotes.findIndex(quote => compareKeys(sortKey(quote, sort), after, sort, order) > 0) : 0;
+  const start = found === -1 ? quotes.length : found;
+  const end = limit ? start + limit : quotes.length;
+  const page = quotes.slice(start, end);
+  const hasMore = end < quotes.length;
+
+  return {
+    quotes: page,
+    pagination: {
+      total: quotes.length,
+      limit: limit || null,
+      sort,
+      order,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor({ sort, order, after: sortKey(page[page.length - 1], sort) }) : null
+    }
+  };
+}
+
+/**
+ * Validate quote filter parameters: customer_id, email, status (comma-separated),
+ * from / to (dates, inclusive) and min_total / max_total. Returns { filters } or { error }.
+ */
+function parseQuoteFilters(query = {}) {
+  const filters = {};
+
+  if (query.customer_id) filters.customerId = String(query.customer_id);
+  if (query.email) filters.email = String(query.email).toLowerCase();
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+    const unknown = statuses.find(status => !STATUSES.includes(status));
+    if (unknown) {
+      return { error: `Invalid status. Use one or more of: ${STATUSES.join(', ')}` };
+    }
+    filters.statuses = statuses;
+  }
+
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Invalid ${key}. Use a date such as 2025-08-31` };
+    }
+    // A bare date as "to" means the whole of that day
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[key])) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+    filters[key] = date.getTime();
+  }
+
+  for (const [param, key] of [['min_total', 'minTotal'], ['max_total', 'maxTotal']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+
+    const amount = Number(query[param]);
+    if (!Number.isFinite(amount)) {
+      return { error: `Invalid ${param}. Use a number` };
+    }
+    filters[key] = amount;
+  }
+
+  return { filters };
+}
+
+/**
+ * Quotes matching every given filter (see parseQuoteFilters)
+ */
+function filterQuotes(quotes, filters = {}) {
+  return quotes.filter(quote => {
+    if (filters.customerId !== undefined && String(quote.customer_id) !== filters.customerId) return false;
+    if (filters.email && !String(quote.customer_email || '').toLowerCase().includes(filters.email)) return false;
+    if (filters.statuses && !filters.statuses.includes(statusOf(quote))) return false;
+
+    const created = new Date(quote.date_created).getTime();
+    if (filters.from !== undefined && !(created >= filters.from)) return false;
+    if (filters.to !== undefined && !(created <= filters.to)) return false;
+
+    const total = quoteTotal(quote);
+    if (filters.minTotal !== undefined && total < filters.minTotal) return false;
+    if (filters.maxTotal !== undefined && total > filters.maxTotal) return false;
+
+    return true;
+  });
+}
+
+module.exports = {
+  SORT_FIELDS,
+  parseMoney,
+  quoteTotal,
+  sortQuotes,
+  parseListQuery,
+  paginateQuotes,
+  parseQuoteFilters,
+  filterQuotes
+};
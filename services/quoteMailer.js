@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { ValidationError, UpstreamError } = require('./errors');
+const { renderText, escapeHtml } = require('./templateEngine');
+
+const DEFAULT_TEMPLATES_PATH = path.join(__dirname, '..', 'config', 'email.json');
+const MAX_RECIPIENTS = 10;
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+const ATTACHMENTS = ['none', 'html', 'pdf'];
+
+let cachedTemplates = null;
+
+/**
+ * Load the default subject/body templates from EMAIL_TEMPLATES (or config/email.json)
+ */
+function loadEmailTemplates() {
+  if (!cachedTemplates) {
+    cachedTemplates = JSON.parse(fs.readFileSync(process.env.EMAIL_TEMPLATES || DEFAULT_TEMPLATES_PATH, 'utf8'));
+  }
+
+  return cachedTemplates;
+}
+
+/**
+ * Check a send request: { to, cc, subject, body, attach }. `to` defaults to the
+ * quote's customer_email; subject and body override the configured templates.
+ * Returns the cleaned request or throws ValidationError.
+ */
+function validateSendRequest(body = {}, quote = {}) {
+  const errors = [];
+  const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(address => String(address).trim())
+    .filter(Boolean);
+
+  const request = {
+    to: list(body.to !== undefined ? body.to : quote.customer_email),
+    cc: list(body.cc),
+    subject: body.subject,
+    body: body.body,
+    attach: body.attach === undefined || body.attach === null ? 'none' : body.attach
+  };
+
+  if (request.to.length === 0) {
+    errors.push({ field: 'to', message: 'is required (the quote has no customer_email)' });
+  }
+  for (const field of ['to', 'cc']) {
+    for (const address of request[field].filter(address => !EMAIL_PATTERN.test(address))) {
+      errors.push({ field, message: `"${address}" is not an email address` });
+    }
+  }
+  if (request.to.length + request.cc.length > MAX_RECIPIENTS) {
+    errors.push({ field: 'to', message: `at most ${MAX_RECIPIENTS} recipients in total` });
+  }
+  if (request.subject !== undefined && (typeof request.subject !== 'string' || request.subject.trim() === '' || request.subject.length > 200)) {
+    errors.push({ field: 'subject', message: 'must be a non-empty string of at most 200 characters' });
+  }
+  if (request.body !== undefined && (typeof request.body !== 'string' || request.body.length > 5000)) {
+    errors.push({ field: 'body', message: 'must be a string of at most 5000 characters' });
+  }
+  if (!ATTACHMENTS.includes(request.attach)) {
+    errors.push({ field: 'attach', message: `must be one of ${ATTACHMENTS.join(', ')}` });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid email request', errors);
+  }
+
+  return request;
+}
+
+/**
+ * Build the email for a quote: the rendered body as a text part and, in the HTML part,
+ * above the customer quote. Templates see `quote` (id, name, units, retail_unit,
+ * retail_total, status, url) and `branding`.
+ *
+ * @param {object} request - validated send request (see validateSendRequest)
+ * @param {object} content - { html } customer quote HTML, { url } its shared link, { attachment } { filename, content }
+ */
+function buildQuoteEmail(quote, branding, request, content) {
+  const templates = loadEmailTemplates();
+  const context = {
+    quote: {
+      id: quote.id,
+      name: quote.quote_name,
+      units: quote.pricing_inputs && quote.pricing_inputs.units,
+      retail_unit: quote.pricing && quote.pricing.retail_unit,
+      retail_total: quote.pricing && quote.pricing.retail_total,
+      status: quote.status,
+      url: content.url
+    },
+    branding
+  };
+
+  const subject = renderText(request.subject || templates.subject, context).replace(/\s+/g, ' ').trim();
+  const text = renderText(request.body || templates.body, context).trim();
+  // The body is plain text; in the HTML part it is escaped as a whole and split into paragraphs
+  const intro = escapeHtml(text)
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+  const introBlock = `<div style="max-width: 8.5in; margin: 0 auto 1.5rem; font-family: sans-serif; font-size: 14px;">\n${intro}\n</div>`;
+
+  // The quote is a full HTML document; the message goes at the top of its body
+  const html = /<body[^>]*>/i.test(content.html)
+    ? content.html.replace(/<body[^>]*>/i, match => `${match}\n${introBlock}`)
+    : `${introBlock}\n${content.html}`;
+
+  return {
+    to: request.to,
+    cc: request.cc.length > 0 ? request.cc : undefined,
+    replyTo: branding.email || undefined,
+    subject,
+    text,
+    html,
+    attachments: content.attachment ? [content.attachment] : []
+  };
+}
+
+/**
+ * Sends quote emails over SMTP.
+ *
+ * Configured from SMTP_URL, or SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS,
+ * with MAIL_FROM as the sender address. Any SMTP server works, including a local
+ * catch-all (e.g. Mailpit on localhost:1025) for testing.
+ */
+class QuoteMailer {
+  /**
+   * @param {object} [options] - { transport } nodemailer transport options, { from } override the environment
+   */
+  constructor(options = {}) {
+    this.from = options.from || process.env.MAIL_FROM;
+    this.transportOptions = options.transport || QuoteMailer.transportFromEnv();
+    this.transporter = null;
+  }
+
+  static transportFromEnv() {
+    if (process.env.SMTP_URL) return process.env.SMTP_URL;
+    if (!process.env.SMTP_HOST) return null;
+
+    const port = Number(process.env.SMTP_PORT) || 587;
+    return {
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      connectionTimeout: 15000,
+      greetingTimeout: 15000,
+      socketTimeout: 30000
+    };
+  }
+
+  isConfigured() {
+    return !!(this.transportOptions && this.from);
+  }
+
+  /**
+   * Send a message built by buildQuoteEmail; `fromName` is shown as the sender's name.
+   * Returns { message_id, accepted, rejected }.
+   */
+  async send(message, fromName) {
+    if (!this.isConfigured()) {
+      throw new UpstreamError('SMTP', 'not configured (set SMTP_HOST or SMTP_URL, and MAIL_FROM)');
+    }
+
+    this.transporter = this.transporter || nodemailer.createTransport(this.transportOptions);
+    const from = fromName && !this.from.includes('<') ? { name: fromName, address: this.from } : this.from;
+
+    try {
+      const info = await this.transporter.sendMail({ ...message, from });
+      return { message_id: info.messageId, accepted: info.accepted, rejected: info.rejected };
+    } catch (error) {
+      throw new UpstreamError('SMTP', `send failed: ${error.message}`, error.responseCode || null);
+    }
+  }
+}
+
+module.exports = { QuoteMailer, buildQuoteEmail, validateSendRequest, loadEmailTemplates };
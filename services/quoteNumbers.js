@@ -0,0 +1,130 @@
+const { isNotFound, isConflict } = require('./storage');
+
+const NUMBERS_FOLDER = '/quote_numbers';
+const PREFIX = (process.env.QUOTE_NUMBER_PREFIX || 'Q').replace(/[^A-Za-z0-9]/g, '') || 'Q';
+// Client IDs as the quote schema allows them; anything else is never looked up as a path
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const NUMBER_PATTERN = new RegExp(`^${PREFIX}-\\d{4}-\\d{5,}$`);
+
+/**
+ * Whether an ID has the shape of a server quote number
+ */
+const isQuoteNumber = id => NUMBER_PATTERN.test(String(id));
+
+/**
+ * The form a client ID is stored and looked up in. Dropbox paths ignore case, so
+ * "ABC" and "abc" are the same alias everywhere.
+ */
+const normalizeAlias = clientId => String(clientId).toLowerCase();
+
+/**
+ * Quote numbers the server hands out to new quotes, such as Q-2026-00042.
+ *
+ * Numbers count up per calendar year (UTC) in /quote_numbers/counter.json, which is only
+ * written conditionally, so two saves can never get the same number. QUOTE_NUMBER_PREFIX
+ * (default "Q") sets the prefix. The ID a client sent for a new quote is kept as an alias
+ * in /quote_numbers/aliases/{clientId}.json (lowercased), so the client can keep using it.
+ */
+class QuoteNumbers {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  counterPath() {
+    return `${NUMBERS_FOLDER}/counter.json`;
+  }
+
+  aliasPath(clientId) {
+    return `${NUMBERS_FOLDER}/aliases/${normalizeAlias(clientId)}.json`;
+  }
+
+  isQuoteNumber(id) {
+    return isQuoteNumber(id);
+  }
+
+  normalizeAlias(clientId) {
+    return normalizeAlias(clientId);
+  }
+
+  /**
+   * Take the next number for the current year. `isTaken` is asked about each candidate,
+   * so a counter that was reset or restored from a backup skips numbers already in use.
+   */
+  async next(isTaken = async () => false) {
+    const year = String(new Date().getUTCFullYear());
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      let counter = {};
+      let rev = null;
+      try {
+        const { content, metadata } = await this.storage.downloadFileWithMetadata(this.counterPath());
+        counter = JSON.parse(content.toString('utf8'));
+        rev = metadata.rev;
+      } catch (error) {
+        if (!isNotFound(error)) throw error;
+      }
+
+      let number = (counter[year] || 0) + 1;
+      while (await isTaken(this.format(year, number))) {
+        number++;
+      }
+      counter[year] = number;
+
+      try {
+        await this.storage.uploadFile(this.counterPath(), JSON.stringify(counter, null, 2), rev ? { rev } : { mustNotExist: true });
+        return this.format(year, number);
+      } catch (error) {
+        if (!isConflict(error)) throw error;
+      }
+
+      // Every new quote goes through this one file, so back off a little before trying again
+      await new Promise(resolve => setTimeout(resolve, Math.random() * 25 * (attempt + 1)));
+    }
+
+    throw new Error('Quote numbers are being taken too often; try again');
+  }
+
+  format(year, number) {
+    return `${PREFIX}-${year}-${String(number).padStart(5, '0')}`;
+  }
+
+  /**
+   * The quote number a client ID stands for, or null
+   */
+  async resolveAlias(clientId) {
+    if (!CLIENT_ID_PATTERN.test(String(clientId))) return null;
+
+    try {
+      const content = await this.storage.downloadFile(this.aliasPath(clientId));
+      return JSON.parse(content.toString('utf8')).quote_id || null;
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Point a client ID at a quote number. Fails with a "conflict" StorageError if the
+   * client ID is already taken.
+   */
+  async addAlias(clientId, quoteId) {
+    await this.storage.uploadFile(
+      this.aliasPath(clientId),
+      JSON.stringify({ client_id: normalizeAlias(clientId), quote_id: quoteId, created_at: new Date().toISOString() }),
+      { mustNotExist: true }
+    );
+  }
+
+  /**
+   * Drop a client ID, if it still points at quoteId
+   */
+  async removeAlias(clientId, quoteId) {
+    if (await this.resolveAlias(clientId) !== quoteId) return;
+
+    await this.storage.deleteFile(this.aliasPath(clientId)).catch(error => {
+      if (!isNotFound(error)) throw error;
+    });
+  }
+}
+
+module.exports = { QuoteNumbers, isQuoteNumber, normalizeAlias };
@@ -0,0 +1,236 @@
+const PDFDocument = require('pdfkit');
+const { buildQuoteView } = require('./quoteView');
+const { DEFAULT_BRANDING } = require('./brandingStore');
+
+const PAGE_MARGIN = 36; // 0.5in, same as the HTML @page rule
+const FOOTER_HEIGHT = 48;
+
+/**
+ * Render a quote as a letter-size PDF with pdfkit (no browser involved).
+ * Mirrors the sections of generateQuoteHtml; long location lists continue onto new pages.
+ *
+ * @param {object} [branding] - reseller branding from loadQuoteBranding (defaults to the house brand)
+ * @param {object} [options] - { mode } "internal" (default) or "customer" (retail prices only)
+ * @returns {Promise<Buffer>}
+ */
+function generateQuotePdf(quoteData, branding = DEFAULT_BRANDING, options = {}) {
+  const view = buildQuoteView(quoteData, { mode: options.mode });
+  const primary = branding.primary_color;
+  const accent = branding.accent_color;
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: { Title: `DTF Quote: ${view.quoteName}`, Author: branding.company_name }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = PAGE_MARGIN;
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const bottom = () => doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT;
+
+  // Start a new page when the next block would run into the footer
+  const ensureSpace = height => {
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      doc.y = PAGE_MARGIN;
+      return true;
+    }
+    return false;
+  };
+
+  drawHeader(doc, view, branding, left, width);
+
+  // Design locations table
+  sectionTitle(doc, 'Design Locations', left, accent);
+  const columns = [
+    { label: '#', width: 30 },
+    { label: 'Location', width: width - 30 - 3 * 90 },
+    { label: 'Width', width: 90 },
+    { label: 'Height', width: 90 },
+    { label: 'Quantity', width: 90 }
+  ];
+  const rowHeight = 18;
+
+  const tableHeader = () => {
+    let x = left;
+    doc.rect(left, doc.y, width, rowHeight).fill('#f0f8ff');
+    doc.fillColor(accent).font('Helvetica-Bold').fontSize(9);
+    const y = doc.y + 5;
+    for (const column of columns) {
+      doc.text(column.label, x + 4, y, { width: column.width - 8, lineBreak: false });
+      x += column.width;
+    }
+    doc.y = y - 5 + rowHeight;
+  };
+
+  tableHeader();
+  if (view.locations.length === 0) {
+    doc.fillColor('#666').font('Helvetica').fontSize(9)
+      .text('No location data. Location information could not be loaded.', left + 4, doc.y + 5);
+    doc.y += 6;
+  }
+
+  for (const location of view.locations) {
+    if (ensureSpace(rowHeight)) {
+      sectionTitle(doc, 'Design Locations (continued)', left, accent);
+      tableHeader();
+    }
+
+    const y = doc.y + 5;
+    const cells = [location.number, location.name, `${location.width}"`, `${location.height}"`, location.quantity];
+    let x = left;
+    doc.fillColor('#333').font('Helvetica').fontSize(9);
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), x + 4, y, { width: columns[index].width - 8, lineBreak: false, ellipsis: true });
+      x += columns[index].width;
+    });
+    doc.moveTo(left, y - 5 + rowHeight).lineTo(left + width, y - 5 + rowHeight).strokeColor('#e0e0e0').lineWidth(0.5).stroke();
+    doc.y = y - 5 + rowHeight;
+  }
+  doc.y += 12;
+
+  const sections = view.internal ? [
+    ['Production Costs', [
+      ['Imprint Cost', view.imprintCost],
+      ['Product Cost', view.productCostTotal],
+      ['Press Cost', view.pressCostTotal],
+      ['Per Unit', view.unitCost]
+    ]],
+    ['Transfer Details', [
+      ['Total Transfers', view.totalTransfers],
+      ['Cost per Transfer', view.costPerTransfer],
+      ['Sheet Length', view.sheetLength],
+      ['Sheet Quantity', view.sheetQty]
+    ]],
+    ['Gang Sheet Breakdown', [
+      ['Total Sheet Cost', view.sheetCost]
+    ]],
+    ['Pricing & Markup', [
+      ['Markup Percentage', `${view.markup}%`],
+      ['Retail Per Unit', view.retailUnit],
+      ['Total Sale Price', view.retailTotal],
+      ['Total Profit', view.profitTotal]
+    ]]
+  ] : [
+    ['Pricing', [
+      ['Price Per Unit', view.retailUnit],
+      ['Total Price', view.retailTotal]
+    ]]
+  ];
+
+  for (const [title, rows] of sections) {
+    ensureSpace(22 + rows.length * 16);
+    sectionTitle(doc, title, left, primary);
+    for (const [label, value] of rows) {
+      const y = doc.y;
+      doc.fillColor('#666').font('Helvetica-Bold').fontSize(9).text(label, left + 4, y, { lineBreak: false });
+      doc.fillColor('#333').font('Courier-Bold').fontSize(10).text(String(value), left, y, { width: width - 4, align: 'right', lineBreak: false });
+      doc.y = y + 16;
+    }
+    doc.y += 8;
+  }
+
+  // Quote summary box
+  ensureSpace(84);
+  const boxTop = doc.y;
+  doc.rect(left, boxTop, width, 22).fill(primary);
+  doc.fillColor('white').font('Helvetica-Bold').fontSize(11)
+    .text('QUOTE SUMMARY', left, boxTop + 6, { width, align: 'center' });
+  doc.rect(left, boxTop, width, 64).lineWidth(1.5).strokeColor(primary).stroke();
+
+  const summary = [['Per Unit Price', view.retailUnit], ['Quantity', view.totalTransfers], ['Total', view.retailTotal]];
+  const columnWidth = width / summary.length;
+  summary.forEach(([label, value], index) => {
+    const x = left + index * columnWidth;
+    doc.fillColor('#666').font('Helvetica-Bold').fontSize(8).text(label.toUpperCase(), x, boxTop + 30, { width: columnWidth, align: 'center' });
+    doc.fillColor('#333').font('Courier-Bold').fontSize(14).text(String(value), x, boxTop + 42, { width: columnWidth, align: 'center' });
+  });
+  doc.y = boxTop + 76;
+
+  if (view.expiresOn) {
+    doc.fillColor('#666').font('Helvetica').fontSize(9)
+      .text(`${view.status === 'expired' ? 'Expired' : 'Expires'} on ${view.expiresOn}`, left, doc.y - 6, { width, align: 'center' });
+    doc.moveDown(0.5);
+  }
+
+  drawFooters(doc, view, branding, left, width);
+  doc.end();
+
+  return finished;
+}
+
+function drawHeader(doc, view, branding, left, width) {
+  const top = PAGE_MARGIN;
+  const gradient = doc.linearGradient(left, top, left + width, top + 62);
+  gradient.stop(0, branding.primary_color).stop(1, branding.primary_dark_color);
+  doc.rect(left, top, width, 62).fill(gradient);
+
+  // pdfkit can only embed PNG and JPEG logos
+  let textLeft = left + 12;
+  const logo = branding.logo;
+  if (logo && logo.buffer && ['image/png', 'image/jpeg'].includes(logo.contentType)) {
+    try {
+      doc.image(logo.buffer, textLeft, top + 8, { fit: [90, 34] });
+      textLeft += 100;
+    } catch (imageError) {
+      console.warn('Could not draw logo in PDF:', imageError.message);
+    }
+  }
+
+  doc.fillColor('white').font('Helvetica-Bold').fontSize(18).text(branding.company_name || '', textLeft, top + 10, { lineBreak: false });
+  doc.font('Helvetica-Oblique').fontSize(9).text(branding.tagline || '', textLeft, top + 31, { lineBreak: false });
+  doc.font('Helvetica-Bold').fontSize(14).text(view.quoteName || '', left + width / 2, top + 12, { width: width / 2 - 12, align: 'right' });
+  if (view.internal) {
+    doc.font('Helvetica-Bold').fontSize(7).text('INTERNAL WORKSHEET - DO NOT FORWARD', left + width / 2, top + 32, { width: width / 2 - 12, align: 'right' });
+  }
+
+  doc.font('Helvetica').fontSize(8)
+    .text(contactLine(branding), left + 12, top + 46, { lineBreak: false })
+    .text(`${view.quoteNumber ? `Quote ${view.quoteNumber}  |  ` : ''}${view.dateStamp}  |  ${view.locationCount} Locations  |  ${view.totalTransfers} Transfers`, left, top + 46, { width: width - 12, align: 'right' });
+
+  doc.y = top + 76;
+}
+
+function contactLine(branding) {
+  return [branding.phone, branding.email, branding.website].filter(Boolean).join('  |  ');
+}
+
+function sectionTitle(doc, title, left, color) {
+  doc.fillColor(color).font('Helvetica-Bold').fontSize(11).text(title.toUpperCase(), left, doc.y);
+  doc.y += 4;
+}
+
+/**
+ * Footer and page numbers on every buffered page
+ */
+function drawFooters(doc, view, branding, left, width) {
+  const range = doc.bufferedPageRange();
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const top = doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT + 10;
+
+    // Writing below the bottom margin would make pdfkit add a page; lift it for the footer
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    doc.moveTo(left, top).lineTo(left + width, top).strokeColor('#dee2e6').lineWidth(1).stroke();
+    doc.fillColor(branding.primary_color).font('Helvetica-Bold').fontSize(9)
+      .text([branding.company_name, branding.tagline].filter(Boolean).join(' - '), left, top + 6, { width, align: 'center' });
+    doc.fillColor('#888').font('Helvetica-Oblique').fontSize(7)
+      .text(`${branding.footer_message || ''} Generated on ${view.dateStamp}`.trim(), left, top + 19, { width, align: 'center' });
+    doc.fillColor('#666').font('Helvetica').fontSize(7)
+      .text(`Page ${index - range.start + 1} of ${range.count}`, left, top + 30, { width, align: 'center' });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+module.exports = { generateQuotePdf };
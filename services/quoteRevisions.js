@@ -0,0 +1,131 @@
+const { isNotFound } = require('./storage');
+
+const REVISIONS_FOLDER = '/dtf-quotes/_revisions';
+
+// Metadata fields that make up a quote's content (bookkeeping such as file_path is left out)
+const TRACKED_FIELDS = ['quote_name', 'customer_id', 'customer_email', 'total_transfers', 'data', 'locations', 'pricing_inputs', 'pricing', 'layout_preview'];
+
+/**
+ * Numbered snapshots of quote metadata.
+ *
+ * Every save writes the new metadata to /dtf-quotes/_revisions/{quoteId}/{n}.json,
+ * so revision n is always the quote exactly as it was after its nth save.
+ */
+class QuoteRevisions {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  folder(quoteId) {
+    return `${REVISIONS_FOLDER}/${quoteId}`;
+  }
+
+  revisionPath(quoteId, revision) {
+    return `${this.folder(quoteId)}/${String(revision).padStart(6, '0')}.json`;
+  }
+
+  /**
+   * Store a snapshot of metadata as the given revision number
+   */
+  async record(metadata, revision) {
+    await this.storage.uploadFile(
+      this.revisionPath(metadata.id, revision),
+      JSON.stringify({ ...metadata, revision }, null, 2)
+    );
+  }
+
+  /**
+   * Load one revision, or null if it does not exist
+   */
+  async get(quoteId, revision) {
+    try {
+      const content = await this.storage.downloadFile(this.revisionPath(quoteId, revision));
+      return JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Summaries of every stored revision, oldest first
+   */
+  async list(quoteId) {
+    let entries = [];
+    try {
+      entries = await this.storage.listFolder(this.folder(quoteId));
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+
+    const numbers = entries
+      .map(entry => parseInt(entry.name, 10))
+      .filter(Number.isInteger)
+      .sort((a, b) => a - b);
+
+    const revisions = [];
+    for (const number of numbers) {
+      const snapshot = await this.get(quoteId, number);
+      if (!snapshot) continue;
+
+      revisions.push({
+        revision: number,
+        quote_name: snapshot.quote_name,
+        last_updated: snapshot.last_updated,
+        restored_from: snapshot.restored_from || null,
+        retail_total: snapshot.pricing?.retail_total ?? snapshot.data?.retail_total ?? null
+      });
+    }
+
+    return revisions;
+  }
+}
+
+/**
+ * Field-level differences between two values, as a flat list of { field, from, to }.
+ * Nested objects and arrays are walked so a change reads as e.g. "locations[1].width".
+ */
+function diffValues(before, after, field, changes) {
+  const isObject = value => value !== null && typeof value === 'object';
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      diffValues(before[i], after[i], `${field}[${i}]`, changes);
+    }
+    return changes;
+  }
+
+  if (isObject(before) && isObject(after) && !Array.isArray(before) && !Array.isArray(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      diffValues(before[key], after[key], field ? `${field}.${key}` : key, changes);
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({
+      field,
+      from: before === undefined ? null : before,
+      to: after === undefined ? null : after
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Compare two quote snapshots on the fields that make up the quote
+ */
+function diffQuotes(before, after) {
+  const changes = [];
+
+  for (const field of TRACKED_FIELDS) {
+    diffValues(before[field], after[field], field, changes);
+  }
+
+  return changes;
+}
+
+module.exports = { QuoteRevisions, diffQuotes, TRACKED_FIELDS };
@@ -0,0 +1,210 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Declared shape of the quoteData payload accepted by POST /api/save-quote.
+ *
+ * Rule keys:
+ *   type        "string", "number" (a number or numeric string), "integer", "boolean",
+ *               "object" or "array"; a list allows several
+ *   required    must be present and not empty
+ *   maxLength   strings only
+ *   pattern     strings only (patternMessage explains a mismatch)
+ *   min / max   numbers only
+ *   fields      declared fields of an object; with `strict` any other field is an error
+ *   values      rule for every value of a free-form object (with maxKeys / keyPattern)
+ *   items       rule for every element of an array (with maxItems)
+ *
+ * Top-level fields not declared here are ignored; they are never stored.
+ */
+const LOCATION_SCHEMA = {
+  type: 'object',
+  strict: true,
+  fields: {
+    name: { type: 'string', maxLength: 80 },
+    width: { type: 'number', min: 0.01, max: 1000 },
+    height: { type: 'number', min: 0.01, max: 1000 },
+    quantity: { type: 'integer', min: 0, max: 100000 },
+    // Short keys sent by older clients
+    w: { type: 'number', min: 0.01, max: 1000 },
+    h: { type: 'number', min: 0.01, max: 1000 },
+    qty: { type: 'integer', min: 0, max: 100000 },
+    q: { type: 'integer', min: 0, max: 100000 },
+    // Uploaded with POST /api/artwork/:customerId; checked for print readiness on save
+    artwork_id: { type: 'string', maxLength: 12, pattern: /^[0-9a-f]{12}$/, patternMessage: 'must be an artwork ID' },
+    // Computed by the server from artwork_id; whatever the client sends is replaced
+    print_check: { type: 'object' }
+  }
+};
+
+const QUOTE_SCHEMA = {
+  type: 'object',
+  fields: {
+    // The client's own ID. New quotes get a server quote number and this becomes an alias
+    // for it (see services/quoteNumbers.js). Used in storage paths, so only safe characters.
+    id: { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9][A-Za-z0-9_.-]*$/ },
+    quote_name: { type: 'string', required: true, maxLength: 120 },
+    customer_id: { type: ['string', 'integer'], maxLength: 64, pattern: /^[A-Za-z0-9_.@-]*$/ },
+    customer_email: { type: 'string', maxLength: 254, pattern: /^$|^[^\s@<>]+@[^\s@<>]+$/, patternMessage: 'must be an email address' },
+    date_created: { type: 'string', maxLength: 40 },
+    total_transfers: { type: 'number', min: 0 },
+    layout_preview: { type: 'boolean' },
+    // Validity period: a last valid day, or a number of days from date_created (see services/quoteExpiry.js)
+    valid_until: { type: 'string', maxLength: 10, pattern: /^\d{4}-\d{2}-\d{2}$/, patternMessage: 'must be a date (YYYY-MM-DD)' },
+    valid_days: { type: 'integer', min: 1, max: 365 },
+    locations: { type: 'array', maxItems: 100, items: LOCATION_SCHEMA },
+    data: {
+      type: 'object',
+      maxKeys: 50,
+      keyPattern: /^[A-Za-z0-9_]{1,40}$/,
+      values: { type: ['string', 'number'], maxLength: 100 }
+    },
+    pricing: {
+      type: 'object',
+      maxKeys: 50,
+      keyPattern: /^[A-Za-z0-9_]{1,40}$/,
+      values: { type: ['string', 'number'], maxLength: 100 }
+    },
+    pricing_inputs: {
+      type: 'object',
+      strict: true,
+      fields: {
+        units: { type: 'integer', min: 0, max: 100000 },
+        product_cost: { type: 'number', min: 0, max: 100000 },
+        press_cost: { type: 'number', min: 0, max: 100000 },
+        markup: { type: 'number', min: 0, max: 10000 }
+      }
+    }
+  }
+};
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+// Numbers may arrive as strings ("3.5", "$4.00", "50%"), as the quote tool has always sent them
+const asNumber = value => (
+  typeof value === 'number' ? value : parseFloat(String(value).replace(/[$,%\s]/g, ''))
+);
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return (typeof value === 'number' || typeof value === 'string') && Number.isFinite(asNumber(value));
+    case 'integer': return (typeof value === 'number' || typeof value === 'string') && Number.isInteger(asNumber(value));
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+function describeType(types) {
+  const names = { integer: 'a whole number', number: 'a number', string: 'a string', boolean: 'true or false', array: 'an array', object: 'an object' };
+  return types.map(type => names[type]).join(' or ');
+}
+
+/**
+ * Check one value against its rule, pushing { field, message } entries onto errors
+ */
+function checkValue(value, rule, field, errors) {
+  if (isEmpty(value)) {
+    if (rule.required) errors.push({ field, message: 'is required' });
+    return;
+  }
+
+  const types = [].concat(rule.type);
+  const type = types.find(candidate => matchesType(value, candidate));
+  if (!type) {
+    errors.push({ field, message: `must be ${describeType(types)}` });
+    return;
+  }
+
+  if (typeof value === 'string' && rule.maxLength && value.length > rule.maxLength) {
+    errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+  }
+  if (rule.pattern && !rule.pattern.test(String(value))) {
+    errors.push({ field, message: rule.patternMessage || 'contains characters that are not allowed' });
+  }
+
+  if (type === 'number' || type === 'integer') {
+    const number = asNumber(value);
+    if (rule.min !== undefined && number < rule.min) errors.push({ field, message: `must be at least ${rule.min}` });
+    if (rule.max !== undefined && number > rule.max) errors.push({ field, message: `must be at most ${rule.max}` });
+  }
+
+  if (type === 'array' && rule.items) {
+    if (rule.maxItems && value.length > rule.maxItems) {
+      errors.push({ field, message: `must have at most ${rule.maxItems} entries` });
+      return;
+    }
+    value.forEach((item, index) => checkValue(item, rule.items, `${field}[${index}]`, errors));
+  }
+
+  if (type === 'object') {
+    checkObject(value, rule, field, errors);
+  }
+}
+
+function checkObject(value, rule, field, errors) {
+  const path = key => (field ? `${field}.${key}` : key);
+
+  if (rule.fields) {
+    for (const [key, fieldRule] of Object.entries(rule.fields)) {
+      checkValue(value[key], fieldRule, path(key), errors);
+    }
+    if (rule.strict) {
+      for (const key of Object.keys(value)) {
+        if (!rule.fields[key]) errors.push({ field: path(key), message: 'is not an allowed field' });
+      }
+    }
+  }
+
+  if (rule.values) {
+    const keys = Object.keys(value);
+    if (rule.maxKeys && keys.length > rule.maxKeys) {
+      errors.push({ field, message: `must have at most ${rule.maxKeys} fields` });
+      return;
+    }
+    for (const key of keys) {
+      if (rule.keyPattern && !rule.keyPattern.test(key)) {
+        errors.push({ field: path(key), message: 'is not an allowed field name' });
+        continue;
+      }
+      checkValue(value[key], rule.values, path(key), errors);
+    }
+  }
+}
+
+/**
+ * Validate a quote payload against QUOTE_SCHEMA; throws ValidationError listing every problem
+ */
+function validateQuotePayload(quoteData) {
+  const errors = [];
+
+  if (!matchesType(quoteData, 'object')) {
+    throw new ValidationError('Invalid quote data', [{ field: 'quoteData', message: 'must be an object' }]);
+  }
+
+  checkObject(quoteData, QUOTE_SCHEMA, '', errors);
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid quote data', errors);
+  }
+
+  return quoteData;
+}
+
+/**
+ * Validate a customer ID given on its own (e.g. when reassigning a quote) by the same rule
+ * as a quote's customer_id; throws ValidationError
+ */
+function validateCustomerId(customerId) {
+  const errors = [];
+  checkValue(customerId, { ...QUOTE_SCHEMA.fields.customer_id, required: true }, 'customer_id', errors);
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid customer', errors);
+  }
+
+  return String(customerId);
+}
+
+module.exports = { QUOTE_SCHEMA, validateQuotePayload, validateCustomerId };
@@ -0,0 +1,91 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Quote lifecycle: which status may follow which.
+ *
+ * draft → sent → accepted / rejected → ordered → completed. Sent quotes can expire;
+ * rejected and expired quotes can go back to draft to be revised and sent again.
+ * Anything not yet completed can be cancelled. completed and cancelled are final.
+ */
+const TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['accepted', 'rejected', 'expired', 'cancelled'],
+  accepted: ['ordered', 'cancelled'],
+  rejected: ['draft', 'cancelled'],
+  ordered: ['completed', 'cancelled'],
+  expired: ['draft', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// The customer's approval stands for these, so the quoted content can no longer change
+const LOCKED_STATUSES = ['accepted', 'ordered', 'completed'];
+
+// Display labels and badge colours for rendered quotes
+const STATUS_LABELS = {
+  draft: { label: 'Draft', color: '#6c757d' },
+  sent: { label: 'Sent', color: '#1565c0' },
+  accepted: { label: 'Accepted', color: '#2e7d32' },
+  rejected: { label: 'Rejected', color: '#c62828' },
+  ordered: { label: 'Ordered', color: '#6a1b9a' },
+  completed: { label: 'Completed', color: '#1b5e20' },
+  expired: { label: 'Expired', color: '#b45309' },
+  cancelled: { label: 'Cancelled', color: '#424242' }
+};
+
+/**
+ * A quote's status; quotes saved before statuses existed are drafts
+ */
+function statusOf(quote) {
+  return (quote && quote.status) || 'draft';
+}
+
+/**
+ * Check a requested status change; throws ValidationError when it is not allowed
+ *
+ * @param {object} change - { to, reason }
+ */
+function checkTransition(from, change = {}) {
+  const { to, reason } = change;
+
+  if (!STATUSES.includes(to)) {
+    throw new ValidationError('Invalid status change', [{ field: 'status', message: `must be one of: ${STATUSES.join(', ')}` }]);
+  }
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+    throw new ValidationError('Invalid status change', [{ field: 'reason', message: 'must be a string of at most 500 characters' }]);
+  }
+  if (!TRANSITIONS[from].includes(to)) {
+    const allowed = TRANSITIONS[from].length > 0 ? `; allowed: ${TRANSITIONS[from].join(', ')}` : ` (${from} is final)`;
+    throw new ValidationError('Invalid status change', [{ field: 'status', message: `cannot change from ${from} to ${to}${allowed}` }]);
+  }
+}
+
+/**
+ * Status fields for a quote's metadata after applying an (already checked) change
+ *
+ * @param {object} previous - current metadata, or null for a new quote
+ * @param {object} [change] - { to, by, reason }; `by` is { type, id } of whoever made the change
+ */
+function applyStatusChange(previous, change) {
+  const from = statusOf(previous);
+  const history = (previous && previous.status_history) || [];
+
+  if (!change) {
+    return {
+      status: from,
+      status_changed_at: (previous && previous.status_changed_at) || null,
+      status_history: history
+    };
+  }
+
+  const at = new Date().toISOString();
+  return {
+    status: change.to,
+    status_changed_at: at,
+    status_history: [...history, { from, to: change.to, at, by: change.by || null, reason: change.reason || null }]
+  };
+}
+
+module.exports = { STATUSES, TRANSITIONS, LOCKED_STATUSES, STATUS_LABELS, statusOf, checkTransition, applyStatusChange };
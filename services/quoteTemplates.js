@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { isNotFound, isConflict } = require('./storage');
+const { ValidationError } = require('./errors');
+const { loadPriceTables, validateLocations } = require('./pricing');
+
+const TEMPLATES_FOLDER = '/quote_templates';
+const MAX_TEMPLATES = 100;
+const MAX_LOCATIONS = 100;
+
+const isNumberIn = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Check a template's fields: { name, description, locations, pricing_inputs, layout_preview }.
+ * Each location is { name, width, height, per_unit } with per_unit transfers per garment
+ * (default 1). Returns the cleaned fields or throws ValidationError.
+ *
+ * @param {object} [options] - { partial } for edits, where every field is optional
+ */
+function validateTemplateFields(fields = {}, options = {}) {
+  const errors = [];
+  const clean = {};
+
+  if (fields.name !== undefined || !options.partial) {
+    if (typeof fields.name !== 'string' || fields.name.trim() === '' || fields.name.length > 80) {
+      errors.push({ field: 'name', message: 'must be a string of 1 to 80 characters' });
+    } else {
+      clean.name = fields.name.trim();
+    }
+  }
+
+  if (fields.description !== undefined) {
+    if (typeof fields.description !== 'string' || fields.description.length > 200) {
+      errors.push({ field: 'description', message: 'must be a string of at most 200 characters' });
+    } else {
+      clean.description = fields.description.trim();
+    }
+  }
+
+  if (fields.locations !== undefined || !options.partial) {
+    const locations = fields.locations;
+
+    if (!Array.isArray(locations) || locations.length === 0 || locations.length > MAX_LOCATIONS) {
+      errors.push({ field: 'locations', message: `must list 1 to ${MAX_LOCATIONS} locations` });
+    } else {
+      const before = errors.length;
+      clean.locations = locations.map((location, index) => {
+        const field = `locations[${index}]`;
+        if (location === null || typeof location !== 'object') {
+          errors.push({ field, message: 'must be an object' });
+          return null;
+        }
+
+        const perUnit = location.per_unit === undefined ? 1 : location.per_unit;
+        if (typeof location.name !== 'string' || location.name.trim() === '' || location.name.length > 80) {
+          errors.push({ field: `${field}.name`, message: 'must be a string of 1 to 80 characters' });
+        }
+        for (const dimension of ['width', 'height']) {
+          if (!isNumberIn(location[dimension], 0.01, 1000)) {
+            errors.push({ field: `${field}.${dimension}`, message: 'must be a number from 0.01 to 1000' });
+          }
+        }
+        if (!Number.isInteger(perUnit) || perUnit < 1 || perUnit > 100) {
+          errors.push({ field: `${field}.per_unit`, message: 'must be a whole number from 1 to 100' });
+        }
+
+        return { name: String(location.name).trim(), width: location.width, height: location.height, per_unit: perUnit };
+      });
+
+      // Sizes must also fit on the configured sheet
+      if (errors.length === before) {
+        errors.push(...validateLocations(clean.locations.map(location => ({ ...location, quantity: location.per_unit })), loadPriceTables()));
+      }
+    }
+  }
+
+  if (fields.pricing_inputs !== undefined) {
+    const inputs = fields.pricing_inputs;
+    const limits = { product_cost: 100000, press_cost: 100000, markup: 10000 };
+
+    if (inputs === null || typeof inputs !== 'object' || Array.isArray(inputs)) {
+      errors.push({ field: 'pricing_inputs', message: 'must be an object' });
+    } else {
+      clean.pricing_inputs = {};
+      for (const [key, value] of Object.entries(inputs)) {
+        if (!limits[key]) {
+          errors.push({ field: `pricing_inputs.${key}`, message: 'is not an allowed field' });
+        } else if (!isNumberIn(value, 0, limits[key])) {
+          errors.push({ field: `pricing_inputs.${key}`, message: `must be a number from 0 to ${limits[key]}` });
+        } else {
+          clean.pricing_inputs[key] = value;
+        }
+      }
+    }
+  }
+
+  if (fields.layout_preview !== undefined) {
+    if (typeof fields.layout_preview !== 'boolean') {
+      errors.push({ field: 'layout_preview', message: 'must be true or false' });
+    } else {
+      clean.layout_preview = fields.layout_preview;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid quote template', errors);
+  }
+
+  return clean;
+}
+
+/**
+ * A customer's quote templates: named, reusable location sets such as
+ * "Left chest + full back" that new quotes can start from.
+ *
+ * Templates live in /quote_templates/{customerId}.json, at most 100 per customer.
+ */
+class QuoteTemplates {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  path(customerId) {
+    return `${TEMPLATES_FOLDER}/${customerId}.json`;
+  }
+
+  async read(customerId) {
+    try {
+      const { content, metadata } = await this.storage.downloadFileWithMetadata(this.path(customerId));
+      return { templates: JSON.parse(content.toString('utf8')).templates || {}, rev: metadata.rev };
+    } catch (error) {
+      if (isNotFound(error)) return { templates: {}, rev: null };
+      throw error;
+    }
+  }
+
+  /**
+   * Read-modify-write a customer's templates, retrying on conflicts
+   */
+  async update(customerId, mutate) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { templates, rev } = await this.read(customerId);
+      const result = mutate(templates);
+
+      try {
+        await this.storage.uploadFile(
+          this.path(customerId),
+          JSON.stringify({ customer_id: customerId, templates }, null, 2),
+          rev ? { rev } : { mustNotExist: true }
+        );
+        return result;
+      } catch (error) {
+        if (!isConflict(error)) throw error;
+      }
+    }
+
+    throw new Error('Quote templates are being changed too often; try again');
+  }
+
+  /**
+   * All templates, sorted by name
+   */
+  async list(customerId) {
+    const { templates } = await this.read(customerId);
+    return Object.values(templates).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(customerId, templateId) {
+    const { templates } = await this.read(customerId);
+    return Object.hasOwn(templates, templateId) ? templates[templateId] : null;
+  }
+
+  async create(customerId, fields) {
+    const clean = validateTemplateFields(fields);
+    const now = new Date().toISOString();
+    const template = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: clean.name,
+      description: clean.description || '',
+      locations: clean.locations,
+      pricing_inputs: clean.pricing_inputs || {},
+      layout_preview: !!clean.layout_preview,
+      created_at: now,
+      updated_at: now
+    };
+
+    await this.update(customerId, templates => {
+      if (Object.keys(templates).length >= MAX_TEMPLATES) {
+        throw new ValidationError('Invalid quote template', [{ field: 'name', message: `a customer can have at most ${MAX_TEMPLATES} templates` }]);
+      }
+      templates[template.id] = template;
+    });
+
+    return template;
+  }
+
+  /**
+   * Change some of a template's fields; returns the updated template or null
+   */
+  async edit(customerId, templateId, fields) {
+    const clean = validateTemplateFields(fields, { partial: true });
+
+    return this.update(customerId, templates => {
+      if (!Object.hasOwn(templates, templateId)) return null;
+
+      Object.assign(templates[templateId], clean, { updated_at: new Date().toISOString() });
+      return templates[templateId];
+    });
+  }
+
+  /**
+   * Delete a template; returns it or null
+   */
+  async remove(customerId, templateId) {
+    return this.update(customerId, templates => {
+      if (!Object.hasOwn(templates, templateId)) return null;
+
+      const template = templates[templateId];
+      delete templates[templateId];
+      return template;
+    });
+  }
+}
+
+module.exports = { QuoteTemplates, validateTemplateFields };
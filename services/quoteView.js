@@ -0,0 +1,93 @@
+const { escapeHtml } = require('./templateEngine');
+const { statusOf } = require('./quoteStatus');
+const { formatValidUntil } = require('./quoteExpiry');
+const { isQuoteNumber } = require('./quoteNumbers');
+
+// Figures that reveal the reseller's costs and margin
+const INTERNAL_FIELDS = [
+  'imprintCost', 'productCostTotal', 'pressCostTotal', 'unitCost', 'costPerTransfer',
+  'sheetLength', 'sheetQty', 'sheetCost', 'markup', 'profitTotal'
+];
+
+/**
+ * Display form of a location's artwork check (see services/artwork.js), or null without artwork
+ */
+function describePrintCheck(check) {
+  if (!check) return null;
+
+  return {
+    name: check.artwork_name,
+    ready: !!check.print_ready,
+    summary: check.vector
+      ? 'Vector artwork'
+      : `${check.width_px} x ${check.height_px} px, ${check.effective_dpi} DPI at print size`,
+    issues: (check.issues || []).map(issue => issue.message)
+  };
+}
+
+/**
+ * Display values for a quote, shared by the HTML and PDF renderers so both
+ * show the same figures with the same fallbacks.
+ *
+ * @param {object} [options] - { mode: "customer" } leaves out cost, markup and profit
+ *   figures entirely, so no template can show them on a customer-facing quote
+ */
+function buildQuoteView(quoteData, options = {}) {
+  const data = quoteData.data || {};
+  const pricing = quoteData.pricing || {};
+  const locations = quoteData.locations || [];
+
+  const view = {
+    internal: options.mode !== 'customer',
+    quoteName: quoteData.quote_name,
+    // Only server quote numbers are printed; older client IDs are not meant for customers
+    quoteNumber: isQuoteNumber(quoteData.id) ? quoteData.id : null,
+    status: statusOf(quoteData),
+    dateStamp: data.date_stamp || new Date().toLocaleDateString(),
+    expiresOn: formatValidUntil(quoteData.valid_until),
+    locationCount: data.loc_count || locations.length,
+    totalTransfers: data.total_transfers || quoteData.total_transfers || '0',
+    locations: locations.map((location, index) => ({
+      number: index + 1,
+      name: location.name || `Location ${index + 1}`,
+      width: location.width || location.w || 0,
+      height: location.height || location.h || 0,
+      quantity: location.quantity || location.qty || location.q || 0,
+      artwork: describePrintCheck(location.print_check)
+    })),
+    imprintCost: data.imprint_cost || '$0.00',
+    productCostTotal: data.product_cost_total || '$0.00',
+    pressCostTotal: data.press_cost_total || '$0.00',
+    unitCost: data.unit_cost || '$0.00',
+    costPerTransfer: data.cost_per_transfer || '$0.00',
+    sheetLength: data.sheet_length || '0.00"',
+    sheetQty: data.sheet_qty || '0',
+    sheetCost: data.sheet_cost || '$0.00',
+    markup: data.markup || '0',
+    retailUnit: data.retail_unit || pricing.retail_unit || '$0.00',
+    retailTotal: data.retail_total || pricing.retail_total || '$0.00',
+    profitTotal: data.profit_total || pricing.profit_total || '$0.00'
+  };
+
+  if (!view.internal) {
+    for (const field of INTERNAL_FIELDS) {
+      delete view[field];
+    }
+  }
+
+  return view;
+}
+
+/**
+ * Copy of a view with every value HTML-escaped, for interpolating into HTML.
+ * Quote names, location names and data fields all come from the client.
+ */
+function escapeView(value) {
+  if (Array.isArray(value)) return value.map(escapeView);
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, escapeView(item)]));
+  }
+  return typeof value === 'boolean' ? value : escapeHtml(value);
+}
+
+module.exports = { buildQuoteView, escapeView };
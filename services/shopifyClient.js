@@ -0,0 +1,68 @@
+const axios = require('axios');
+const { UpstreamError } = require('./errors');
+
+/**
+ * Minimal Shopify Admin REST API client (custom app access token).
+ *
+ * Configured from SHOPIFY_SHOP_DOMAIN, SHOPIFY_ADMIN_TOKEN and SHOPIFY_API_VERSION.
+ * SHOPIFY_ADMIN_URL replaces https://{shop} as the base URL, e.g. to point at a
+ * local mock server during tests.
+ */
+class ShopifyClient {
+  /**
+   * @param {object} [options] - { shop, accessToken, apiVersion, baseUrl, timeout } override the environment
+   */
+  constructor(options = {}) {
+    const shop = options.shop || process.env.SHOPIFY_SHOP_DOMAIN;
+
+    this.accessToken = options.accessToken || process.env.SHOPIFY_ADMIN_TOKEN;
+    this.apiVersion = options.apiVersion || process.env.SHOPIFY_API_VERSION || '2024-10';
+    this.baseUrl = (options.baseUrl || process.env.SHOPIFY_ADMIN_URL || (shop ? `https://${shop}` : '')).replace(/\/+$/, '');
+    this.timeout = options.timeout || 15000;
+  }
+
+  isConfigured() {
+    return !!(this.baseUrl && this.accessToken);
+  }
+
+  /**
+   * Call an Admin API endpoint (path relative to /admin/api/{version}/); returns the response body
+   */
+  async request(method, path, body) {
+    if (!this.isConfigured()) {
+      throw new UpstreamError('Shopify', 'not configured (set SHOPIFY_SHOP_DOMAIN and SHOPIFY_ADMIN_TOKEN)');
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}/admin/api/${this.apiVersion}/${path}`,
+        data: body,
+        timeout: this.timeout,
+        headers: {
+          'X-Shopify-Access-Token': this.accessToken,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status || null;
+      const details = error.response?.data?.errors || null;
+      const summary = typeof details === 'string' ? details : error.message;
+
+      throw new UpstreamError('Shopify', `${method.toUpperCase()} ${path} failed: ${summary}`, status, details);
+    }
+  }
+
+  /**
+   * Create a draft order; returns Shopify's draft_order object
+   */
+  async createDraftOrder(draftOrder) {
+    const data = await this.request('post', 'draft_orders.json', { draft_order: draftOrder });
+    return data.draft_order;
+  }
+}
+
+module.exports = ShopifyClient;
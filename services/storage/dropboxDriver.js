@@ -0,0 +1,295 @@
+const axios = require('axios');
+const { StorageError } = require('./errors');
+
+/**
+ * Storage driver backed by the Dropbox HTTP API (OAuth 2.0 refresh-token flow)
+ */
+class DropboxDriver {
+  constructor() {
+    this.name = 'dropbox';
+    this.appKey = process.env.DROPBOX_APP_KEY;
+    this.appSecret = process.env.DROPBOX_APP_SECRET;
+    this.refreshToken = process.env.DROPBOX_REFRESH_TOKEN;
+    this.accessToken = null;
+    this.tokenExpiresAt = null;
+
+    this.apiUrl = 'https://api.dropboxapi.com';
+    this.contentApiUrl = 'https://content.dropboxapi.com';
+    this.authUrl = 'https://api.dropbox.com';
+
+    if (!this.appKey || !this.appSecret) {
+      console.warn('⚠️  Dropbox credentials not fully configured. Check your .env file.');
+    }
+  }
+
+  /**
+   * Refresh access token using refresh token
+   */
+  async refreshAccessToken() {
+    try {
+      console.log('🔄 Refreshing Dropbox access token...');
+
+      if (!this.appKey || !this.appSecret || !this.refreshToken) {
+        throw new Error('Missing Dropbox OAuth credentials');
+      }
+
+      const response = await axios.post(`${this.authUrl}/oauth2/token`, new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: this.refreshToken,
+        client_id: this.appKey,
+        client_secret: this.appSecret
+      }), {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+
+      const { access_token, expires_in } = response.data;
+
+      this.accessToken = access_token;
+      this.tokenExpiresAt = new Date(Date.now() + (expires_in * 1000));
+
+      console.log(`✅ Token refreshed successfully. Expires at: ${this.tokenExpiresAt.toISOString()}`);
+
+      return this.accessToken;
+
+    } catch (error) {
+      console.error('❌ Token refresh failed:', error.response?.data || error.message);
+      throw new Error(`Failed to refresh token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if token needs refresh and refresh if necessary
+   */
+  async refreshTokenIfNeeded() {
+    // If no token or token expires in less than 10 minutes, refresh it
+    const bufferTime = 10 * 60 * 1000; // 10 minutes in milliseconds
+
+    if (!this.accessToken || !this.tokenExpiresAt || Date.now() >= (this.tokenExpiresAt.getTime() - bufferTime)) {
+      await this.refreshAccessToken();
+    }
+
+    return this.accessToken;
+  }
+
+  /**
+   * Get valid access token (refresh if needed)
+   */
+  async getValidToken() {
+    await this.refreshTokenIfNeeded();
+    return this.accessToken;
+  }
+
+  /**
+   * POST a JSON body to an RPC endpoint with a fresh token
+   */
+  async rpc(endpoint, body) {
+    const token = await this.getValidToken();
+
+    try {
+      const response = await axios.post(`${this.apiUrl}/2/${endpoint}`, body, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      throw this.translateError(error, body && body.path);
+    }
+  }
+
+  /**
+   * Map Dropbox "not found" and "conflict" API errors onto StorageError
+   */
+  translateError(error, path) {
+    const summary = this.errorSummary(error);
+
+    if (error.response?.status === 409 && /not_found/.test(summary)) {
+      return new StorageError(`File not found: ${path}`, 'not_found', path);
+    }
+
+    if (error.response?.status === 409 && /conflict/.test(summary)) {
+      return new StorageError(`File was changed by someone else: ${path}`, 'conflict', path);
+    }
+
+    return error;
+  }
+
+  /**
+   * Read error_summary from a Dropbox error response (JSON or raw buffer)
+   */
+  errorSummary(error) {
+    let data = error.response?.data;
+
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+      try {
+        data = JSON.parse(Buffer.from(data).toString('utf8'));
+      } catch (parseError) {
+        return '';
+      }
+    }
+
+    return (data && data.error_summary) || '';
+  }
+
+  /**
+   * Upload file to Dropbox
+   * @param {object} [options] - { rev } to only replace that revision, { mustNotExist } to only create
+   */
+  async uploadFile(path, content, options = {}) {
+    const token = await this.getValidToken();
+
+    let mode = 'overwrite';
+    if (options.rev) {
+      mode = { '.tag': 'update', update: options.rev };
+    } else if (options.mustNotExist) {
+      mode = 'add';
+    }
+
+    try {
+      const response = await axios.post(`${this.contentApiUrl}/2/files/upload`, content, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/octet-stream',
+          'Dropbox-API-Arg': JSON.stringify({
+            path: path,
+            mode: mode,
+            autorename: false
+          })
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      throw this.translateError(error, path);
+    }
+  }
+
+  /**
+   * Download file from Dropbox as a Buffer
+   */
+  async downloadFile(path) {
+    const { content } = await this.downloadFileWithMetadata(path);
+    return content;
+  }
+
+  /**
+   * Download file along with its Dropbox metadata (rev, size, ...)
+   */
+  async downloadFileWithMetadata(path) {
+    const token = await this.getValidToken();
+
+    try {
+      const response = await axios.post(`${this.contentApiUrl}/2/files/download`, null, {
+        responseType: 'arraybuffer',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Dropbox-API-Arg': JSON.stringify({ path: path })
+        }
+      });
+
+      return {
+        content: Buffer.from(response.data),
+        metadata: JSON.parse(response.headers['dropbox-api-result'])
+      };
+    } catch (error) {
+      throw this.translateError(error, path);
+    }
+  }
+
+  /**
+   * Delete file from Dropbox
+   */
+  async deleteFile(path) {
+    return this.rpc('files/delete_v2', { path: path });
+  }
+
+  /**
+   * Move a file or folder; fails with a "conflict" StorageError if toPath is taken
+   */
+  async moveFile(fromPath, toPath) {
+    const data = await this.rpc('files/move_v2', { from_path: fromPath, to_path: toPath, autorename: false });
+    return data.metadata;
+  }
+
+  /**
+   * List every entry of a folder, across all result pages
+   */
+  async listFolder(path, options = {}) {
+    let data = await this.rpc('files/list_folder', {
+      path: path,
+      recursive: !!options.recursive
+    });
+    const entries = [...data.entries];
+
+    // Large folders come back in pages; keep following the cursor
+    while (data.has_more) {
+      data = await this.rpc('files/list_folder/continue', { cursor: data.cursor });
+      entries.push(...data.entries);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Create shared link for file
+   */
+  async createSharedLink(path) {
+    try {
+      // Try to create a new shared link
+      const data = await this.rpc('sharing/create_shared_link_with_settings', {
+        path: path,
+        settings: {
+          requested_visibility: 'public',
+          audience: 'public',
+          access: 'viewer'
+        }
+      });
+
+      const shareUrl = data.url.replace('?dl=0', '?raw=1');
+      return shareUrl;
+
+    } catch (error) {
+      // If link already exists, try to get existing ones
+      try {
+        const data = await this.rpc('sharing/list_shared_links', {
+          path: path,
+          direct_only: true
+        });
+
+        if (data.links && data.links.length > 0) {
+          return data.links[0].url.replace('?dl=0', '?raw=1');
+        }
+      } catch (listError) {
+        console.warn('Could not list existing shared links:', listError.message);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every shared link to a file; returns how many were revoked.
+   * Dropbox links follow a file when it is moved, so they have to be revoked explicitly.
+   */
+  async revokeSharedLinks(path) {
+    let data = await this.rpc('sharing/list_shared_links', { path: path, direct_only: true });
+    const links = [...(data.links || [])];
+
+    while (data.has_more) {
+      data = await this.rpc('sharing/list_shared_links', { path: path, direct_only: true, cursor: data.cursor });
+      links.push(...(data.links || []));
+    }
+
+    for (const link of links) {
+      await this.rpc('sharing/revoke_shared_link', { url: link.url });
+    }
+
+    return links.length;
+  }
+}
+
+module.exports = DropboxDriver;
@@ -0,0 +1,28 @@
+/**
+ * Error raised by storage drivers so callers can tell a missing file
+ * apart from a transport failure without knowing which backend is in use.
+ */
+class StorageError extends Error {
+  constructor(message, code, path = null) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    this.path = path;
+  }
+}
+
+/**
+ * True when the error means the requested path does not exist
+ */
+function isNotFound(error) {
+  return !!error && error.code === 'not_found';
+}
+
+/**
+ * True when a conditional write lost to a newer version of the file
+ */
+function isConflict(error) {
+  return !!error && error.code === 'conflict';
+}
+
+module.exports = { StorageError, isNotFound, isConflict };
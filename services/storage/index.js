@@ -0,0 +1,35 @@
+const DropboxDriver = require('./dropboxDriver');
+const LocalDriver = require('./localDriver');
+const MemoryDriver = require('./memoryDriver');
+const { StorageError, isNotFound, isConflict } = require('./errors');
+
+const drivers = {
+  dropbox: DropboxDriver,
+  local: LocalDriver,
+  memory: MemoryDriver
+};
+
+/**
+ * Create the storage driver selected by STORAGE_DRIVER (dropbox | local | memory).
+ *
+ * Every driver exposes the same interface, with paths in Dropbox form ("/dtf-quotes/x.html"):
+ *   uploadFile(path, content, { rev, mustNotExist }) -> entry, downloadFile(path) -> Buffer,
+ *   downloadFileWithMetadata(path) -> { content, metadata }, deleteFile(path),
+ *   listFolder(path, { recursive }) -> entries, moveFile(fromPath, toPath) -> entry,
+ *   createSharedLink(path) -> url, revokeSharedLinks(path) -> count, refreshTokenIfNeeded()
+ *
+ * Shared links follow a file when it is moved, as they do on Dropbox.
+ * Entries follow Dropbox's file metadata shape (name, path_lower, path_display, rev, ...).
+ * Conditional uploads that lose a race fail with a StorageError whose code is "conflict".
+ */
+function createStorage(driverName = process.env.STORAGE_DRIVER || 'dropbox', options = {}) {
+  const Driver = drivers[driverName.toLowerCase()];
+
+  if (!Driver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  return new Driver(options);
+}
+
+module.exports = { createStorage, StorageError, isNotFound, isConflict };
@@ -0,0 +1,285 @@
+const fs = require('fs/promises');
+const nodePath = require('path');
+const crypto = require('crypto');
+const { StorageError } = require('./errors');
+
+/**
+ * A storage path in the form shared links are kept and compared in (leading slash, no dot segments)
+ */
+const linkPath = path => nodePath.posix.normalize(`/${path}`);
+
+/**
+ * Revision of a file's content: a content hash plus its size. Unlike mtime it changes with
+ * every change of content, however close together or coarse the filesystem clock.
+ */
+const revOf = content => crypto.createHash('sha256').update(content).digest('hex').slice(0, 24) +
+  content.length.toString(16).padStart(8, '0');
+
+/**
+ * Storage driver that keeps files under a directory on the local disk.
+ * Shared links are served by the backend itself from /files/:token.
+ */
+class LocalDriver {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = nodePath.resolve(options.root || process.env.LOCAL_STORAGE_DIR || './storage');
+    this.publicUrl = (options.publicUrl || process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+    this.linksFile = nodePath.join(this.root, '.shared_links.json');
+    this.writeLocks = new Map();
+    this.linksLock = Promise.resolve();
+
+    console.log(`📁 Using local storage at ${this.root}`);
+  }
+
+  /**
+   * No OAuth token to manage for local storage
+   */
+  async refreshTokenIfNeeded() {
+    return null;
+  }
+
+  /**
+   * Resolve a storage path ("/dtf-quotes/x.html") to an absolute path under root
+   */
+  resolve(path) {
+    const absolute = nodePath.resolve(this.root, `.${nodePath.posix.normalize(`/${path}`)}`);
+
+    if (absolute !== this.root && !absolute.startsWith(this.root + nodePath.sep)) {
+      throw new StorageError(`Path escapes storage root: ${path}`, 'invalid_path', path);
+    }
+
+    return absolute;
+  }
+
+  /**
+   * Build a Dropbox-style metadata entry from a stat result. `rev` is only set when the
+   * file's content is given (uploads and downloads, the places that need it).
+   */
+  entry(path, stats, content = null) {
+    const display = nodePath.posix.normalize(`/${path}`);
+
+    return {
+      '.tag': stats.isDirectory() ? 'folder' : 'file',
+      name: nodePath.posix.basename(display),
+      path_lower: display.toLowerCase(),
+      path_display: display,
+      rev: stats.isDirectory() || !content ? undefined : revOf(content),
+      size: stats.isDirectory() ? undefined : stats.size,
+      server_modified: stats.mtime.toISOString()
+    };
+  }
+
+  async uploadFile(path, content, options = {}) {
+    const absolute = this.resolve(path);
+
+    // Conditional writes check and write under a per-file lock so two requests can't both pass the check
+    const previous = this.writeLocks.get(absolute) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      if (options.rev || options.mustNotExist) {
+        const stats = await fs.stat(absolute).catch(() => null);
+        const current = stats && stats.isFile() ? await fs.readFile(absolute) : null;
+
+        if ((options.mustNotExist && stats) || (options.rev && (!current || revOf(current) !== options.rev))) {
+          throw new StorageError(`File was changed by someone else: ${path}`, 'conflict', path);
+        }
+      }
+
+      // Written beside the target and renamed over it, so readers never see half a file
+      const temporary = `${absolute}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.mkdir(nodePath.dirname(absolute), { recursive: true });
+      const buffer = Buffer.from(content);
+      await fs.writeFile(temporary, buffer);
+      await fs.rename(temporary, absolute);
+
+      return this.entry(path, await fs.stat(absolute), buffer);
+    });
+
+    this.writeLocks.set(absolute, write);
+    try {
+      return await write;
+    } finally {
+      if (this.writeLocks.get(absolute) === write) {
+        this.writeLocks.delete(absolute);
+      }
+    }
+  }
+
+  async downloadFile(path) {
+    try {
+      return await fs.readFile(this.resolve(path));
+    } catch (error) {
+      throw this.translateError(error, path);
+    }
+  }
+
+  async downloadFileWithMetadata(path) {
+    const absolute = this.resolve(path);
+
+    try {
+      const stats = await fs.stat(absolute);
+      const content = await fs.readFile(absolute);
+      return { content, metadata: this.entry(path, stats, content) };
+    } catch (error) {
+      throw this.translateError(error, path);
+    }
+  }
+
+  async deleteFile(path) {
+    const absolute = this.resolve(path);
+
+    try {
+      const stats = await fs.stat(absolute);
+      await fs.rm(absolute, { recursive: true });
+      return { metadata: this.entry(path, stats) };
+    } catch (error) {
+      throw this.translateError(error, path);
+    }
+  }
+
+  /**
+   * Move a file or folder; fails with a "conflict" StorageError if toPath is taken.
+   * Shared links move with the files.
+   */
+  async moveFile(fromPath, toPath) {
+    const from = this.resolve(fromPath);
+    const to = this.resolve(toPath);
+
+    if (await fs.stat(to).catch(() => null)) {
+      throw new StorageError(`File already exists: ${toPath}`, 'conflict', toPath);
+    }
+
+    try {
+      await fs.stat(from);
+      await fs.mkdir(nodePath.dirname(to), { recursive: true });
+      await fs.rename(from, to);
+    } catch (error) {
+      throw this.translateError(error, fromPath);
+    }
+
+    const source = linkPath(fromPath);
+    const target = linkPath(toPath);
+    await this.updateLinks(links => {
+      for (const [token, path] of Object.entries(links)) {
+        const normalized = linkPath(path);
+        if (normalized.toLowerCase() === source.toLowerCase() || normalized.toLowerCase().startsWith(`${source.toLowerCase()}/`)) {
+          links[token] = target + normalized.slice(source.length);
+        }
+      }
+    });
+
+    return this.entry(toPath, await fs.stat(to));
+  }
+
+  async listFolder(path, options = {}) {
+    const entries = [];
+    const walk = async (folder) => {
+      let names;
+      try {
+        names = await fs.readdir(this.resolve(folder));
+      } catch (error) {
+        throw this.translateError(error, folder);
+      }
+
+      for (const name of names) {
+        if (name.startsWith('.')) continue;
+        const childPath = nodePath.posix.join(folder, name);
+        const stats = await fs.stat(this.resolve(childPath));
+        entries.push(this.entry(childPath, stats));
+
+        if (options.recursive && stats.isDirectory()) {
+          await walk(childPath);
+        }
+      }
+    };
+
+    await walk(path);
+    return entries;
+  }
+
+  async createSharedLink(path) {
+    // Make sure the file exists before handing out a link to it
+    await fs.stat(this.resolve(path)).catch(error => {
+      throw this.translateError(error, path);
+    });
+
+    const target = linkPath(path);
+    const token = await this.updateLinks(links => {
+      const existing = Object.keys(links).find(key => linkPath(links[key]).toLowerCase() === target.toLowerCase());
+      if (existing) return existing;
+
+      const created = crypto.randomBytes(16).toString('hex');
+      links[created] = target;
+      return created;
+    });
+
+    return `${this.publicUrl}/files/${token}/${encodeURIComponent(nodePath.posix.basename(path))}`;
+  }
+
+  /**
+   * Revoke every shared link to a file; returns how many were revoked
+   */
+  async revokeSharedLinks(path) {
+    const target = linkPath(path).toLowerCase();
+
+    return this.updateLinks(links => {
+      const tokens = Object.keys(links).filter(token => linkPath(links[token]).toLowerCase() === target);
+      for (const token of tokens) {
+        delete links[token];
+      }
+      return tokens.length;
+    });
+  }
+
+  /**
+   * Look up the storage path behind a shared link token
+   */
+  async resolveSharedLink(token) {
+    const links = await this.readLinks();
+    return links[token] || null;
+  }
+
+  async readLinks() {
+    try {
+      return JSON.parse(await fs.readFile(this.linksFile, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async writeLinks(links) {
+    const temporary = `${this.linksFile}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.mkdir(this.root, { recursive: true });
+    await fs.writeFile(temporary, JSON.stringify(links, null, 2));
+    await fs.rename(temporary, this.linksFile);
+  }
+
+  /**
+   * Read-modify-write the shared links file. Changes run one at a time, so links created
+   * by concurrent saves are never lost; the file is only rewritten when something changed.
+   */
+  async updateLinks(mutate) {
+    const run = this.linksLock.catch(() => {}).then(async () => {
+      const links = await this.readLinks();
+      const before = JSON.stringify(links);
+      const result = mutate(links);
+
+      if (JSON.stringify(links) !== before) {
+        await this.writeLinks(links);
+      }
+      return result;
+    });
+
+    this.linksLock = run;
+    return run;
+  }
+
+  translateError(error, path) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return new StorageError(`File not found: ${path}`, 'not_found', path);
+    }
+
+    return error;
+  }
+}
+
+module.exports = LocalDriver;
@@ -0,0 +1,203 @@
+const nodePath = require('path');
+const crypto = require('crypto');
+const { StorageError } = require('./errors');
+
+/**
+ * Storage driver that keeps everything in process memory.
+ * Contents are lost on restart; meant for local development and demos.
+ */
+class MemoryDriver {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.publicUrl = (options.publicUrl || process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+    this.files = new Map();
+    this.links = new Map();
+    this.revCounter = 0;
+  }
+
+  /**
+   * No OAuth token to manage for in-memory storage
+   */
+  async refreshTokenIfNeeded() {
+    return null;
+  }
+
+  /**
+   * Normalise a path the way Dropbox does (leading slash, case-insensitive key)
+   */
+  key(path) {
+    return nodePath.posix.normalize(`/${path}`).toLowerCase();
+  }
+
+  entry(file) {
+    return {
+      '.tag': 'file',
+      name: nodePath.posix.basename(file.path),
+      path_lower: file.path.toLowerCase(),
+      path_display: file.path,
+      rev: file.rev,
+      size: file.content.length,
+      server_modified: file.modified
+    };
+  }
+
+  async uploadFile(path, content, options = {}) {
+    const current = this.files.get(this.key(path));
+
+    if ((options.mustNotExist && current) || (options.rev && (!current || current.rev !== options.rev))) {
+      throw new StorageError(`File was changed by someone else: ${path}`, 'conflict', path);
+    }
+
+    const file = {
+      path: nodePath.posix.normalize(`/${path}`),
+      content: Buffer.from(content),
+      rev: (++this.revCounter).toString(16).padStart(9, '0'),
+      modified: new Date().toISOString()
+    };
+
+    this.files.set(this.key(path), file);
+    return this.entry(file);
+  }
+
+  async downloadFile(path) {
+    const { content } = await this.downloadFileWithMetadata(path);
+    return content;
+  }
+
+  async downloadFileWithMetadata(path) {
+    const file = this.files.get(this.key(path));
+
+    if (!file) {
+      throw new StorageError(`File not found: ${path}`, 'not_found', path);
+    }
+
+    return { content: Buffer.from(file.content), metadata: this.entry(file) };
+  }
+
+  async deleteFile(path) {
+    const key = this.key(path);
+    const removed = [];
+
+    for (const [fileKey, file] of this.files) {
+      if (fileKey === key || fileKey.startsWith(`${key}/`)) {
+        removed.push(file);
+        this.files.delete(fileKey);
+      }
+    }
+
+    if (removed.length === 0) {
+      throw new StorageError(`File not found: ${path}`, 'not_found', path);
+    }
+
+    return { metadata: this.entry(removed[0]) };
+  }
+
+  /**
+   * Move a file, or a folder with everything under it; shared links move with the files
+   */
+  async moveFile(fromPath, toPath) {
+    const fromKey = this.key(fromPath);
+    const toKey = this.key(toPath);
+    const moving = [...this.files].filter(([fileKey]) => fileKey === fromKey || fileKey.startsWith(`${fromKey}/`));
+
+    if (moving.length === 0) {
+      throw new StorageError(`File not found: ${fromPath}`, 'not_found', fromPath);
+    }
+    if ([...this.files.keys()].some(fileKey => fileKey === toKey || fileKey.startsWith(`${toKey}/`))) {
+      throw new StorageError(`File already exists: ${toPath}`, 'conflict', toPath);
+    }
+
+    const target = nodePath.posix.normalize(`/${toPath}`);
+    let moved = null;
+    for (const [fileKey, file] of moving) {
+      this.files.delete(fileKey);
+      const next = { ...file, path: target + file.path.slice(fromKey.length) };
+      this.files.set(this.key(next.path), next);
+      moved = moved || next;
+
+      for (const [token, linkedKey] of this.links) {
+        if (linkedKey === fileKey) this.links.set(token, this.key(next.path));
+      }
+    }
+
+    return this.entry(moved);
+  }
+
+  async listFolder(path, options = {}) {
+    const prefix = `${this.key(path).replace(/\/$/, '')}/`;
+    const entries = [];
+    const folders = new Set();
+
+    for (const [fileKey, file] of this.files) {
+      if (!fileKey.startsWith(prefix)) continue;
+
+      const rest = file.path.slice(prefix.length).split('/');
+      // Surface intermediate folders the way Dropbox list_folder does
+      for (let depth = 1; depth < rest.length; depth++) {
+        if (!options.recursive && depth > 1) break;
+        const folderPath = `${file.path.slice(0, prefix.length)}${rest.slice(0, depth).join('/')}`;
+        if (!folders.has(folderPath.toLowerCase())) {
+          folders.add(folderPath.toLowerCase());
+          entries.push({
+            '.tag': 'folder',
+            name: rest[depth - 1],
+            path_lower: folderPath.toLowerCase(),
+            path_display: folderPath
+          });
+        }
+      }
+
+      if (rest.length === 1 || options.recursive) {
+        entries.push(this.entry(file));
+      }
+    }
+
+    if (entries.length === 0) {
+      throw new StorageError(`Folder not found: ${path}`, 'not_found', path);
+    }
+
+    return entries;
+  }
+
+  async createSharedLink(path) {
+    const key = this.key(path);
+
+    if (!this.files.has(key)) {
+      throw new StorageError(`File not found: ${path}`, 'not_found', path);
+    }
+
+    let token = [...this.links.keys()].find(linkToken => this.links.get(linkToken) === key);
+    if (!token) {
+      token = crypto.randomBytes(16).toString('hex');
+      this.links.set(token, key);
+    }
+
+    return `${this.publicUrl}/files/${token}/${encodeURIComponent(nodePath.posix.basename(path))}`;
+  }
+
+  /**
+   * Revoke every shared link to a file; returns how many were revoked
+   */
+  async revokeSharedLinks(path) {
+    const key = this.key(path);
+    let revoked = 0;
+
+    for (const [token, target] of this.links) {
+      if (target === key) {
+        this.links.delete(token);
+        revoked++;
+      }
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Look up the storage path behind a shared link token
+   */
+  async resolveSharedLink(token) {
+    return this.links.get(token) || null;
+  }
+}
+
+module.exports = MemoryDriver;
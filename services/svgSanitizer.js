@@ -0,0 +1,156 @@
+const { ValidationError } = require('./errors');
+
+// Elements kept in uploaded SVGs; anything else is removed together with its content
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'metadata', 'style',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textpath',
+  'lineargradient', 'radialgradient', 'stop', 'pattern', 'clippath', 'mask', 'marker',
+  'image', 'filter', 'fegaussianblur', 'feoffset', 'feblend', 'fecolormatrix',
+  'fecomposite', 'feflood', 'femerge', 'femergenode', 'femorphology', 'fedropshadow'
+]);
+
+const DANGEROUS_VALUE = /^(?:javascript|vbscript|data:(?!image\/(?:png|jpe?g|gif);))/i;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode XML character references, so values are checked as the SVG renderer will read them
+ */
+function decodeEntities(value) {
+  return value.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi, (entity, hex, decimal, name) => {
+    if (name) return NAMED_ENTITIES[name.toLowerCase()];
+    const code = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\uFFFD';
+  });
+}
+
+/**
+ * Whether a link target stays inside the document (or is an embedded raster image)
+ */
+function isSafeReference(value) {
+  const target = value.trim();
+  return target.startsWith('#') || /^data:image\/(?:png|jpe?g|gif);base64,/i.test(target);
+}
+
+/**
+ * url(...) references in CSS must point inside the document. Checked with comments
+ * removed and CSS escapes ("u\72 l(") decoded; entities must be decoded by the caller.
+ */
+function isSafeCss(raw) {
+  const css = raw
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\\([0-9a-f]{1,6})\s?/gi, (escape, hex) => String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10ffff) || 0xfffd))
+    .replace(/\\(.)/g, '$1');
+
+  if (/@import|expression\s*\(|javascript:|behavior\s*:/i.test(css)) return false;
+
+  const urls = css.match(/url\s*\(([^)]*)\)/gi) || [];
+  return urls.every(url => /^url\s*\(\s*['"]?#/i.test(url));
+}
+
+function cleanAttributes(source) {
+  const kept = [];
+  const pattern = /([^\s=/]+)\s*=\s*("[^"]*"|'[^']*')/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const name = match[1];
+    const lower = name.toLowerCase();
+    // The prefix can be bound to any namespace (x:href as XLink), so links are known by local name
+    const localName = lower.slice(lower.lastIndexOf(':') + 1);
+    const value = decodeEntities(match[2].slice(1, -1));
+
+    if (lower.startsWith('on') || localName.startsWith('on')) continue;
+    if (localName === 'href' && !isSafeReference(value)) continue;
+    // Presentation attributes (fill, filter, mask, clip-path, marker-*) take url() references too
+    if ((lower === 'style' || /url\s*\(/i.test(value)) && !isSafeCss(value)) continue;
+    if (DANGEROUS_VALUE.test(value.trim())) continue;
+
+    kept.push(`${name}=${match[2]}`);
+  }
+
+  return kept.length > 0 ? ` ${kept.join(' ')}` : '';
+}
+
+/**
+ * Strip an uploaded SVG down to drawing elements: no scripts, event handlers,
+ * external references, embedded HTML or DTDs. Throws ValidationError when the
+ * file is not an SVG document at all.
+ *
+ * @param {string} source - SVG text
+ * @returns {string} sanitized SVG
+ */
+function sanitizeSvg(source) {
+  // DTDs allow entity expansion attacks and external entities; logos never need them
+  if (/<!DOCTYPE|<!ENTITY/i.test(source)) {
+    throw new ValidationError('Invalid logo', [{ field: 'logo', message: 'SVG files with a DOCTYPE are not accepted' }]);
+  }
+
+  const text = source
+    .replace(/^\uFEFF/, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+
+  const output = [];
+  let skipDepth = 0;
+  let sawSvg = false;
+  let position = 0;
+  const tagPattern = /<(\/?)([a-zA-Z][\w:.-]*)([^>]*?)(\/?)>/g;
+  let match;
+
+  while ((match = tagPattern.exec(text)) !== null) {
+    if (skipDepth === 0) {
+      output.push(text.slice(position, match.index).replace(/</g, '&lt;'));
+    }
+    position = tagPattern.lastIndex;
+
+    const [, closing, rawName, attributes, selfClosing] = match;
+    const name = rawName.toLowerCase().replace(/^svg:/, '');
+    const allowed = ALLOWED_ELEMENTS.has(name);
+
+    if (closing) {
+      if (skipDepth > 0) {
+        skipDepth--;
+      } else if (allowed) {
+        output.push(`</${rawName}>`);
+      }
+      continue;
+    }
+
+    // Script and style bodies are raw text: jump straight to their closing tag
+    if (!selfClosing && (name === 'script' || name === 'style')) {
+      const end = text.toLowerCase().indexOf(`</${rawName.toLowerCase()}`, position);
+      const body = text.slice(position, end === -1 ? text.length : end);
+      const keep = skipDepth === 0 && name === 'style' && isSafeCss(decodeEntities(body));
+
+      if (keep) {
+        output.push(`<style>${body.replace(/</g, '&lt;')}</style>`);
+      }
+      position = end === -1 ? text.length : text.indexOf('>', end) + 1 || text.length;
+      tagPattern.lastIndex = position;
+      continue;
+    }
+
+    if (skipDepth > 0 || !allowed) {
+      if (!selfClosing) skipDepth++;
+      continue;
+    }
+
+    if (name === 'svg') sawSvg = true;
+    output.push(`<${rawName}${cleanAttributes(attributes)}${selfClosing ? '/' : ''}>`);
+  }
+
+  if (skipDepth === 0) {
+    output.push(text.slice(position).replace(/</g, '&lt;'));
+  }
+
+  if (!sawSvg) {
+    throw new ValidationError('Invalid logo', [{ field: 'logo', message: 'is not an SVG document' }]);
+  }
+
+  return output.join('').trim();
+}
+
+module.exports = { sanitizeSvg };
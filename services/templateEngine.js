@@ -0,0 +1,81 @@
+/**
+ * Minimal mustache-style templates for custom quote layouts.
+ *
+ *   {{path.to.value}}     HTML-escaped value
+ *   {{{path.to.value}}}   raw value (only for HTML the server built itself)
+ *   {{#list}}...{{/list}} repeat for each item of an array (item fields in scope),
+ *                         or render once if the value is truthy
+ *   {{^name}}...{{/name}} render when the value is empty or falsy
+ *
+ * renderText fills the same templates without escaping, for plain-text output such as email bodies.
+ */
+
+function escapeHtml(value) {
+  if (value === undefined || value === null) return '';
+
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(scopes, path) {
+  if (path === '.') return scopes[0];
+
+  for (const scope of scopes) {
+    if (scope === null || typeof scope !== 'object') continue;
+
+    const value = path.split('.').reduce((current, key) => (
+      current === undefined || current === null ? undefined : current[key]
+    ), scope);
+
+    if (value !== undefined) return value;
+  }
+
+  return undefined;
+}
+
+function isEmpty(value) {
+  return !value || (Array.isArray(value) && value.length === 0);
+}
+
+function render(template, scopes, escape) {
+  const sectionPattern = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+
+  const withSections = template.replace(sectionPattern, (match, type, path, body) => {
+    const value = lookup(scopes, path);
+
+    if (type === '^') {
+      return isEmpty(value) ? render(body, scopes, escape) : '';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => render(body, [item, ...scopes], escape)).join('');
+    }
+    return isEmpty(value) ? '' : render(body, [value, ...scopes], escape);
+  });
+
+  return withSections
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (match, path) => {
+      const value = lookup(scopes, path);
+      return value === undefined || value === null ? '' : String(value);
+    })
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => escape(lookup(scopes, path)));
+}
+
+/**
+ * Render a template string against a context object
+ */
+function renderTemplate(template, context) {
+  return render(template, [context], escapeHtml);
+}
+
+/**
+ * Render a template string as plain text (values inserted as-is)
+ */
+function renderText(template, context) {
+  return render(template, [context], value => (value === undefined || value === null ? '' : String(value)));
+}
+
+module.exports = { renderTemplate, renderText, escapeHtml };
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { isNotFound, isConflict } = require('./storage');
+
+const TRASH_FOLDER = '/trash';
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Deleted quotes and logos, kept for TRASH_RETENTION_DAYS (default 30) so they can be restored.
+ *
+ * An item's files sit in /trash/{quotes|logos}/{itemId}/ and /trash/trash_index.json
+ * lists the items: what was deleted, when and by whom, and where each file came from
+ * (`files: [{ from, to }]`), so restoring is moving every file back.
+ */
+class Trash {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  indexPath() {
+    return `${TRASH_FOLDER}/trash_index.json`;
+  }
+
+  folder(type, itemId) {
+    return `${TRASH_FOLDER}/${type}s/${itemId}`;
+  }
+
+  async read() {
+    try {
+      const { content, metadata } = await this.storage.downloadFileWithMetadata(this.indexPath());
+      return { items: JSON.parse(content.toString('utf8')).items || {}, rev: metadata.rev };
+    } catch (error) {
+      if (isNotFound(error)) return { items: {}, rev: null };
+      throw error;
+    }
+  }
+
+  /**
+   * Read-modify-write the trash index, retrying on conflicts
+   */
+  async update(mutate) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { items, rev } = await this.read();
+      const result = mutate(items);
+
+      try {
+        await this.storage.uploadFile(
+          this.indexPath(),
+          JSON.stringify({ items }, null, 2),
+          rev ? { rev } : { mustNotExist: true }
+        );
+        return result;
+      } catch (error) {
+        if (!isConflict(error)) throw error;
+      }
+    }
+
+    throw new Error('Trash is being changed too often; try again');
+  }
+
+  /**
+   * Record a deleted item before its files are moved in. `files` are the paths to move,
+   * relative to the item's folder in `to`. Returns the stored record.
+   *
+   * @param {object} item - { type: 'quote' | 'logo', customer_id, name, deleted_by, files: [{ from, name }], ... }
+   */
+  async add({ files, ...item }) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const folder = this.folder(item.type, id);
+    const record = {
+      ...item,
+      id,
+      deleted_at: new Date().toISOString(),
+      folder,
+      files: files.map(file => ({ from: file.from, to: `${folder}/${file.name}` }))
+    };
+
+    await this.update(items => {
+      items[id] = record;
+    });
+
+    return this.describe(record);
+  }
+
+  /**
+   * Items in the trash, newest first; only one customer's when customerId is given
+   */
+  async list(customerId = null) {
+    const { items } = await this.read();
+    return Object.values(items)
+      .filter(item => customerId === null || String(item.customer_id) === String(customerId))
+      .map(item => this.describe(item))
+      .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+  }
+
+  async get(itemId) {
+    const { items } = await this.read();
+    return Object.hasOwn(items, itemId) ? this.describe(items[itemId]) : null;
+  }
+
+  /**
+   * Drop an item from the index (its files are the caller's); returns it or null
+   */
+  async remove(itemId) {
+    return this.update(items => {
+      if (!Object.hasOwn(items, itemId)) return null;
+
+      const item = items[itemId];
+      delete items[itemId];
+      return this.describe(item);
+    });
+  }
+
+  /**
+   * Items deleted more than retentionDays ago
+   */
+  async expired(now = new Date(), retentionDays = TRASH_RETENTION_DAYS) {
+    const items = await this.list();
+    return items.filter(item => now.getTime() - new Date(item.deleted_at).getTime() > retentionDays * DAY_MS);
+  }
+
+  describe(item) {
+    return {
+      ...item,
+      purge_after: new Date(new Date(item.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+    };
+  }
+}
+
+module.exports = { Trash, TRASH_RETENTION_DAYS };
@@ -0,0 +1,482 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { isNotFound, isConflict } = require('./storage');
+const { ValidationError } = require('./errors');
+
+const SUBSCRIPTIONS_PATH = '/admin/webhooks.json';
+const DELIVERIES_FOLDER = '/webhooks/deliveries';
+
+const WEBHOOK_EVENTS = ['quote.created', 'quote.updated', 'quote.deleted', 'quote.restored', 'quote.status_changed', 'logo.saved', 'logo.deleted', 'logo.restored'];
+
+// Wait before each retry after a failed attempt: 1 min, 5 min, 30 min, 2 h, 6 h (six attempts in all)
+const RETRY_DELAYS = [1, 5, 30, 120, 360].map(minutes => minutes * 60 * 1000);
+const DELIVERY_LOG_LIMIT = 100;
+const DELIVERY_TIMEOUT = 10000;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved addresses.
+// IPv4 rules also match the same addresses written as IPv4-mapped IPv6.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is one webhooks must not reach (see PRIVATE_RANGES)
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Why a webhook URL points at this machine or a private network, or null if it does not.
+ * Only the host as written is checked; names are checked again when they are resolved.
+ */
+function privateTargetError(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return `${host} is this machine`;
+  }
+  if (isPrivateAddress(host)) {
+    return `${host} is a loopback, private or link-local address`;
+  }
+  return null;
+}
+
+/**
+ * dns.lookup for delivery connections that refuses names resolving to a private address,
+ * so the address checked is the address connected to
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+      refused.code = 'EPRIVATETARGET';
+      return callback(refused);
+    }
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Signature sent in X-DTF-Signature: HMAC-SHA256 of "{timestamp}.{body}" with the subscription secret
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check subscription fields: { url, events, description, active }.
+ * With `partial`, missing fields are left alone (for edits). URLs on this machine or a
+ * private network are refused unless `allowPrivateTargets` is set.
+ */
+function validateSubscription(fields = {}, partial = false, allowPrivateTargets = false) {
+  const errors = [];
+  const clean = {};
+
+  if (fields.url !== undefined || !partial) {
+    let url = null;
+    try {
+      url = new URL(fields.url);
+    } catch (error) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || String(fields.url).length > 2000) {
+      errors.push({ field: 'url', message: 'must be an http(s) URL of at most 2000 characters' });
+    } else if (!allowPrivateTargets && privateTargetError(url)) {
+      errors.push({ field: 'url', message: `must not point at a private network: ${privateTargetError(url)}` });
+    } else {
+      clean.url = url.toString();
+    }
+  }
+
+  if (fields.events !== undefined || !partial) {
+    const events = Array.isArray(fields.events) ? fields.events : [];
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (events.length === 0) {
+      errors.push({ field: 'events', message: `must list at least one of: ${WEBHOOK_EVENTS.join(', ')} (or "*")` });
+    }
+    for (const event of unknown) {
+      errors.push({ field: 'events', message: `unknown event "${event}"` });
+    }
+    clean.events = [...new Set(events)];
+  }
+
+  if (fields.description !== undefined) {
+    if (fields.description !== null && (typeof fields.description !== 'string' || fields.description.length > 200)) {
+      errors.push({ field: 'description', message: 'must be a string of at most 200 characters' });
+    }
+    clean.description = fields.description ? fields.description.trim() : null;
+  }
+
+  if (fields.active !== undefined) {
+    if (typeof fields.active !== 'boolean') {
+      errors.push({ field: 'active', message: 'must be true or false' });
+    }
+    clean.active = fields.active;
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid webhook', errors);
+  }
+
+  return clean;
+}
+
+/**
+ * Outbound webhooks: subscriptions, signed deliveries, retries and the delivery log.
+ *
+ * Subscriptions live in /admin/webhooks.json. Each has its own secret, which is shown
+ * once when the subscription is created and signs every delivery (see signPayload).
+ * Each subscription keeps its last 100 finished deliveries, plus any still pending, in
+ * /webhooks/deliveries/{id}.json.
+ * A delivery is tried right away; failed ones are retried by retryDue (run every minute)
+ * after RETRY_DELAYS, then marked failed. Any 2xx response counts as delivered.
+ * Deliveries never go to this machine or a private network, whatever the URL's name
+ * resolves to at the time, unless WEBHOOKS_ALLOW_PRIVATE_TARGETS=true (local testing).
+ */
+class Webhooks {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.inFlight = new Set();
+    this.allowPrivateTargets = options.allowPrivateTargets ?? process.env.WEBHOOKS_ALLOW_PRIVATE_TARGETS === 'true';
+
+    const lookup = this.allowPrivateTargets ? undefined : publicLookup;
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  async load() {
+    try {
+      const { content, metadata } = await this.storage.downloadFileWithMetadata(SUBSCRIPTIONS_PATH);
+      return { subscriptions: JSON.parse(content.toString('utf8')).subscriptions || {}, rev: metadata.rev };
+    } catch (error) {
+      if (isNotFound(error)) return { subscriptions: {}, rev: null };
+      throw error;
+    }
+  }
+
+  /**
+   * Read-modify-write the subscription file, retrying when another write got in first
+   */
+  async update(mutate) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { subscriptions, rev } = await this.load();
+      const result = mutate(subscriptions);
+
+      try {
+        await this.storage.uploadFile(
+          SUBSCRIPTIONS_PATH,
+          JSON.stringify({ subscriptions }, null, 2),
+          rev ? { rev } : { mustNotExist: true }
+        );
+        return result;
+      } catch (error) {
+        if (!isConflict(error)) throw error;
+      }
+    }
+
+    throw new Error('Webhook subscriptions are being changed too often; try again');
+  }
+
+  /**
+   * Create a subscription; the returned `secret` is the only time it is shown
+   */
+  async create(fields) {
+    const clean = validateSubscription(fields, false, this.allowPrivateTargets);
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      url: clean.url,
+      events: clean.events,
+      description: clean.description || null,
+      active: clean.active !== undefined ? clean.active : true,
+      secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+      created_at: now,
+      updated_at: now
+    };
+
+    await this.update(subscriptions => {
+      subscriptions[record.id] = record;
+    });
+
+    return { ...this.describe(record), secret: record.secret };
+  }
+
+  /**
+   * All subscriptions (without secrets), newest first
+   */
+  async list() {
+    const { subscriptions } = await this.load();
+    return Object.values(subscriptions)
+      .map(record => this.describe(record))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Change url, events, description or active; null if there is no such subscription
+   */
+  async edit(id, fields) {
+    const clean = validateSubscription(fields, true, this.allowPrivateTargets);
+
+    return this.update(subscriptions => {
+      if (!subscriptions[id]) return null;
+      Object.assign(subscriptions[id], clean, { updated_at: new Date().toISOString() });
+      return this.describe(subscriptions[id]);
+    });
+  }
+
+  /**
+   * Delete a subscription and its delivery log; false if there is no such subscription
+   */
+  async remove(id) {
+    const removed = await this.update(subscriptions => {
+      if (!subscriptions[id]) return false;
+      delete subscriptions[id];
+      return true;
+    });
+
+    if (removed) {
+      await this.storage.deleteFile(this.logPath(id)).catch(error => {
+        if (!isNotFound(error)) throw error;
+      });
+    }
+    return removed;
+  }
+
+  describe({ secret, ...record }) {
+    return record;
+  }
+
+  logPath(subscriptionId) {
+    return `${DELIVERIES_FOLDER}/${subscriptionId}.json`;
+  }
+
+  async readLog(subscriptionId) {
+    try {
+      const { content, metadata } = await this.storage.downloadFileWithMetadata(this.logPath(subscriptionId));
+      return { deliveries: JSON.parse(content.toString('utf8')).deliveries || {}, rev: metadata.rev };
+    } catch (error) {
+      if (isNotFound(error)) return { deliveries: {}, rev: null };
+      throw error;
+    }
+  }
+
+  /**
+   * Read-modify-write a subscription's delivery log. Pending deliveries are always kept, so
+   * their retries still happen; finished ones are trimmed to the newest that fit in
+   * DELIVERY_LOG_LIMIT entries.
+   */
+  async updateLog(subscriptionId, mutate) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { deliveries, rev } = await this.readLog(subscriptionId);
+      const result = mutate(deliveries);
+
+      const newestFirst = Object.values(deliveries).sort((a, b) => b.created_at.localeCompare(a.created_at));
+      const pending = newestFirst.filter(delivery => delivery.status === 'pending');
+      const finished = newestFirst
+        .filter(delivery => delivery.status !== 'pending')
+        .slice(0, Math.max(0, DELIVERY_LOG_LIMIT - pending.length));
+      const kept = [...pending, ...finished];
+
+      try {
+        await this.storage.uploadFile(
+          this.logPath(subscriptionId),
+          JSON.stringify({ subscription_id: subscriptionId, deliveries: Object.fromEntries(kept.map(delivery => [delivery.id, delivery])) }, null, 2),
+          rev ? { rev } : { mustNotExist: true }
+        );
+        return result;
+      } catch (error) {
+        if (!isConflict(error)) throw error;
+      }
+    }
+
+    throw new Error('Webhook delivery log is being changed too often; try again');
+  }
+
+  /**
+   * A subscription's deliveries, newest first; null if there is no such subscription
+   */
+  async listDeliveries(subscriptionId) {
+    const { subscriptions } = await this.load();
+    if (!subscriptions[subscriptionId]) return null;
+
+    const { deliveries } = await this.readLog(subscriptionId);
+    return Object.values(deliveries).sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Queue an event for every active subscription that wants it and try each delivery once.
+   * Never throws: webhook trouble must not fail the change that raised the event.
+   */
+  async emit(type, data) {
+    try {
+      const { subscriptions } = await this.load();
+      const targets = Object.values(subscriptions)
+        .filter(subscription => subscription.active && (subscription.events.includes(type) || subscription.events.includes('*')));
+
+      if (targets.length === 0) return;
+
+      const event = {
+        id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+        type,
+        created_at: new Date().toISOString(),
+        data
+      };
+
+      await Promise.all(targets.map(subscription => this.queue(subscription, event).catch(error => {
+        console.error(`Webhook ${subscription.id} could not take ${type}:`, error.message);
+      })));
+    } catch (error) {
+      console.error(`Could not send ${type} webhooks:`, error.message);
+    }
+  }
+
+  /**
+   * Log a new delivery of `event` to a subscription and make the first attempt; returns the delivery
+   */
+  async queue(subscription, event, redeliveryOf = null) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+      event,
+      status: 'pending',
+      attempts: [],
+      next_attempt_at: now,
+      created_at: now,
+      redelivery_of: redeliveryOf
+    };
+
+    await this.updateLog(subscription.id, deliveries => {
+      deliveries[delivery.id] = delivery;
+    });
+
+    return this.attempt(subscription, delivery);
+  }
+
+  /**
+   * POST a delivery to the subscription's URL and record the outcome; returns the updated delivery
+   */
+  async attempt(subscription, delivery) {
+    if (this.inFlight.has(delivery.id)) return delivery;
+    this.inFlight.add(delivery.id);
+
+    try {
+      const body = JSON.stringify(delivery.event);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const started = Date.now();
+      const result = { at: new Date().toISOString(), status_code: null, error: null, duration_ms: null };
+
+      try {
+        // Subscriptions saved before targets were checked, and literal addresses, which skip the lookup
+        const refused = this.allowPrivateTargets ? null : privateTargetError(new URL(subscription.url));
+        if (refused) {
+          throw Object.assign(new Error(`Refused: ${refused}`), { code: 'EPRIVATETARGET' });
+        }
+
+        const response = await axios.post(subscription.url, body, {
+          timeout: DELIVERY_TIMEOUT,
+          maxRedirects: 0,
+          httpAgent: this.httpAgent,
+          httpsAgent: this.httpsAgent,
+          validateStatus: () => true,
+          transformResponse: [text => text],
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'dtf-backend-webhooks/1.0',
+            'X-DTF-Event': delivery.event.type,
+            'X-DTF-Event-Id': delivery.event.id,
+            'X-DTF-Delivery': delivery.id,
+            'X-DTF-Signature': `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`
+          }
+        });
+
+        result.status_code = response.status;
+        if (response.status < 200 || response.status >= 300) {
+          result.error = `HTTP ${response.status}: ${String(response.data || '').slice(0, 200)}`;
+        }
+      } catch (error) {
+        result.error = error.code ? `${error.code}: ${error.message}` : error.message;
+      }
+      result.duration_ms = Date.now() - started;
+
+      return await this.updateLog(subscription.id, deliveries => {
+        const current = deliveries[delivery.id] || delivery;
+        current.attempts.push(result);
+
+        const retryDelay = RETRY_DELAYS[current.attempts.length - 1];
+        if (!result.error) {
+          current.status = 'succeeded';
+          current.next_attempt_at = null;
+        } else if (retryDelay === undefined) {
+          current.status = 'failed';
+          current.next_attempt_at = null;
+        } else {
+          current.status = 'pending';
+          current.next_attempt_at = new Date(Date.now() + retryDelay).toISOString();
+        }
+
+        deliveries[delivery.id] = current;
+        console.log(`📡 Webhook ${delivery.event.type} → ${subscription.url}: ${result.error || result.status_code} (${current.status})`);
+        return current;
+      });
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  /**
+   * Send a logged delivery's event again as a new delivery; null if either is unknown
+   */
+  async redeliver(subscriptionId, deliveryId) {
+    const { subscriptions } = await this.load();
+    const subscription = subscriptions[subscriptionId];
+    if (!subscription) return null;
+
+    const { deliveries } = await this.readLog(subscriptionId);
+    const original = deliveries[deliveryId];
+    if (!original) return null;
+
+    return this.queue(subscription, original.event, original.id);
+  }
+
+  /**
+   * Retry every pending delivery whose next attempt is due; returns how many were tried
+   */
+  async retryDue() {
+    const { subscriptions } = await this.load();
+    const now = new Date().toISOString();
+    let tried = 0;
+
+    for (const subscription of Object.values(subscriptions).filter(record => record.active)) {
+      const { deliveries } = await this.readLog(subscription.id);
+      const due = Object.values(deliveries)
+        .filter(delivery => delivery.status === 'pending' && delivery.next_attempt_at && delivery.next_attempt_at <= now);
+
+      for (const delivery of due) {
+        await this.attempt(subscription, delivery);
+        tried++;
+      }
+    }
+
+    return tried;
+  }
+}
+
+module.exports = { Webhooks, WEBHOOK_EVENTS, RETRY_DELAYS, signPayload };
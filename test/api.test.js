@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const { signCustomerToken } = require('../services/auth');
+
+const PORT = 4100 + Math.floor(Math.random() * 800);
+const BASE = `http://127.0.0.1:${PORT}`;
+const TOKEN_SECRET = 'test-token-secret';
+const ADMIN_KEY = 'test-admin-key';
+
+let server;
+
+test.before(async () => {
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      STORAGE_DRIVER: 'memory',
+      AUTH_MODE: 'required',
+      SHOPIFY_API_SECRET: 'test-proxy-secret',
+      CUSTOMER_TOKEN_SECRET: TOKEN_SECRET,
+      ADMIN_API_KEY: ADMIN_KEY
+    },
+    stdio: 'ignore'
+  });
+
+  // Wait for the server to answer its health check
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      if ((await fetch(`${BASE}/health`)).ok) return;
+    } catch (error) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Server did not start');
+});
+
+test.after(() => {
+  server.kill();
+});
+
+const as = customerId => ({ Authorization: `Bearer ${signCustomerToken(customerId, TOKEN_SECRET)}` });
+
+async function call(method, url, headers = {}, body) {
+  const response = await fetch(`${BASE}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+test('customer routes need credentials', async () => {
+  assert.equal((await call('GET', '/api/customer-quotes/c1')).status, 401);
+  assert.equal((await call('POST', '/api/save-quote', {}, { quoteData: { quote_name: 'x' } })).status, 401);
+  assert.equal((await call('GET', '/api/customer-quotes/c1', { Authorization: 'Bearer forged' })).status, 401);
+});
+
+test("a customer cannot read, list or change another customer's quotes", async () => {
+  const saved = await call('POST', '/api/save-quote', as('c1'), {
+    quoteData: { quote_name: 'Shirts', locations: [{ name: 'Front', width: 10, height: 10, quantity: 24 }] }
+  });
+  assert.equal(saved.status, 200);
+  const quoteId = saved.body.quote_id;
+
+  assert.equal((await call('GET', `/api/get-quote/${quoteId}`, as('c1'))).status, 200);
+  assert.equal((await call('GET', `/api/get-quote/${quoteId}`, as('c2'))).status, 404);
+  assert.equal((await call('DELETE', `/api/delete-quote/${quoteId}`, as('c2'))).status, 404);
+  assert.equal((await call('GET', '/api/customer-quotes/c1', as('c2'))).status, 403);
+
+  const listed = await call('GET', '/api/customer-quotes/c1', as('c1'));
+  assert.deepEqual(listed.body.data.map(quote => quote.id), [quoteId]);
+});
+
+test('admin routes need a valid API key', async () => {
+  assert.equal((await call('GET', '/admin/quotes')).status, 401);
+  assert.equal((await call('GET', '/admin/quotes', { 'X-Admin-Key': 'wrong' })).status, 401);
+  assert.equal((await call('GET', '/admin/quotes', as('c1'))).status, 401);
+  assert.equal((await call('GET', '/admin/quotes', { 'X-Admin-Key': ADMIN_KEY })).status, 200);
+});
+
+test('quote routes check the key scope before looking the quote up', async () => {
+  const created = await call('POST', '/admin/api-keys', { 'X-Admin-Key': ADMIN_KEY }, { name: 'reports', scope: 'read' });
+  assert.equal(created.status, 201);
+  const readOnly = { 'X-Admin-Key': created.body.data.key };
+
+  assert.equal((await call('POST', '/admin/quotes/no-such-quote/status', readOnly, { status: 'sent' })).status, 403);
+  assert.equal((await call('POST', '/admin/quotes/no-such-quote/reassign', readOnly, { customer_id: 'c2' })).status, 403);
+  assert.equal((await call('POST', '/admin/quotes/no-such-quote/reassign', { 'X-Admin-Key': ADMIN_KEY }, { customer_id: '../c2' })).status, 422);
+});
+
+test('nest-layout needs credentials and a sheet no bigger than the configured one', async () => {
+  const locations = [{ name: 'Front', width: 10, height: 10, quantity: 4 }];
+
+  assert.equal((await call('POST', '/api/nest-layout', {}, { locations })).status, 401);
+  assert.equal((await call('POST', '/api/nest-layout', as('c1'), { locations })).status, 200);
+
+  for (const overrides of [{ max_length: 0 }, { max_length: -5 }, { max_length: 1e9 }, { sheet_width: 1e6 }, { margin: 11 }, { spacing: -1 }, { max_length: 'Infinity' }]) {
+    const response = await call('POST', '/api/nest-layout', as('c1'), { locations, ...overrides });
+    assert.equal(response.status, 422, JSON.stringify(overrides));
+    assert.equal(response.body.details[0].field, Object.keys(overrides)[0]);
+  }
+});
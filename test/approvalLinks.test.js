@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../services/storage');
+const { ApprovalLinks } = require('../services/approvalLinks');
+
+test('a new link resolves to its quote and stores only the token hash', async () => {
+  const storage = createStorage('memory');
+  const links = new ApprovalLinks(storage);
+  const { token, id } = await links.create('Q1', { type: 'customer', id: '42' });
+
+  const resolved = await links.resolve(token);
+  assert.equal(resolved.quoteId, 'Q1');
+  assert.equal(resolved.link.id, id);
+  assert.equal(resolved.link.token_hash, undefined);
+
+  const stored = (await storage.downloadFile(links.quotePath('Q1'))).toString('utf8');
+  assert.equal(stored.includes(token), false);
+});
+
+test('unknown, malformed, revoked and expired tokens do not resolve', async () => {
+  const storage = createStorage('memory');
+  const links = new ApprovalLinks(storage);
+  const revoked = await links.create('Q1');
+  const expired = await links.create('Q1');
+  const live = await links.create('Q1');
+
+  await links.revoke('Q1', revoked.id);
+  await links.update('Q1', records => {
+    records[expired.id].expires_at = new Date(Date.now() - 1000).toISOString();
+  });
+
+  assert.equal(await links.resolve(revoked.token), null);
+  assert.equal(await links.resolve(expired.token), null);
+  assert.equal(await links.resolve('A'.repeat(32)), null);
+  assert.equal(await links.resolve('../../admin/webhooks'), null);
+  assert.equal(await links.resolve(undefined), null);
+  assert.ok(await links.resolve(live.token));
+});
+
+test('revoking without a link ID revokes every link of the quote', async () => {
+  const links = new ApprovalLinks(createStorage('memory'));
+  const first = await links.create('Q1');
+  const second = await links.create('Q1');
+  const other = await links.create('Q2');
+
+  assert.equal((await links.revoke('Q1')).length, 2);
+  assert.equal(await links.resolve(first.token), null);
+  assert.equal(await links.resolve(second.token), null);
+  assert.ok(await links.resolve(other.token));
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderApprovalPage, validateDecision } = require('../services/approvalPage');
+const { ValidationError } = require('../services/errors');
+
+const quoteHtml = '<html><body><h1>Quote Q-2026-00001</h1></body></html>';
+
+test("the approver's words appear as typed, even with replacement patterns", () => {
+  const approval = {
+    decision: 'changes',
+    name: "Pat $& $` $' $$",
+    signature: 'P$&',
+    comment: "More $` please $'",
+    decided_at: '2026-01-02T03:04:05.000Z'
+  };
+  const page = renderApprovalPage(quoteHtml, { status: 'rejected', approval });
+
+  assert.equal(page.split('<h1>').length, 2);
+  assert.ok(page.includes("by Pat $&amp; $` $&#39; $$ (signed"));
+  assert.ok(page.includes('More $` please $&#39;'));
+  assert.ok(page.includes('P$&amp;'));
+  assert.ok(page.endsWith('</body></html>'));
+});
+
+test('a sent quote offers the form with the version it shows', () => {
+  const page = renderApprovalPage(quoteHtml, { status: 'sent', version: '0000abc' });
+
+  assert.match(page, /<form[^>]*method="post"/i);
+  assert.match(page, /name="version" value="0000abc"/);
+});
+
+test('decisions need a name, and a comment when asking for changes', () => {
+  assert.deepEqual(validateDecision({ decision: 'approve', name: ' Pat ' }), { decision: 'approve', name: 'Pat', signature: null, comment: null });
+  assert.throws(() => validateDecision({ decision: 'approve', name: '' }), ValidationError);
+  assert.throws(() => validateDecision({ decision: 'changes', name: 'Pat' }), ValidationError);
+  assert.throws(() => validateDecision({ decision: 'ship it', name: 'Pat' }), ValidationError);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  verifyProxySignature,
+  signCustomerToken,
+  verifyCustomerToken,
+  authenticateRequest,
+  canAccessCustomer
+} = require('../services/auth');
+const { AuthenticationError } = require('../services/errors');
+
+const SECRET = 'proxy-secret';
+
+// Sign a query the way Shopify's app proxy does
+function signQuery(params, secret = SECRET) {
+  const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('');
+  const signature = crypto.createHmac('sha256', secret).update(message).digest('hex');
+  return new URLSearchParams({ ...params, signature }).toString();
+}
+
+const now = () => String(Math.floor(Date.now() / 1000));
+
+const request = (originalUrl, headers = {}) => ({
+  originalUrl,
+  get: name => headers[name.toLowerCase()]
+});
+
+const config = { mode: 'required', proxySecret: SECRET, tokenSecret: 'token-secret', tokenTtl: 60 };
+
+test('a correctly signed app proxy query is accepted', () => {
+  const query = signQuery({ shop: 'demo.myshopify.com', logged_in_customer_id: '42', timestamp: now() });
+  assert.equal(verifyProxySignature(query, SECRET).logged_in_customer_id, '42');
+});
+
+test('a tampered, unsigned or wrongly keyed app proxy query is rejected', () => {
+  const query = signQuery({ logged_in_customer_id: '42', timestamp: now() });
+
+  assert.equal(verifyProxySignature(query.replace('=42', '=43'), SECRET), null);
+  assert.equal(verifyProxySignature(query, 'other-secret'), null);
+  assert.equal(verifyProxySignature(query, undefined), null);
+  assert.equal(verifyProxySignature('logged_in_customer_id=42', SECRET), null);
+});
+
+test('an old app proxy signature cannot be replayed', () => {
+  const query = signQuery({ logged_in_customer_id: '42', timestamp: String(Math.floor(Date.now() / 1000) - 3600) });
+  assert.equal(verifyProxySignature(query, SECRET), null);
+  assert.ok(verifyProxySignature(query, SECRET, { maxAgeSeconds: 7200 }));
+});
+
+test('customer tokens carry the customer and fail when forged or expired', () => {
+  const token = signCustomerToken('42', 'token-secret', 60);
+  assert.equal(verifyCustomerToken(token, 'token-secret').sub, '42');
+
+  const [, signature] = token.split('.');
+  const forged = `${Buffer.from(JSON.stringify({ sub: '43', exp: 9999999999 })).toString('base64url')}.${signature}`;
+  assert.equal(verifyCustomerToken(forged, 'token-secret'), null);
+  assert.equal(verifyCustomerToken(token, 'other-secret'), null);
+  assert.equal(verifyCustomerToken(`${token}.extra`, 'token-secret'), null);
+  assert.equal(verifyCustomerToken(signCustomerToken('42', 'token-secret', -1), 'token-secret'), null);
+});
+
+test('authenticateRequest accepts a signed proxy request or a bearer token', () => {
+  const query = signQuery({ logged_in_customer_id: '42', timestamp: now() });
+  assert.deepEqual(authenticateRequest(request(`/api/x?${query}`), config), { customerId: '42', method: 'app_proxy' });
+
+  const token = signCustomerToken('7', config.tokenSecret);
+  assert.deepEqual(authenticateRequest(request('/api/x', { authorization: `Bearer ${token}` }), config), { customerId: '7', method: 'token' });
+});
+
+test('authenticateRequest rejects bad signatures, logged-out shoppers and missing credentials', () => {
+  const badSignature = `${signQuery({ logged_in_customer_id: '42', timestamp: now() })}0`;
+  const loggedOut = signQuery({ logged_in_customer_id: '', timestamp: now() });
+
+  assert.throws(() => authenticateRequest(request(`/api/x?${badSignature}`), config), AuthenticationError);
+  assert.throws(() => authenticateRequest(request(`/api/x?${loggedOut}`), config), AuthenticationError);
+  assert.throws(() => authenticateRequest(request('/api/x', { authorization: 'Bearer nope' }), config), AuthenticationError);
+  assert.throws(() => authenticateRequest(request('/api/x'), config), AuthenticationError);
+});
+
+test('a customer can only act for themselves unless auth is off', () => {
+  assert.equal(canAccessCustomer({ customerId: '42', method: 'token' }, 42), true);
+  assert.equal(canAccessCustomer({ customerId: '42', method: 'token' }, '43'), false);
+  assert.equal(canAccessCustomer({ customerId: '42', method: 'token' }, undefined), false);
+  assert.equal(canAccessCustomer(null, '42'), false);
+  assert.equal(canAccessCustomer({ customerId: null, method: 'none' }, '42'), true);
+});
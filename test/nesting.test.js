@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { nestLocations, MAX_PLACEMENTS } = require('../services/nesting');
+const { calculateQuote, validateLocations, loadPriceTables } = require('../services/pricing');
+const { ValidationError } = require('../services/errors');
+
+const front = (quantity, width = 10, height = 10) => ({ name: 'Front', width, height, quantity });
+const settings = { width: 22, margin: 0.25, spacing: 0.25, max_length: 100, minimum_length: 0 };
+
+test('transfers are placed inside the margins without overlapping', () => {
+  const layout = nestLocations([front(7, 6, 4), front(3, 9.5, 9.5)], settings);
+
+  assert.equal(layout.placements.length, 10);
+  for (const placement of layout.placements) {
+    assert.ok(placement.x >= settings.margin && placement.x + placement.width <= settings.width - settings.margin);
+  }
+  for (const [index, a] of layout.placements.entries()) {
+    for (const b of layout.placements.slice(index + 1)) {
+      const apart = a.sheet !== b.sheet || a.x + a.width <= b.x || b.x + b.width <= a.x || a.y + a.height <= b.y || b.y + b.height <= a.y;
+      assert.ok(apart, `${a.name} ${a.copy} overlaps ${b.name} ${b.copy}`);
+    }
+  }
+});
+
+test('transfers that do not fit the sheet are refused', () => {
+  const tables = loadPriceTables();
+  const { width, max_length: maxLength } = tables.sheet;
+
+  assert.deepEqual(validateLocations([front(1)], tables), []);
+  assert.equal(validateLocations([front(1, width + 1, width + 1)], tables).length, 1);
+  assert.match(validateLocations([front(1, width - 1, maxLength + 50)], tables)[0].message, /maximum sheet length/);
+  assert.throws(() => calculateQuote({ locations: [front(1, width - 1, maxLength + 50)] }), ValidationError);
+});
+
+test('long runs spill onto extra sheets, each within the maximum length', () => {
+  const tables = loadPriceTables();
+  const { sheet, layout } = calculateQuote({ locations: [front(2, 21, tables.sheet.max_length - 1)] });
+
+  assert.equal(sheet.quantity, 2);
+  assert.ok(layout.sheets.every(current => current.length <= tables.sheet.max_length));
+});
+
+test('packing thousands of transfers onto one long sheet stays quick', () => {
+  const sheet = { ...settings, max_length: 100000, spacing: 0 };
+  // One narrow transfer keeps every part-filled shelf open to the search
+  const locations = [
+    { name: 'Wide', width: 11, height: 0.001, quantity: MAX_PLACEMENTS - 1 },
+    { name: 'Narrow', width: 0.1, height: 0.0001, quantity: 1 }
+  ];
+
+  const started = Date.now();
+  const layout = nestLocations(locations, sheet);
+
+  assert.equal(layout.placements.length, MAX_PLACEMENTS);
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateQuote, applyPricing } = require('../services/pricing');
+const { ValidationError } = require('../services/errors');
+
+const front = (quantity, width = 10, height = 10) => ({ name: 'Front', width, height, quantity });
+
+test('the retail total is always the quoted unit price times the garments', () => {
+  for (let units = 1; units <= 40; units++) {
+    for (const markup of [0, 33, 47.5, 100]) {
+      const { totals } = calculateQuote({ locations: [front(units * 2, 3.3, 2.7)], units, markup, product_cost: 3.17, press_cost: 0.33 });
+      assert.equal(Math.round(totals.retail_unit * units * 100), Math.round(totals.retail_total * 100), `units ${units}, markup ${markup}`);
+    }
+  }
+});
+
+test('units default to the largest location quantity', () => {
+  const { inputs } = calculateQuote({ locations: [front(12), front(30, 4, 4)] });
+  assert.equal(inputs.units, 30);
+});
+
+test('bad pricing inputs come back as field errors', () => {
+  assert.throws(
+    () => calculateQuote({ locations: [front(-1)], markup: 'lots', units: 1.5 }),
+    error => error instanceof ValidationError &&
+      ['locations[0].quantity', 'markup', 'units'].every(field => error.details.some(detail => detail.field === field))
+  );
+});
+
+test('saved quotes get server figures, and verify mode refuses figures that differ', () => {
+  const quote = { quote_name: 'Shirts', locations: [front(24)], data: { retail_total: '$1.00' } };
+  const priced = applyPricing(quote, 'recompute');
+  const expected = calculateQuote({ locations: quote.locations });
+
+  assert.equal(priced.data.retail_total, expected.data.retail_total);
+  assert.equal(priced.pricing.retail_total, expected.data.retail_total);
+  assert.throws(() => applyPricing(quote, 'verify'), ValidationError);
+  assert.doesNotThrow(() => applyPricing({ ...quote, data: { retail_total: expected.data.retail_total } }, 'verify'));
+});
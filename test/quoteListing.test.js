@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseListQuery, paginateQuotes, parseQuoteFilters, filterQuotes } = require('../services/quoteListing');
+
+const quote = (id, day, total, name = `Quote ${id}`) => ({
+  id,
+  quote_name: name,
+  date_created: `2025-06-${String(day).padStart(2, '0')}T12:00:00.000Z`,
+  pricing: { retail_total: `$${total}.00` }
+});
+
+// Fetch a page the way a client would: parse the query, then paginate a fresh copy
+function page(quotes, query) {
+  const { options, error } = parseListQuery(query);
+  assert.equal(error, undefined);
+  return paginateQuotes([...quotes], options);
+}
+
+const ids = result => result.quotes.map(current => current.id);
+
+test('pages follow the requested order and end with no cursor', () => {
+  const quotes = [quote('a', 1, 30), quote('b', 2, 10), quote('c', 3, 20)];
+
+  const first = page(quotes, { sort: 'total', order: 'asc', limit: '2' });
+  assert.deepEqual(ids(first), ['b', 'c']);
+  assert.equal(first.pagination.has_more, true);
+
+  const second = page(quotes, { cursor: first.pagination.next_cursor, limit: '2' });
+  assert.deepEqual(ids(second), ['a']);
+  assert.equal(second.pagination.next_cursor, null);
+});
+
+test('quotes added or deleted between pages are neither skipped nor repeated', () => {
+  let quotes = [1, 2, 3, 4, 5, 6].map(day => quote(`q${day}`, day, day));
+
+  const first = page(quotes, { limit: '2' });
+  assert.deepEqual(ids(first), ['q6', 'q5']);
+
+  // A newer quote appears and one already listed is deleted
+  quotes = [quote('q7', 7, 7), ...quotes.filter(current => current.id !== 'q6')];
+
+  const second = page(quotes, { cursor: first.pagination.next_cursor, limit: '2' });
+  assert.deepEqual(ids(second), ['q4', 'q3']);
+
+  // The next quote due is deleted before it is listed
+  quotes = quotes.filter(current => current.id !== 'q2');
+
+  const third = page(quotes, { cursor: second.pagination.next_cursor, limit: '2' });
+  assert.deepEqual(ids(third), ['q1']);
+});
+
+test('quotes with the same sort value are ordered by ID across pages', () => {
+  const quotes = ['d', 'a', 'c', 'b'].map(id => quote(id, 1, 5, 'Same'));
+  const seen = [];
+  let cursor;
+
+  do {
+    const result = page(quotes, cursor ? { cursor, limit: '1' } : { sort: 'name', limit: '1' });
+    seen.push(...ids(result));
+    cursor = result.pagination.next_cursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, ['a', 'b', 'c', 'd']);
+});
+
+test('malformed and old offset cursors are rejected', () => {
+  const offsetCursor = Buffer.from(JSON.stringify({ offset: 20, sort: 'date', order: 'desc' })).toString('base64url');
+
+  assert.deepEqual(parseListQuery({ cursor: 'not-a-cursor' }), { error: 'Invalid cursor' });
+  assert.deepEqual(parseListQuery({ cursor: offsetCursor }), { error: 'Invalid cursor' });
+  assert.match(parseListQuery({ sort: 'colour' }).error, /Invalid sort/);
+  assert.match(parseListQuery({ limit: '0' }).error, /Invalid limit/);
+});
+
+test('filters combine status, date range and totals', () => {
+  const quotes = [
+    { ...quote('a', 1, 50), status: 'sent' },
+    { ...quote('b', 15, 150), status: 'sent' },
+    { ...quote('c', 30, 150), status: 'accepted' }
+  ];
+
+  const { filters } = parseQuoteFilters({ status: 'sent,accepted', from: '2025-06-10', to: '2025-06-15', min_total: '100' });
+  assert.deepEqual(filterQuotes(quotes, filters).map(current => current.id), ['b']);
+  assert.match(parseQuoteFilters({ status: 'lost' }).error, /Invalid status/);
+  assert.match(parseQuoteFilters({ from: 'yesterday-ish' }).error, /Invalid from/);
+});
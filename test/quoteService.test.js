@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DropboxService = require('../services/dropboxService');
+const { createStorage, StorageError } = require('../services/storage');
+const { ForbiddenError, QuoteConflictError, ValidationError } = require('../services/errors');
+const { loadPriceTables } = require('../services/pricing');
+
+const front = quantity => [{ name: 'Front', width: 10, height: 10, quantity }];
+
+// A service on the memory driver, with its progress logging silenced
+function service(t) {
+  for (const method of ['log', 'warn']) {
+    t.mock.method(console, method, () => {});
+  }
+  return new DropboxService(createStorage('memory'));
+}
+
+test('a customer cannot save quotes for, or over, another customer', async t => {
+  const quotes = service(t);
+  const { quote_id: quoteId } = await quotes.saveQuote({ quote_name: 'Shirts', customer_id: 'c1', locations: front(24) });
+
+  await assert.rejects(quotes.saveQuote({ quote_name: 'Mine', customer_id: 'c2', locations: front(1) }, false, { ownerId: 'c1' }), ForbiddenError);
+  await assert.rejects(quotes.saveQuote({ id: quoteId, quote_name: 'Taken', locations: front(1) }, true, { ownerId: 'c2' }), ForbiddenError);
+
+  const own = await quotes.saveQuote({ quote_name: 'Caps', locations: front(5) }, false, { ownerId: 'c2' });
+  assert.equal(own.metadata.customer_id, 'c2');
+});
+
+test('listings come from the index and follow quotes between customers', async t => {
+  const quotes = service(t);
+  await quotes.rebuildQuoteIndex();
+  const { quote_id: quoteId } = await quotes.saveQuote({ quote_name: 'Shirts', customer_id: 'c1', locations: front(24) });
+
+  const ids = async customerId => (await quotes.listCustomerQuotes(customerId)).quotes.map(quote => quote.id);
+  assert.deepEqual(await ids('c1'), [quoteId]);
+
+  await quotes.saveQuote({ id: quoteId, quote_name: 'Shirts', customer_id: 'c2', locations: front(24) }, true);
+  assert.deepEqual(await ids('c1'), []);
+  assert.deepEqual(await ids('c2'), [quoteId]);
+});
+
+test('customers whose IDs differ only in punctuation get separate listings', async t => {
+  const quotes = service(t);
+  await quotes.rebuildQuoteIndex();
+  await quotes.saveQuote({ quote_name: 'Dotted', customer_id: 'x.y', locations: front(1) });
+  await quotes.saveQuote({ quote_name: 'Underscored', customer_id: 'x_y', locations: front(1) });
+
+  const names = async customerId => (await quotes.listCustomerQuotes(customerId)).quotes.map(quote => quote.quote_name);
+  assert.deepEqual(await names('x.y'), ['Dotted']);
+  assert.deepEqual(await names('x_y'), ['Underscored']);
+});
+
+test('concurrent saves for one customer all reach the index', async t => {
+  const quotes = service(t);
+  await quotes.rebuildQuoteIndex();
+
+  await Promise.all([1, 2, 3, 4, 5].map(index => quotes.saveQuote({ quote_name: `Quote ${index}`, customer_id: 'c1', locations: front(index) })));
+  assert.equal((await quotes.listCustomerQuotes('c1')).quotes.length, 5);
+});
+
+test('every save is kept as a revision that can be diffed', async t => {
+  const quotes = service(t);
+  const first = await quotes.saveQuote({ quote_name: 'Shirts', customer_id: 'c1', locations: front(24) });
+  await quotes.saveQuote({ id: first.quote_id, quote_name: 'Shirts and caps', customer_id: 'c1', locations: front(24) }, true);
+
+  const revisions = await quotes.listQuoteRevisions(first.quote_id);
+  assert.deepEqual(revisions.map(revision => [revision.revision, revision.quote_name]), [[1, 'Shirts'], [2, 'Shirts and caps']]);
+
+  const diff = await quotes.diffQuoteRevisions(first.quote_id, 1);
+  assert.deepEqual(diff.changes.find(change => change.field === 'quote_name'), { field: 'quote_name', from: 'Shirts', to: 'Shirts and caps' });
+});
+
+test('restoring a revision keeps the current owner and refuses stale versions', async t => {
+  const quotes = service(t);
+  const first = await quotes.saveQuote({ quote_name: 'Shirts', customer_id: 'c1', locations: front(24) });
+  await quotes.reassignQuote(first.quote_id, 'c2');
+
+  await assert.rejects(quotes.restoreQuoteRevision(first.quote_id, 1, { expectedVersion: first.version }), QuoteConflictError);
+
+  const restored = await quotes.restoreQuoteRevision(first.quote_id, 1);
+  assert.equal(restored.metadata.customer_id, 'c2');
+  assert.equal(restored.metadata.quote_name, 'Shirts');
+  assert.equal(restored.metadata.restored_from, 1);
+});
+
+test('a status change keeps the figures the quote was saved with', async t => {
+  const quotes = service(t);
+  const saved = await quotes.saveQuote({ quote_name: 'Shirts', customer_id: 'c1', locations: front(24) });
+
+  // The price tables change after the quote was saved
+  const tables = loadPriceTables();
+  const minimumCharge = tables.minimum_charge;
+  tables.minimum_charge = minimumCharge * 10 + 100;
+  t.after(() => { tables.minimum_charge = minimumCharge; });
+
+  const changed = await quotes.changeQuoteStatus(saved.quote_id, { to: 'sent' });
+  assert.equal(changed.metadata.status, 'sent');
+  assert.deepEqual(changed.metadata.data, saved.metadata.data);
+  assert.equal(changed.metadata.revision, saved.metadata.revision + 1);
+});
+
+test('a status change that loses a race leaves the winning revision alone', async t => {
+  const quotes = service(t);
+  const saved = await quotes.saveQuote({ quote_name: 'Shirts', customer_id: 'c1', locations: front(24) });
+
+  // Another save lands between the status change's read and its write
+  const readJsonWithVersion = quotes.readJsonWithVersion.bind(quotes);
+  t.mock.method(quotes, 'readJsonWithVersion', async path => {
+    quotes.readJsonWithVersion.mock.restore();
+    const stale = await readJsonWithVersion(path);
+    await quotes.saveQuote({ id: saved.quote_id, quote_name: 'Shirts, edited', customer_id: 'c1', locations: front(24) }, true);
+    return stale;
+  });
+
+  await assert.rejects(quotes.changeQuoteStatus(saved.quote_id, { to: 'sent' }), QuoteConflictError);
+
+  const revision = await quotes.getQuoteRevision(saved.quote_id, 2);
+  assert.equal(revision.quote_name, 'Shirts, edited');
+  assert.equal(revision.status, 'draft');
+});
+
+test('status changes follow the lifecycle', async t => {
+  const quotes = service(t);
+  const { quote_id: quoteId } = await quotes.saveQuote({ quote_name: 'Shirts', customer_id: 'c1', locations: front(24) });
+
+  await assert.rejects(quotes.changeQuoteStatus(quoteId, { to: 'completed' }), ValidationError);
+  await quotes.changeQuoteStatus(quoteId, { to: 'sent', by: { type: 'customer', id: 'c1' } });
+
+  const metadata = await quotes.loadQuoteMetadata(quoteId);
+  assert.equal(metadata.status, 'sent');
+  assert.deepEqual(metadata.status_history.at(-1).by, { type: 'customer', id: 'c1' });
+  assert.equal(metadata.status_history.at(-1).from, 'draft');
+});
+
+test('an approval only counts for the version the customer was shown', async t => {
+  const quotes = service(t);
+  const { quote_id: quoteId } = await quotes.saveQuote({ quote_name: 'Shirts', customer_id: 'c1', locations: front(24) });
+  const link = await quotes.createApprovalLink(quoteId);
+  const shown = await quotes.resolveApprovalLink(link.token);
+
+  // The reseller edits the quote while the page is open
+  await quotes.saveQuote({ ...shown.quote, id: quoteId, locations: front(30) }, true);
+
+  const decision = { decision: 'approve', name: 'Pat' };
+  await assert.rejects(quotes.recordApproval(quoteId, link, decision, shown.quote.version), QuoteConflictError);
+  await assert.rejects(quotes.recordApproval(quoteId, link, decision, undefined), QuoteConflictError);
+
+  const fresh = await quotes.resolveApprovalLink(link.token);
+  const approved = await quotes.recordApproval(quoteId, link, decision, fresh.quote.version);
+  assert.equal(approved.metadata.status, 'accepted');
+  assert.equal(approved.metadata.approval.version, fresh.quote.version);
+  assert.equal(approved.metadata.approval.revision, fresh.quote.revision);
+
+  // What was approved can no longer be edited or rolled back
+  await assert.rejects(quotes.saveQuote({ ...approved.metadata, quote_name: 'Changed' }, true), ValidationError);
+  await assert.rejects(quotes.restoreQuoteRevision(quoteId, 1), ValidationError);
+});
+
+test('new quotes get unique quote numbers and their client ID keeps working', async t => {
+  const quotes = service(t);
+  const first = await quotes.saveQuote({ id: 'client-draft-1', quote_name: 'One', customer_id: 'c1', locations: front(1) });
+  const second = await quotes.saveQuote({ quote_name: 'Two', customer_id: 'c1', locations: front(1) });
+
+  assert.notEqual(first.quote_id, second.quote_id);
+  assert.equal(await quotes.resolveQuoteId('client-draft-1'), first.quote_id);
+  await assert.rejects(quotes.saveQuote({ id: second.quote_id.replace(/\d+$/, '99999'), quote_name: 'Guess', locations: front(1) }), ValidationError);
+});
+
+test('rejected new quotes do not use up a quote number', async t => {
+  const quotes = service(t);
+  const first = await quotes.saveQuote({ quote_name: 'One', customer_id: 'c1', locations: front(1) });
+
+  await assert.rejects(quotes.saveQuote({ quote_name: 'Huge', customer_id: 'c1', locations: [{ name: 'Front', width: 10, height: 500, quantity: 1 }] }), ValidationError);
+  await assert.rejects(quotes.saveQuote({ quote_name: 'Art', customer_id: 'c1', locations: [{ ...front(1)[0], artwork_id: '0123456789ab' }] }), ValidationError);
+
+  const second = await quotes.saveQuote({ quote_name: 'Two', customer_id: 'c1', locations: front(1) });
+  assert.equal(Number(second.quote_id.split('-').pop()), Number(first.quote_id.split('-').pop()) + 1);
+});
+
+test('client IDs are aliases whatever their case', async t => {
+  const quotes = service(t);
+  const saved = await quotes.saveQuote({ id: 'Draft-ABC', quote_name: 'One', customer_id: 'c1', locations: front(1) });
+
+  assert.equal(await quotes.resolveQuoteId('draft-abc'), saved.quote_id);
+  const updated = await quotes.saveQuote({ id: 'DRAFT-abc', quote_name: 'One, again', customer_id: 'c1', locations: front(1) }, true);
+  assert.equal(updated.quote_id, saved.quote_id);
+  assert.equal(updated.metadata.client_id, 'draft-abc');
+});
+
+test('a new quote whose write fails leaves no alias behind', async t => {
+  const quotes = service(t);
+  const uploadFile = quotes.storage.uploadFile.bind(quotes.storage);
+  t.mock.method(quotes.storage, 'uploadFile', async (path, content, options) => {
+    if (path.endsWith('_metadata.json')) {
+      throw new StorageError(`File was changed by someone else: ${path}`, 'conflict', path);
+    }
+    return uploadFile(path, content, options);
+  });
+
+  await assert.rejects(quotes.saveQuote({ id: 'draft-1', quote_name: 'One', customer_id: 'c1', locations: front(1) }), QuoteConflictError);
+  assert.equal(await quotes.quoteNumbers.resolveAlias('draft-1'), null);
+});
+
+test('two new quotes racing for one client ID leave a single quote', async t => {
+  const quotes = service(t);
+  const save = () => quotes.saveQuote({ id: 'draft-1', quote_name: 'One', customer_id: 'c1', locations: front(1) });
+
+  const results = await Promise.allSettled([save(), save()]);
+  const saved = results.filter(result => result.status === 'fulfilled');
+
+  assert.equal(saved.length, 1);
+  assert.ok(results.find(result => result.status === 'rejected').reason instanceof QuoteConflictError);
+  assert.equal(await quotes.resolveQuoteId('draft-1'), saved[0].value.quote_id);
+  assert.deepEqual((await quotes.getCustomerQuoteRecords('c1')).map(quote => quote.id), [saved[0].value.quote_id]);
+});
+
+test('reassigning checks the customer and gives the new owner the artwork', async t => {
+  const quotes = service(t);
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="3000" height="3000"><rect width="10" height="10"/></svg>';
+  const artwork = await quotes.saveArtwork('c1', { buffer: Buffer.from(svg), filename: 'logo.svg' });
+  const saved = await quotes.saveQuote({ quote_name: 'Art', customer_id: 'c1', locations: [{ ...front(1)[0], artwork_id: artwork.id }] });
+
+  await assert.rejects(quotes.reassignQuote(saved.quote_id, '../c2'), ValidationError);
+
+  const reassigned = await quotes.reassignQuote(saved.quote_id, 'c2');
+  const [location] = reassigned.metadata.locations;
+  assert.notEqual(location.artwork_id, artwork.id);
+  assert.equal((await quotes.getArtwork('c2', location.artwork_id)).customer_id, 'c2');
+
+  // The new owner can save the quote again without tripping the artwork ownership check
+  await quotes.saveQuote({ id: saved.quote_id, quote_name: 'Art', locations: reassigned.metadata.locations }, true, { ownerId: 'c2' });
+});
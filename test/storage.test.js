@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, isNotFound, isConflict } = require('../services/storage');
+
+// Each test runs against every driver that needs no credentials
+const drivers = {
+  memory: () => createStorage('memory', { publicUrl: 'http://files.test' }),
+  local: t => {
+    t.mock.method(console, 'log', () => {});
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dtf-storage-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    return createStorage('local', { root, publicUrl: 'http://files.test' });
+  }
+};
+
+for (const [name, create] of Object.entries(drivers)) {
+  test(`${name}: files round-trip with Dropbox-style metadata`, async t => {
+    const storage = create(t);
+    const entry = await storage.uploadFile('/dtf-quotes/Q-1.json', '{"a":1}');
+
+    assert.equal(entry.path_display, '/dtf-quotes/Q-1.json');
+    assert.equal(entry.path_lower, '/dtf-quotes/q-1.json');
+
+    const { content, metadata } = await storage.downloadFileWithMetadata('/dtf-quotes/Q-1.json');
+    assert.equal(content.toString('utf8'), '{"a":1}');
+    assert.equal(metadata.rev, entry.rev);
+  });
+
+  test(`${name}: missing files and taken paths are reported by code`, async t => {
+    const storage = create(t);
+    await storage.uploadFile('/a/one.txt', 'one');
+
+    await assert.rejects(storage.downloadFile('/a/missing.txt'), isNotFound);
+    await assert.rejects(storage.deleteFile('/a/missing.txt'), isNotFound);
+    await assert.rejects(storage.uploadFile('/a/one.txt', 'again', { mustNotExist: true }), isConflict);
+    await assert.rejects(storage.moveFile('/a/one.txt', '/a/one.txt'), isConflict);
+  });
+
+  test(`${name}: a write based on an old revision is refused, however quick`, async t => {
+    const storage = create(t);
+    const first = await storage.uploadFile('/a/counter.json', '{"n":1}');
+    const second = await storage.uploadFile('/a/counter.json', '{"n":2}', { rev: first.rev });
+
+    assert.notEqual(second.rev, first.rev);
+    await assert.rejects(storage.uploadFile('/a/counter.json', '{"n":3}', { rev: first.rev }), isConflict);
+    await assert.rejects(storage.uploadFile('/a/missing.json', '{}', { rev: first.rev }), isConflict);
+
+    const { metadata } = await storage.downloadFileWithMetadata('/a/counter.json');
+    assert.equal(metadata.rev, second.rev);
+  });
+
+  test(`${name}: racing conditional writes let exactly one through`, async t => {
+    const storage = create(t);
+    const { rev } = await storage.uploadFile('/a/counter.json', '0');
+
+    const results = await Promise.allSettled([1, 2, 3, 4, 5].map(n => storage.uploadFile('/a/counter.json', String(n), { rev })));
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  });
+
+  test(`${name}: folders list their files, recursively on request`, async t => {
+    const storage = create(t);
+    await storage.uploadFile('/root/top.txt', 'x');
+    await storage.uploadFile('/root/sub/deep.txt', 'y');
+
+    const shallow = (await storage.listFolder('/root')).map(entry => entry.path_lower).sort();
+    const deep = (await storage.listFolder('/root', { recursive: true })).filter(entry => entry['.tag'] === 'file');
+
+    assert.deepEqual(shallow, ['/root/sub', '/root/top.txt']);
+    assert.deepEqual(deep.map(entry => entry.path_lower).sort(), ['/root/sub/deep.txt', '/root/top.txt']);
+  });
+
+  test(`${name}: shared links follow moved files and can be revoked`, async t => {
+    const storage = create(t);
+    await storage.uploadFile('/quotes/Q-1.html', '<p>hi</p>');
+
+    const url = await storage.createSharedLink('/quotes/Q-1.html');
+    const token = url.split('/files/')[1].split('/')[0];
+    assert.equal(await storage.createSharedLink('/quotes/Q-1.html'), url);
+
+    await storage.moveFile('/quotes/Q-1.html', '/trash/Q-1.html');
+    assert.equal((await storage.resolveSharedLink(token)).toLowerCase(), '/trash/q-1.html');
+
+    assert.equal(await storage.revokeSharedLinks('/trash/Q-1.html'), 1);
+    assert.equal(await storage.resolveSharedLink(token), null);
+  });
+  test(`${name}: links made at the same time are all kept`, async t => {
+    const storage = create(t);
+    const paths = Array.from({ length: 20 }, (_, index) => `/quotes/Q-${index}.html`);
+    await Promise.all(paths.map(path => storage.uploadFile(path, path)));
+
+    const urls = await Promise.all(paths.map(path => storage.createSharedLink(path)));
+    const tokens = urls.map(url => url.split('/files/')[1].split('/')[0]);
+
+    for (const [index, token] of tokens.entries()) {
+      assert.equal((await storage.resolveSharedLink(token)).toLowerCase(), paths[index].toLowerCase());
+    }
+  });
+
+  test(`${name}: links are found whatever the path's spelling`, async t => {
+    const storage = create(t);
+    await storage.uploadFile('/Quotes/Mixed-Case.html', 'x');
+
+    const url = await storage.createSharedLink('/Quotes/Mixed-Case.html');
+    assert.equal(await storage.createSharedLink('Quotes/./Mixed-Case.html'), url);
+    assert.equal(await storage.revokeSharedLinks('/quotes/mixed-case.html'), 1);
+  });
+}
+
+test('local: paths stay inside the storage root', async t => {
+  const storage = drivers.local(t);
+  await storage.uploadFile('/../../escaped.txt', 'x');
+
+  assert.equal(fs.existsSync(path.join(storage.root, 'escaped.txt')), true);
+  assert.equal(fs.existsSync(path.join(storage.root, '..', '..', 'escaped.txt')), false);
+});
+
+test('local: a rewrite within the same clock tick still gets a new revision', async t => {
+  const storage = drivers.local(t);
+  const file = path.join(storage.root, 'a', 'counter.json');
+  // A filesystem with coarse timestamps gives both writes the same mtime
+  const tick = new Date('2026-01-01T00:00:00Z');
+
+  await storage.uploadFile('/a/counter.json', '{"n":1}');
+  fs.utimesSync(file, tick, tick);
+  const { metadata: first } = await storage.downloadFileWithMetadata('/a/counter.json');
+
+  await storage.uploadFile('/a/counter.json', '{"n":2}', { rev: first.rev });
+  fs.utimesSync(file, tick, tick);
+
+  await assert.rejects(storage.uploadFile('/a/counter.json', '{"n":3}', { rev: first.rev }), isConflict);
+});
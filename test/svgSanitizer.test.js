@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeSvg } = require('../services/svgSanitizer');
+const { ValidationError } = require('../services/errors');
+
+const svg = body => `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">${body}</svg>`;
+
+test('drawing elements and internal references are kept', () => {
+  const clean = sanitizeSvg(svg('<defs><linearGradient id="g"><stop offset="0"/></linearGradient></defs><rect width="10" height="10" fill="url(#g)"/><use xlink:href="#g"/>'));
+
+  assert.match(clean, /<rect width="10" height="10" fill="url\(#g\)"\/>/);
+  assert.match(clean, /<use xlink:href="#g"\/>/);
+});
+
+test('scripts, foreign content and event handlers are removed', () => {
+  const clean = sanitizeSvg(svg('<script>alert(1)</script><foreignObject><iframe src="https://evil"/></foreignObject><rect onload="alert(1)" ONCLICK="x()" ev:onclick="x()" width="1"/>'));
+
+  assert.doesNotMatch(clean, /script|alert|foreignObject|iframe|onload|onclick/i);
+  assert.match(clean, /<rect width="1"\/>/);
+});
+
+test('external and javascript links are removed whatever the attribute prefix', () => {
+  const clean = sanitizeSvg(
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:x="http://www.w3.org/1999/xlink">' +
+    '<use x:href="javascript:alert(1)"/><use X:HREF="https://evil.example/sprite.svg#a"/>' +
+    '<image href="http://evil.example/p.png"/><image xlink:href="data:image/svg+xml;base64,AAAA"/>' +
+    '<a href="javascript:alert(1)"><rect/></a></svg>'
+  );
+
+  assert.doesNotMatch(clean, /javascript|evil|svg\+xml/i);
+});
+
+test('embedded raster images survive', () => {
+  const clean = sanitizeSvg(svg('<image href="data:image/png;base64,iVBORw0KGgo="/>'));
+  assert.match(clean, /href="data:image\/png;base64,iVBORw0KGgo="/);
+});
+
+test('unsafe CSS is dropped from style elements and attributes', () => {
+  const clean = sanitizeSvg(svg('<style>@import url(https://evil/x.css);</style><rect style="fill: url(https://evil/x)"/><circle style="fill:red"/>'));
+
+  assert.doesNotMatch(clean, /evil|@import/);
+  assert.match(clean, /<circle style="fill:red"\/>/);
+});
+
+test('DOCTYPEs and non-SVG documents are refused', () => {
+  assert.throws(() => sanitizeSvg('<!DOCTYPE svg [<!ENTITY x "y">]><svg/>'), ValidationError);
+  assert.throws(() => sanitizeSvg('<html><body>hi</body></html>'), ValidationError);
+});
+
+test('external url() references are removed from presentation attributes', () => {
+  const clean = sanitizeSvg(svg(
+    '<rect fill="url(https://evil/a#g)" filter="url(//evil/f.svg#blur)" mask="url(&quot;https://evil/m&quot;)" width="1"/>' +
+    '<path clip-path="url(https://evil/c)" marker-start="url(https://evil/m)" stroke="url(#ok)"/>'
+  ));
+
+  assert.doesNotMatch(clean, /evil/);
+  assert.match(clean, /<rect width="1"\/>/);
+  assert.match(clean, /<path stroke="url\(#ok\)"\/>/);
+});
+
+test('entities and CSS escapes do not sneak CSS past the checks', () => {
+  const clean = sanitizeSvg(svg(
+    '<style>@&#105;mport "https://evil/a.css";</style><style>rect { fill: u&#x72;l(https://evil/b) }</style>' +
+    '<rect style="fill: u&#114;l(https://evil/c)"/><circle style="fill: u\\72 l(https://evil/d)"/>' +
+    '<ellipse fill="u&#114;l(https://evil/e)"/><use href="&#106;avascript:alert(1)"/>'
+  ));
+
+  assert.doesNotMatch(clean, /evil|&#|avascript/);
+});
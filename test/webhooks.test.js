@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const { createStorage } = require('../services/storage');
+const { Webhooks, signPayload } = require('../services/webhooks');
+const { ValidationError } = require('../services/errors');
+
+// A local receiver that records each request and answers with `statusCode`. It listens on
+// 127.0.0.1, so the services delivering to it are made with allowPrivateTargets.
+async function startReceiver(statusCode = 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statusCode).end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { received, server, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+test('deliveries are signed with the subscription secret', async t => {
+  t.mock.method(console, 'log', () => {});
+  const receiver = await startReceiver();
+  t.after(() => receiver.server.close());
+
+  const webhooks = new Webhooks(createStorage('memory'), { allowPrivateTargets: true });
+  const { id, secret } = await webhooks.create({ url: receiver.url, events: ['quote.created'] });
+
+  await webhooks.emit('quote.created', { quote_id: 'Q1' });
+  await webhooks.emit('quote.deleted', { quote_id: 'Q1' });
+
+  assert.equal(receiver.received.length, 1);
+  const [{ headers, body }] = receiver.received;
+  const [, timestamp, signature] = headers['x-dtf-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+
+  assert.equal(signature, signPayload(secret, timestamp, body));
+  assert.notEqual(signature, signPayload('whsec_other', timestamp, body));
+  assert.equal(JSON.parse(body).data.quote_id, 'Q1');
+  assert.equal(headers['x-dtf-event'], 'quote.created');
+  assert.equal((await webhooks.listDeliveries(id))[0].status, 'succeeded');
+});
+
+test('secrets are only shown when the subscription is created', async () => {
+  const webhooks = new Webhooks(createStorage('memory'));
+  await webhooks.create({ url: 'https://example.com/hook', events: ['*'] });
+
+  const [listed] = await webhooks.list();
+  assert.equal(listed.secret, undefined);
+});
+
+test('failed deliveries stay pending for a retry', async t => {
+  t.mock.method(console, 'log', () => {});
+  const receiver = await startReceiver(500);
+  t.after(() => receiver.server.close());
+
+  const webhooks = new Webhooks(createStorage('memory'), { allowPrivateTargets: true });
+  const { id } = await webhooks.create({ url: receiver.url, events: ['*'] });
+  await webhooks.emit('logo.saved', { logo_id: 'L1' });
+
+  const [delivery] = await webhooks.listDeliveries(id);
+  assert.equal(delivery.status, 'pending');
+  assert.match(delivery.attempts[0].error, /HTTP 500/);
+  assert.ok(new Date(delivery.next_attempt_at) > new Date());
+});
+
+test('trimming the delivery log never drops pending deliveries', async () => {
+  const storage = createStorage('memory');
+  const webhooks = new Webhooks(storage);
+  const at = minutes => new Date(Date.UTC(2025, 0, 1, 0, minutes)).toISOString();
+  const deliveries = {};
+
+  for (let index = 0; index < 5; index++) {
+    deliveries[`old_pending_${index}`] = { id: `old_pending_${index}`, status: 'pending', created_at: at(index) };
+  }
+  for (let index = 0; index < 100; index++) {
+    deliveries[`done_${index}`] = { id: `done_${index}`, status: 'succeeded', created_at: at(10 + index) };
+  }
+  await storage.uploadFile(webhooks.logPath('sub'), JSON.stringify({ deliveries }));
+
+  await webhooks.updateLog('sub', log => {
+    log.newest = { id: 'newest', status: 'succeeded', created_at: at(500) };
+  });
+
+  const { deliveries: kept } = await webhooks.readLog('sub');
+  const ids = Object.keys(kept);
+  assert.equal(ids.length, 100);
+  assert.ok([0, 1, 2, 3, 4].every(index => ids.includes(`old_pending_${index}`)));
+  assert.ok(ids.includes('newest'));
+  assert.equal(ids.includes('done_0'), false);
+});
+
+test('subscriptions need an http(s) URL and known events', async () => {
+  const webhooks = new Webhooks(createStorage('memory'));
+
+  await assert.rejects(webhooks.create({ url: 'file:///etc/passwd', events: ['quote.created'] }), ValidationError);
+  await assert.rejects(webhooks.create({ url: 'https://example.com', events: ['quote.eaten'] }), ValidationError);
+});
+
+test('webhooks never reach this machine or a private network', async t => {
+  t.mock.method(console, 'log', () => {});
+  const receiver = await startReceiver();
+  t.after(() => receiver.server.close());
+  const webhooks = new Webhooks(createStorage('memory'), { allowPrivateTargets: false });
+
+  for (const url of ['http://localhost:8080/x', 'http://127.0.0.1/x', 'http://10.1.2.3/x', 'http://192.168.0.10/x', 'http://169.254.169.254/latest', 'http://[::1]/x', 'http://[::ffff:127.0.0.1]/x', 'http://2130706433/x']) {
+    await assert.rejects(webhooks.create({ url, events: ['*'] }), ValidationError, url);
+  }
+
+  const { id } = await webhooks.create({ url: 'https://example.com/hook', events: ['*'] });
+  await assert.rejects(webhooks.edit(id, { url: 'http://172.16.0.1/x' }), ValidationError);
+
+  // A name that resolves to a private address is refused when delivering
+  await webhooks.edit(id, { url: receiver.url.replace('127.0.0.1', 'hooks.example.test') });
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => (
+    options.all ? callback(null, [{ address: '127.0.0.1', family: 4 }]) : callback(null, '127.0.0.1', 4)
+  ));
+  await webhooks.emit('quote.created', { quote_id: 'Q1' });
+
+  // So is a private URL saved before targets were checked
+  const { subscriptions } = await webhooks.load();
+  await webhooks.storage.uploadFile('/admin/webhooks.json', JSON.stringify({ subscriptions: { [id]: { ...subscriptions[id], url: receiver.url } } }));
+  await webhooks.emit('quote.created', { quote_id: 'Q2' });
+
+  assert.equal(receiver.received.length, 0);
+  const deliveries = await webhooks.listDeliveries(id);
+  assert.equal(deliveries.length, 2);
+  assert.ok(deliveries.every(delivery => /EPRIVATETARGET/.test(delivery.attempts[0].error)));
+});